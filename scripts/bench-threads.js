@@ -0,0 +1,47 @@
+// Times a generated terrain build on one thread and on worker threads.
+// Usage: node scripts/bench-threads.js [threads] [width,height,length]
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { convert } = require("../src/convert");
+const { writeTerrain } = require("./terrain");
+
+/** Convert `input` `runs` times on `threads` threads; returns the fastest time in ms and the output */
+async function timeConvert(input, threads, runs) {
+  let best = Infinity;
+  let output = null;
+  for (let run = 0; run < runs; run++) {
+    const start = process.hrtime.bigint();
+    ({ output } = await convert(input, { threads, cull: true }));
+    best = Math.min(best, Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return { ms: best, output };
+}
+
+async function main() {
+  const threads = Number(process.argv[2] ?? os.availableParallelism());
+  const [width, height, length] = (process.argv[3] ?? "512,96,512").split(",").map(Number);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "schema-converter-bench-"));
+  try {
+    const input = path.join(dir, "terrain.schem");
+    writeTerrain(input, width, height, length);
+    console.log(`${width}x${height}x${length} terrain (${(width * height * length / 1e6).toFixed(1)}M blocks), ` +
+      `${os.availableParallelism()} CPUs, --cull`);
+
+    const single = await timeConvert(input, 1, 3);
+    const threaded = await timeConvert(input, threads, 3);
+    if (threaded.output !== single.output) {
+      throw new Error(`Output on ${threads} threads differs from one thread.`);
+    }
+    const row = (label, ms) => `  ${label.padEnd(12)}${ms.toFixed(0).padStart(7)} ms`;
+    console.log(row("1 thread", single.ms));
+    console.log(`${row(`${threads} threads`, threaded.ms)}  (${(single.ms / threaded.ms).toFixed(2)}x)`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
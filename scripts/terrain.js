@@ -0,0 +1,46 @@
+// Generates terrain schematics too big to check in, for the benchmark and
+// the memory test.
+const fs = require("fs");
+const zlib = require("zlib");
+const nbt = require("prismarine-nbt");
+
+/**
+ * Write a width x height x length Sponge v3 schematic of terrain: stone,
+ * three layers of dirt and a grass top at a wavy height. Returns the
+ * decompressed block array size in bytes.
+ */
+function writeTerrain(filePath, width, height, length) {
+  const data = new Int8Array(width * height * length);
+  const top = (x, z) => Math.floor(height / 2 + 8 * Math.sin(x / 9) + 8 * Math.cos(z / 13));
+  let index = 0;
+  for (let y = 0; y < height; y++) {
+    for (let z = 0; z < length; z++) {
+      for (let x = 0; x < width; x++) {
+        const surface = top(x, z);
+        data[index++] = y < surface - 3 ? 1 : y < surface ? 2 : y === surface ? 3 : 0;
+      }
+    }
+  }
+  const palette = {
+    "minecraft:air": nbt.int(0),
+    "minecraft:stone": nbt.int(1),
+    "minecraft:dirt": nbt.int(2),
+    "minecraft:grass_block[snowy=false]": nbt.int(3),
+  };
+  const root = nbt.comp({
+    Schematic: nbt.comp({
+      Version: nbt.int(3),
+      DataVersion: nbt.int(3700),
+      Width: nbt.short(width),
+      Height: nbt.short(height),
+      Length: nbt.short(length),
+      Blocks: nbt.comp({ Palette: nbt.comp(palette), Data: { type: "byteArray", value: data } }),
+    }),
+  });
+  fs.writeFileSync(filePath, zlib.gzipSync(nbt.writeUncompressed(root)));
+  return data.length;
+}
+
+module.exports = {
+  writeTerrain,
+};
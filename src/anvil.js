@@ -0,0 +1,295 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const {
+  ConverterError, InvalidOptionError, InvalidSchematicError, PaletteIndexError,
+} = require("./errors");
+const {
+  blockIdForIndex, paletteEntryName, readBlockEntities, readNbtUncompressed, unpackBits,
+} = require("./nbt");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Anvil World Import
+// ─────────────────────────────────────────────────────────────────────────────
+const REGION_SECTOR_BYTES = 4096;
+const SECTION_VOLUME = 16 * 16 * 16;
+// Block index stride per chunk: room for 256 sections of SECTION_VOLUME
+const CHUNK_INDEX_STRIDE = 256 * SECTION_VOLUME;
+
+// DataVersion thresholds for Anvil section layouts
+const DATA_VERSION_FLATTENING = 1451; // 17w47a: paletted sections (1.13)
+const DATA_VERSION_PADDED_LONGS = 2527; // 20w17a: entries no longer span longs (1.16)
+
+/**
+ * Resolve the directory holding r.X.Z.mca files for a world path:
+ * a world folder (uses <world>/region), a region folder, or a single .mca file.
+ * Returns { regionDir, onlyFile } where onlyFile restricts reads to one file.
+ */
+function resolveRegionSource(inputPath) {
+  if (path.extname(inputPath).toLowerCase() === ".mca") {
+    return { regionDir: path.dirname(inputPath), onlyFile: path.basename(inputPath) };
+  }
+  const nested = path.join(inputPath, "region");
+  if (fs.existsSync(nested) && fs.statSync(nested).isDirectory()) {
+    return { regionDir: nested, onlyFile: null };
+  }
+  return { regionDir: inputPath, onlyFile: null };
+}
+
+/**
+ * Read and decompress one chunk's NBT from an open region file.
+ * Returns the chunk root compound value, or null if the chunk was never generated.
+ */
+function readRegionChunk(regionDir, fd, header, cx, cz) {
+  const localIdx = (cx & 31) + (cz & 31) * 32;
+  const location = header.readUInt32BE(localIdx * 4);
+  const sectorOffset = location >>> 8;
+  if (sectorOffset === 0) return null;
+
+  const prefix = Buffer.alloc(5);
+  fs.readSync(fd, prefix, 0, 5, sectorOffset * REGION_SECTOR_BYTES);
+  const length = prefix.readUInt32BE(0);
+  const compression = prefix[4];
+
+  let payload;
+  if (compression & 0x80) {
+    // Oversized chunk stored next to the region file
+    payload = fs.readFileSync(path.join(regionDir, `c.${cx}.${cz}.mcc`));
+  } else {
+    payload = Buffer.alloc(length - 1);
+    fs.readSync(fd, payload, 0, length - 1, sectorOffset * REGION_SECTOR_BYTES + 5);
+  }
+
+  let raw;
+  switch (compression & 0x7f) {
+    case 1:
+      raw = zlib.gunzipSync(payload);
+      break;
+    case 2:
+      raw = zlib.inflateSync(payload);
+      break;
+    case 3:
+      raw = payload;
+      break;
+    default:
+      throw new InvalidSchematicError(`Unsupported chunk compression type ${compression & 0x7f} in chunk ${cx},${cz}.`);
+  }
+
+  return readNbtUncompressed(raw, false).value;
+}
+
+/**
+ * Chunk reader over the region files of a world: { read(cx, cz), close() },
+ * where read returns the chunk root compound value, or null if the chunk was
+ * never generated or its region file is missing. Region files are opened on
+ * first use and stay open until close().
+ */
+function openRegionFiles(regionDir, onlyFile) {
+  const regionFiles = new Map(); // "rx,rz" -> { fd, header } | null
+  return {
+    read(cx, cz) {
+      const rx = Math.floor(cx / 32);
+      const rz = Math.floor(cz / 32);
+      const regionKey = `${rx},${rz}`;
+
+      if (!regionFiles.has(regionKey)) {
+        const fileName = `r.${rx}.${rz}.mca`;
+        const filePath = path.join(regionDir, fileName);
+        if ((onlyFile && onlyFile !== fileName) || !fs.existsSync(filePath)) {
+          regionFiles.set(regionKey, null);
+        } else {
+          const fd = fs.openSync(filePath, "r");
+          const header = Buffer.alloc(REGION_SECTOR_BYTES);
+          fs.readSync(fd, header, 0, REGION_SECTOR_BYTES, 0);
+          regionFiles.set(regionKey, { fd, header });
+        }
+      }
+
+      const region = regionFiles.get(regionKey);
+      return region ? readRegionChunk(regionDir, region.fd, region.header, cx, cz) : null;
+    },
+    close() {
+      for (const region of regionFiles.values()) {
+        if (region) fs.closeSync(region.fd);
+      }
+    },
+  };
+}
+
+/**
+ * Sections and DataVersion of a chunk root: 1.18+ chunks are flat, older
+ * chunks nest everything under Level
+ */
+function chunkLevel(chunk) {
+  const level = chunk.Level?.value ?? chunk;
+  return {
+    level,
+    dataVersion: chunk.DataVersion?.value ?? 0,
+    sections: level.sections?.value?.value ?? level.Sections?.value?.value ?? [],
+  };
+}
+
+/**
+ * Normalize one chunk section into { sectionY, palette, indices } or
+ * { sectionY, blocks, data, add } for pre-1.13 numeric sections
+ */
+function readChunkSection(section, dataVersion) {
+  const sectionY = section.Y?.value;
+  if (typeof sectionY !== "number") return null;
+
+  // 1.18+: block_states { palette, data }
+  // 1.13-1.17: Palette + BlockStates
+  const statesTag = section.block_states?.value;
+  const paletteList = statesTag ? statesTag.palette?.value?.value : section.Palette?.value?.value;
+  const packed = statesTag ? statesTag.data?.value : section.BlockStates?.value;
+
+  if (Array.isArray(paletteList)) {
+    const palette = paletteList.map(paletteEntryName);
+    // A single-entry palette has no data array: the whole section is that block
+    if (palette.length === 1 || !packed) {
+      return { sectionY, palette, indices: new Uint32Array(SECTION_VOLUME) };
+    }
+    const bitsPerEntry = Math.max(4, Math.ceil(Math.log2(palette.length)));
+    const spanning = dataVersion < DATA_VERSION_PADDED_LONGS;
+    return { sectionY, palette, indices: unpackBits(packed, SECTION_VOLUME, bitsPerEntry, spanning) };
+  }
+
+  // Pre-1.13: numeric Blocks/Data/Add arrays
+  const blocks = section.Blocks?.value;
+  if (blocks && dataVersion < DATA_VERSION_FLATTENING) {
+    return { sectionY, blocks, data: section.Data?.value, add: section.Add?.value };
+  }
+  return null;
+}
+
+/**
+ * Parse a bounded area of an Anvil world (or single .mca region file).
+ * Coordinates in `bounds` are inclusive world block coordinates; output
+ * positions are relative to the box minimum, like a schematic.
+ *
+ * Only block entities and the list of generated chunks are kept. Block
+ * sections are read from the region files again by each iterateBlocks
+ * call, for the chunks its area covers, so memory does not grow with the
+ * size of the box.
+ */
+function parseAnvilWorld(inputPath, bounds) {
+  if (!bounds) {
+    throw new InvalidOptionError("World input requires bounds ({ minX, minY, minZ, maxX, maxY, maxZ }).");
+  }
+
+  const { minX, minY, minZ, maxX, maxY, maxZ } = bounds;
+  const { regionDir, onlyFile } = resolveRegionSource(inputPath);
+
+  // Find the generated chunks in the box and collect their block entities
+  const chunkList = []; // { cx, cz, dataVersion }
+  const blockEntities = [];
+
+  const minChunkX = Math.floor(minX / 16);
+  const maxChunkX = Math.floor(maxX / 16);
+  const minChunkZ = Math.floor(minZ / 16);
+  const maxChunkZ = Math.floor(maxZ / 16);
+
+  const regions = openRegionFiles(regionDir, onlyFile);
+  try {
+    for (let cz = minChunkZ; cz <= maxChunkZ; cz++) {
+      for (let cx = minChunkX; cx <= maxChunkX; cx++) {
+        const chunk = regions.read(cx, cz);
+        if (!chunk) continue;
+
+        const { level, dataVersion } = chunkLevel(chunk);
+        chunkList.push({ cx, cz, dataVersion });
+        const entityTag = level.block_entities ?? level.TileEntities;
+        for (const entry of readBlockEntities(entityTag, -minX, -minY, -minZ)) {
+          if (entry.x >= 0 && entry.x <= maxX - minX &&
+              entry.y >= 0 && entry.y <= maxY - minY &&
+              entry.z >= 0 && entry.z <= maxZ - minZ) {
+            blockEntities.push(entry);
+          }
+        }
+      }
+    }
+  } finally {
+    regions.close();
+  }
+
+  if (chunkList.length === 0) {
+    throw new ConverterError("No generated chunks found inside the requested bounds.", "EMPTY_SELECTION");
+  }
+
+  return {
+    width: maxX - minX + 1,
+    height: maxY - minY + 1,
+    length: maxZ - minZ + 1,
+    // Chunks carry their own DataVersion; each block reports it
+    dataVersion: chunkList.reduce((max, chunk) => Math.max(max, chunk.dataVersion), 0) || null,
+    blockEntities,
+    entities: [],
+    *iterateBlocks(area) {
+      // The area is relative to the box minimum, like block positions
+      const areaMinX = area ? Math.max(minX, minX + area.minX) : minX;
+      const areaMaxX = area ? Math.min(maxX, minX + area.maxX) : maxX;
+      const areaMinZ = area ? Math.max(minZ, minZ + area.minZ) : minZ;
+      const areaMaxZ = area ? Math.min(maxZ, minZ + area.maxZ) : maxZ;
+
+      const chunkReader = openRegionFiles(regionDir, onlyFile);
+      try {
+        for (const [chunkIndex, { cx, cz }] of chunkList.entries()) {
+          const baseX = cx * 16;
+          const baseZ = cz * 16;
+          const x0 = Math.max(areaMinX, baseX) - baseX;
+          const x1 = Math.min(areaMaxX, baseX + 15) - baseX;
+          const z0 = Math.max(areaMinZ, baseZ) - baseZ;
+          const z1 = Math.min(areaMaxZ, baseZ + 15) - baseZ;
+          if (x0 > x1 || z0 > z1) continue;
+
+          const chunk = chunkReader.read(cx, cz);
+          if (!chunk) continue;
+          const { dataVersion, sections } = chunkLevel(chunk);
+
+          for (const [sectionIndex, sectionTag] of sections.entries()) {
+            const baseY = (sectionTag.Y?.value ?? 0) * 16;
+            if (baseY + 15 < minY || baseY > maxY) continue;
+
+            const section = readChunkSection(sectionTag, dataVersion);
+            if (!section) continue;
+
+            const y0 = Math.max(minY, baseY) - baseY;
+            const y1 = Math.min(maxY, baseY + 15) - baseY;
+
+            for (let ly = y0; ly <= y1; ly++) {
+              for (let lz = z0; lz <= z1; lz++) {
+                for (let lx = x0; lx <= x1; lx++) {
+                  // Sections are YZX ordered
+                  const index = (ly * 16 + lz) * 16 + lx;
+                  const x = baseX + lx - minX;
+                  const y = baseY + ly - minY;
+                  const z = baseZ + lz - minZ;
+                  const blockIndex = chunkIndex * CHUNK_INDEX_STRIDE + sectionIndex * SECTION_VOLUME + index;
+
+                  if (section.palette) {
+                    const name = section.palette[section.indices[index]];
+                    if (!name) {
+                      throw new PaletteIndexError(section.indices[index]);
+                    }
+                    yield { name, dataVersion, x, y, z, index: blockIndex };
+                  } else {
+                    const id = blockIdForIndex(section.blocks, section.add, index);
+                    const nibble = section.data ? section.data[index >> 1] & 0xff : 0;
+                    const dataValue = index % 2 === 0 ? nibble & 0x0f : (nibble >> 4) & 0x0f;
+                    yield { id, data: dataValue, x, y, z, index: blockIndex };
+                  }
+                }
+              }
+            }
+          }
+        }
+      } finally {
+        chunkReader.close();
+      }
+    },
+  };
+}
+
+module.exports = {
+  parseAnvilWorld,
+};
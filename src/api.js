@@ -0,0 +1,181 @@
+const path = require("path");
+const { InvalidOptionError, UnmappedBlocksError } = require("./errors");
+const { compileBlockMapping, loadBlockMapping, resolveDataVersion } = require("./blocks");
+const { parseSchematic } = require("./parsers");
+const { editSchematic } = require("./transforms");
+const { DEFAULT_Y_RANGE, ENCODINGS, buildChunkedData, buildRegionData } = require("./chunking");
+const { buildInWorkers, parseSharedSource, shareSchematicSource } = require("./workers");
+const { DEFAULT_BLOCK_SIZE, formatBuild } = require("./writers");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Options
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Entity NBT fields kept by default: what an importer needs to place
+// decorations (item frames, paintings, armor stands) and named mobs.
+// Runtime state (UUID, Motion, Air, Fire, ...) is dropped.
+const DEFAULT_ENTITY_FIELDS = [
+  "CustomName",
+  "CustomNameVisible",
+  "Invisible",
+  "NoGravity",
+  "NoAI",
+  "Silent",
+  "Facing",
+  "facing",
+  "Item",
+  "ItemRotation",
+  "ItemDropChance",
+  "Fixed",
+  "variant",
+  "Motive",
+  "ArmorItems",
+  "HandItems",
+  "equipment",
+  "ShowArms",
+  "Small",
+  "NoBasePlate",
+  "Marker",
+  "Pose",
+  "Tags",
+];
+
+/**
+ * Conversion options with their defaults, as used by convert() and the CLI
+ */
+function defaultOptions() {
+  return {
+    outFormat: "lua",
+    includeAir: false,
+    encoding: "rle",
+    compact: false,
+    stripStates: false,
+    blockEntityFields: null,
+    entityFields: DEFAULT_ENTITY_FIELDS,
+    biomes: false,
+    bounds: null,
+    yRange: null,
+    rebaseY: false,
+    splitRegions: false,
+    anchorOrigin: false,
+    legacyIds: false,
+    targetVersion: null,
+    mapPath: null,
+    failUnmapped: false,
+    crop: null,
+    include: [],
+    exclude: [],
+    replace: [],
+    split: false,
+    splitGroup: 1,
+    blockSize: DEFAULT_BLOCK_SIZE,
+    cull: false,
+    opaque: [],
+    transparent: [],
+    rotate: 0,
+    mirror: "",
+    translate: null,
+    threads: 1,
+    previewViews: ["top"],
+    previewColorsPath: null,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Library API
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Default logger for convert(): silent. The CLI passes CONSOLE_LOGGER.
+const SILENT_LOGGER = { log() {}, warn() {} };
+
+/**
+ * Convert a schematic (file path, world folder or Buffer) without writing
+ * files. `options` takes the fields of defaultOptions() plus `format` (see
+ * parseSchematic), `mapPath` or `blockMapping` (a mapping object) and
+ * `logger` ({ log, warn }, silent by default).
+ *
+ * Returns { data, stats, warnings, output }; `output` is the build in
+ * options.outFormat, or null with options.split (written by the CLI) or
+ * options.streamChunks (write it with writeBuild).
+ */
+async function convert(input, options = {}) {
+  options = { ...defaultOptions(), ...options };
+  const logger = options.logger ?? SILENT_LOGGER;
+  const warnings = [];
+  const warn = (message) => {
+    warnings.push(message);
+    logger.warn(message);
+  };
+
+  if (!ENCODINGS.includes(options.encoding)) {
+    throw new InvalidOptionError(`Invalid encoding: ${options.encoding}. Use ${ENCODINGS.join(", ")}.`);
+  }
+  if (options.blockMapping) {
+    options.blockMap = compileBlockMapping(options.blockMapping);
+  } else if (options.mapPath && !options.blockMap) {
+    options.blockMap = loadBlockMapping(path.resolve(options.mapPath));
+  }
+  if (options.failUnmapped && !options.blockMap) {
+    throw new InvalidOptionError("failUnmapped requires a block mapping.");
+  }
+  if (!Number.isInteger(options.threads) || options.threads < 1) {
+    throw new InvalidOptionError(`Invalid threads: ${options.threads}. Use a whole number of 1 or more.`);
+  }
+  if (options.targetVersion) {
+    const dataVersion = resolveDataVersion(options.targetVersion);
+    if (!dataVersion) {
+      throw new InvalidOptionError(`Invalid targetVersion: ${options.targetVersion}. Use a release (e.g. "1.20.4") or a DataVersion.`);
+    }
+    options.targetVersion = dataVersion;
+  }
+
+  const label = typeof input === "string" ? input : "buffer";
+  logger.log(`Reading: ${label}`);
+  // With worker threads, the input is parsed once into memory they share
+  const source = options.threads > 1 ? shareSchematicSource(input, options.format) : null;
+  let schematic = source ? await parseSharedSource(source, options) : await parseSchematic(input, options);
+  logger.log(`Parsed: ${schematic.width}x${schematic.height}x${schematic.length}`);
+  for (const message of schematic.warnings ?? []) warn(message);
+
+  schematic = editSchematic(schematic, options, logger);
+
+  logger.log(options.threads > 1 ? `Building chunked data on ${options.threads} threads...` : "Building chunked data...");
+  if (options.splitRegions && !schematic.regions) {
+    warn("splitRegions only applies to Litematica files; writing a single build.");
+  }
+  let data;
+  if (options.threads > 1) {
+    data = await buildInWorkers(source, schematic, options);
+  } else if (options.splitRegions && schematic.regions) {
+    data = buildRegionData(schematic, options);
+  } else {
+    data = buildChunkedData(schematic, options);
+  }
+
+  if (options.targetVersion && !schematic.dataVersion) {
+    warn("input has no DataVersion; block names were not upgraded.");
+  }
+
+  if (data.stats.clippedBlocks > 0) {
+    const yRange = data.yRange ?? DEFAULT_Y_RANGE;
+    warn(
+      `${data.stats.clippedBlocks.toLocaleString()} blocks outside Y ${yRange.min}..${yRange.max} were clipped. ` +
+      "Set yRange or rebaseY to keep them."
+    );
+  }
+
+  if (options.failUnmapped) {
+    const unmapped = Object.entries(data.stats.unmapped).sort((a, b) => b[1] - a[1]);
+    if (unmapped.length > 0) {
+      throw new UnmappedBlocksError(unmapped);
+    }
+  }
+
+  const output = options.split || options.streamChunks ? null : formatBuild(data, options);
+  return { data, stats: data.stats, warnings, output };
+}
+
+module.exports = {
+  defaultOptions,
+  convert,
+};
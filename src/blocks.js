@@ -0,0 +1,642 @@
+const fs = require("fs");
+const path = require("path");
+const { legacyBlockName } = require("./legacy-blocks");
+const { ConverterError, InvalidOptionError } = require("./errors");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Constants
+// ─────────────────────────────────────────────────────────────────────────────
+const AIR_BLOCKS = new Set([
+  "minecraft:air",
+  "minecraft:cave_air",
+  "minecraft:void_air",
+  "air",
+]);
+
+// State abbreviation mappings for compact metadata. Abbreviations are unique
+// within each table, so STATE_KEY_EXPAND / STATE_VALUE_EXPAND invert them.
+const STATE_KEY_ABBREV = {
+  facing: "f",
+  half: "h",
+  axis: "a",
+  shape: "s",
+  type: "ty",
+  waterlogged: "w",
+  powered: "pw",
+  open: "o",
+  persistent: "ps",
+  distance: "d",
+  snowy: "sn",
+  lit: "l",
+  extended: "ex",
+  face: "fc",
+  part: "p",
+  hinge: "hi",
+  in_wall: "iw",
+  attached: "at",
+  hanging: "hg",
+  occupied: "oc",
+  rotation: "r",
+  layers: "ly",
+  level: "lv",
+  age: "ag",
+  moisture: "m",
+  bites: "b",
+  eggs: "eg",
+  pickles: "pk",
+  candles: "cn",
+  honey_level: "hl",
+  enabled: "en",
+  triggered: "tr",
+  inverted: "iv",
+  signal_fire: "sf",
+  has_bottle_0: "hb0",
+  has_bottle_1: "hb1",
+  has_bottle_2: "hb2",
+  eye: "ey",
+  mode: "md",
+  locked: "lk",
+  short: "sh",
+  unstable: "us",
+  disarmed: "da",
+  conditional: "cd",
+  drag: "dr",
+  bottom: "bt",
+  north: "n",
+  south: "so",
+  east: "e",
+  west: "wt",
+  up: "u",
+  down: "dn",
+};
+
+const STATE_VALUE_ABBREV = {
+  // Facing/direction
+  north: "n",
+  south: "s",
+  east: "e",
+  west: "w",
+  up: "u",
+  down: "d",
+  // Half
+  top: "t",
+  bottom: "b",
+  upper: "hu",
+  lower: "hl",
+  // Axis
+  // x, y, z are already short
+  // Shape (stairs)
+  straight: "st",
+  inner_left: "il",
+  inner_right: "ir",
+  outer_left: "ol",
+  outer_right: "or",
+  // Type (slabs)
+  double: "db",
+  // Boolean - uppercase so they never clash with numeric values like age=1
+  true: "T",
+  false: "F",
+  // Face (buttons)
+  floor: "fl",
+  wall: "wl",
+  ceiling: "cl",
+  // Part (beds)
+  head: "hd",
+  foot: "ft",
+  // Hinge
+  left: "l",
+  right: "r",
+  // Rail shape
+  north_south: "ns",
+  east_west: "ew",
+  ascending_north: "an",
+  ascending_south: "as",
+  ascending_east: "ae",
+  ascending_west: "aw",
+  north_east: "ne",
+  north_west: "nw",
+  south_east: "se",
+  south_west: "sw",
+};
+
+// Abbreviation -> full name, for expanding compact names
+const STATE_KEY_EXPAND = Object.fromEntries(
+  Object.entries(STATE_KEY_ABBREV).map(([key, abbrev]) => [abbrev, key])
+);
+const STATE_VALUE_EXPAND = Object.fromEntries(
+  Object.entries(STATE_VALUE_ABBREV).map(([value, abbrev]) => [abbrev, value])
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Block Utilities
+// ─────────────────────────────────────────────────────────────────────────────
+function isAirBlock(block) {
+  if (block.name) {
+    return AIR_BLOCKS.has(block.name) || AIR_BLOCKS.has(block.name.split("[")[0]);
+  }
+  return block.id === 0;
+}
+
+/**
+ * Parse block states from a block name like "oak_stairs[facing=north,half=top]"
+ * Returns { baseName: "oak_stairs", states: { facing: "north", half: "top" } }
+ */
+function parseBlockStates(name) {
+  const bracketIdx = name.indexOf("[");
+  if (bracketIdx === -1) {
+    return { baseName: name, states: {} };
+  }
+
+  const baseName = name.substring(0, bracketIdx);
+  const stateStr = name.substring(bracketIdx + 1, name.length - 1);
+  const states = {};
+
+  if (stateStr) {
+    for (const pair of stateStr.split(",")) {
+      const eqIdx = pair.indexOf("=");
+      if (eqIdx !== -1) {
+        const key = pair.substring(0, eqIdx);
+        const value = pair.substring(eqIdx + 1);
+        states[key] = value;
+      }
+    }
+  }
+
+  return { baseName, states };
+}
+
+/**
+ * Compact block name: strip minecraft: prefix and abbreviate states
+ * "minecraft:oak_stairs[facing=north,half=top,waterlogged=false]"
+ * becomes "oak_stairs[f=n,h=t,w=F]". expandCompactName reverses it.
+ */
+function compactBlockName(name) {
+  // Strip minecraft: prefix
+  let stripped = name.replace(/^minecraft:/, "");
+  
+  const { baseName, states } = parseBlockStates(stripped);
+  
+  // No states - just return base name
+  if (Object.keys(states).length === 0) {
+    return baseName;
+  }
+
+  // Abbreviate states
+  const compactStates = [];
+  const sortedKeys = Object.keys(states).sort();
+  
+  for (const key of sortedKeys) {
+    const value = states[key];
+    const abbrevKey = STATE_KEY_ABBREV[key] || key;
+    const abbrevValue = STATE_VALUE_ABBREV[value] || value;
+    compactStates.push(`${abbrevKey}=${abbrevValue}`);
+  }
+
+  return `${baseName}[${compactStates.join(",")}]`;
+}
+
+/**
+ * Full block name for a compact name: the inverse of compactBlockName.
+ * `dictionary` is a build's { stateKeys, stateValues }; it defaults to the
+ * current abbreviation tables.
+ */
+function expandCompactName(name, dictionary = { stateKeys: STATE_KEY_EXPAND, stateValues: STATE_VALUE_EXPAND }) {
+  const { baseName, states } = parseBlockStates(name);
+  const fullBase = baseName.includes(":") ? baseName : `minecraft:${baseName}`;
+
+  const expanded = Object.entries(states)
+    .map(([key, value]) => [dictionary.stateKeys[key] ?? key, dictionary.stateValues[value] ?? value])
+    .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+  if (expanded.length === 0) {
+    return fullBase;
+  }
+  return `${fullBase}[${expanded.map(([key, value]) => `${key}=${value}`).join(",")}]`;
+}
+
+/**
+ * The { stateKeys, stateValues } abbreviations used by compact palette
+ * entries, abbreviation -> full name, for decoding at runtime
+ */
+function compactStateDictionary(palette) {
+  const stateKeys = {};
+  const stateValues = {};
+  for (const entry of palette) {
+    if (typeof entry !== "string") continue;
+    for (const [key, value] of Object.entries(parseBlockStates(entry).states)) {
+      if (STATE_KEY_EXPAND[key]) stateKeys[key] = STATE_KEY_EXPAND[key];
+      if (STATE_VALUE_EXPAND[value]) stateValues[value] = STATE_VALUE_EXPAND[value];
+    }
+  }
+  const sorted = (table) => Object.fromEntries(Object.entries(table).sort(([a], [b]) => (a < b ? -1 : 1)));
+  return { stateKeys: sorted(stateKeys), stateValues: sorted(stateValues) };
+}
+
+/**
+ * Strip all states, just keep base block name
+ */
+function stripBlockStates(name) {
+  let stripped = name.replace(/^minecraft:/, "");
+  return stripped.split("[")[0];
+}
+
+/**
+ * Namespaced block name for a block. Legacy numeric blocks (classic
+ * .schematic, pre-1.13 Anvil) are flattened to 1.13 names unless
+ * options.legacyIds is set; unmapped ids return null.
+ * With options.targetVersion, names are upgraded (or downgraded) from the
+ * block's DataVersion to the target before any compaction.
+ */
+function resolveBlockName(block, options, dataVersion) {
+  let name = block.name;
+  let sourceVersion = block.dataVersion ?? dataVersion;
+  if (!name) {
+    if (options.legacyIds) return null;
+    name = legacyBlockName(block.id, block.data);
+    // The flattening table produces 1.13 names
+    sourceVersion = DATA_VERSION_FLATTENED_NAMES;
+  }
+  if (name && options.targetVersion && sourceVersion) {
+    name = upgradeBlockName(name, sourceVersion, options.targetVersion);
+  }
+  return name;
+}
+
+/**
+ * The block with its legacy numeric id replaced by the 1.13 name, for passes
+ * that work on names. Blocks without a name mapping are returned as-is.
+ */
+function namedBlock(block, options) {
+  if (block.name || options.legacyIds) return block;
+  const name = legacyBlockName(block.id, block.data);
+  if (!name) return block;
+  return { name, dataVersion: DATA_VERSION_FLATTENED_NAMES, x: block.x, y: block.y, z: block.z, index: block.index };
+}
+
+function blockKey(block, options, dataVersion) {
+  const name = resolveBlockName(block, options, dataVersion);
+  if (name) {
+    if (options.stripStates) {
+      return stripBlockStates(name);
+    }
+    if (options.compact) {
+      return compactBlockName(name);
+    }
+    return name;
+  }
+  return `${block.id}:${block.data}`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DataVersion Upgrades
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Release DataVersions accepted by --target-version
+const MINECRAFT_VERSIONS = {
+  "1.13": 1519,
+  "1.13.2": 1631,
+  "1.14": 1952,
+  "1.14.4": 1976,
+  "1.15": 2225,
+  "1.15.2": 2230,
+  "1.16": 2566,
+  "1.16.5": 2586,
+  "1.17": 2724,
+  "1.17.1": 2730,
+  "1.18": 2860,
+  "1.18.2": 2975,
+  "1.19": 3105,
+  "1.19.4": 3337,
+  "1.20": 3463,
+  "1.20.1": 3465,
+  "1.20.2": 3578,
+  "1.20.3": 3698,
+  "1.20.4": 3700,
+  "1.20.6": 3839,
+  "1.21": 3953,
+  "1.21.1": 3955,
+  "1.21.4": 4189,
+  "1.21.5": 4325,
+  "1.21.8": 4440,
+  "1.21.9": 4554,
+  "1.21.10": 4556,
+};
+
+const DATA_VERSION_FLATTENED_NAMES = MINECRAFT_VERSIONS["1.13"];
+
+/**
+ * Rename a block, keeping its states
+ */
+function renameStep(from, to) {
+  return {
+    up: (name, states) => (name === from ? { name: to, states } : null),
+    down: (name, states) => (name === to ? { name: from, states } : null),
+  };
+}
+
+const WALL_SIDES = ["east", "north", "south", "west"];
+
+/**
+ * Block changes between versions, in DataVersion order. `up` applies when
+ * crossing the version going forward, `down` when going back; each returns
+ * the new { name, states } or null when the block is unaffected.
+ */
+const BLOCK_UPGRADES = [
+  { dataVersion: 1952, ...renameStep("minecraft:sign", "minecraft:oak_sign") },
+  { dataVersion: 1952, ...renameStep("minecraft:wall_sign", "minecraft:oak_wall_sign") },
+  // 1.13's stone_slab was the smooth stone slab; 1.14 added a plain stone slab
+  { dataVersion: 1952, ...renameStep("minecraft:stone_slab", "minecraft:smooth_stone_slab") },
+  {
+    // Wall sides went from true/false to none/low/tall
+    dataVersion: 2566,
+    up: (name, states) => {
+      if (!name.endsWith("_wall")) return null;
+      const next = { ...states };
+      for (const side of WALL_SIDES) {
+        if (next[side] === "true") next[side] = "low";
+        else if (next[side] === "false") next[side] = "none";
+      }
+      return { name, states: next };
+    },
+    down: (name, states) => {
+      if (!name.endsWith("_wall")) return null;
+      const next = { ...states };
+      for (const side of WALL_SIDES) {
+        if (next[side] === "low" || next[side] === "tall") next[side] = "true";
+        else if (next[side] === "none") next[side] = "false";
+      }
+      return { name, states: next };
+    },
+  },
+  { dataVersion: 2724, ...renameStep("minecraft:grass_path", "minecraft:dirt_path") },
+  {
+    // Filled cauldrons became water_cauldron; the empty one lost its level
+    dataVersion: 2724,
+    up: (name, states) => {
+      if (name !== "minecraft:cauldron" || states.level === undefined) return null;
+      const { level, ...rest } = states;
+      if (level === "0") return { name, states: rest };
+      return { name: "minecraft:water_cauldron", states: { ...rest, level } };
+    },
+    down: (name, states) => {
+      if (name === "minecraft:water_cauldron") return { name: "minecraft:cauldron", states };
+      if (name === "minecraft:cauldron" && states.level === undefined) {
+        return { name, states: { ...states, level: "0" } };
+      }
+      return null;
+    },
+  },
+  { dataVersion: 3698, ...renameStep("minecraft:grass", "minecraft:short_grass") },
+  { dataVersion: 4554, ...renameStep("minecraft:chain", "minecraft:iron_chain") },
+];
+
+const upgradeCache = new Map();
+
+/**
+ * Parse a --target-version value: a release name ("1.20.4") or a DataVersion
+ * number. Returns null if unrecognized.
+ */
+function resolveDataVersion(value) {
+  if (MINECRAFT_VERSIONS[value]) return MINECRAFT_VERSIONS[value];
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Rewrite a full block name ("minecraft:grass[...]") from one DataVersion to
+ * another, applying every rename/state change crossed on the way
+ */
+function upgradeBlockName(fullName, fromVersion, toVersion) {
+  if (fromVersion === toVersion) return fullName;
+
+  const cacheKey = `${fromVersion}>${toVersion}|${fullName}`;
+  const cached = upgradeCache.get(cacheKey);
+  if (cached !== undefined) return cached;
+
+  let { baseName: name, states } = parseBlockStates(fullName);
+  if (!name.includes(":")) name = `minecraft:${name}`;
+
+  if (fromVersion < toVersion) {
+    for (const step of BLOCK_UPGRADES) {
+      if (step.dataVersion > fromVersion && step.dataVersion <= toVersion) {
+        const result = step.up(name, states);
+        if (result) ({ name, states } = result);
+      }
+    }
+  } else {
+    for (const step of [...BLOCK_UPGRADES].reverse()) {
+      if (step.dataVersion > toVersion && step.dataVersion <= fromVersion) {
+        const result = step.down(name, states);
+        if (result) ({ name, states } = result);
+      }
+    }
+  }
+
+  const keys = Object.keys(states).sort();
+  const upgraded = keys.length > 0
+    ? `${name}[${keys.map((k) => `${k}=${states[k]}`).join(",")}]`
+    : name;
+  upgradeCache.set(cacheKey, upgraded);
+  return upgraded;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Block Mapping
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Parse a Lua table literal, as written by a `return { ... }` mapping file
+ * or by --out lua. Supports comments, strings, numbers, booleans, nil,
+ * nested tables, `key = value`, `["key"] = value` and positional entries;
+ * tables with only positional entries become arrays.
+ */
+function parseLuaTable(source) {
+  let pos = 0;
+
+  const fail = (message) => {
+    const line = source.slice(0, pos).split("\n").length;
+    throw new ConverterError(`Invalid Lua table (line ${line}): ${message}`);
+  };
+
+  const skipSpace = () => {
+    for (;;) {
+      while (pos < source.length && /\s/.test(source[pos])) pos++;
+      if (!source.startsWith("--", pos)) return;
+      // Long comments: --[[ ... ]]
+      const long = source.startsWith("--[[", pos);
+      const end = long ? source.indexOf("]]", pos) : source.indexOf("\n", pos);
+      pos = end === -1 ? source.length : end + (long ? 2 : 0);
+    }
+  };
+
+  const readString = () => {
+    const quote = source[pos++];
+    let out = "";
+    while (pos < source.length && source[pos] !== quote) {
+      let ch = source[pos++];
+      if (ch === "\\") {
+        const esc = source[pos++];
+        ch = { n: "\n", t: "\t", r: "\r", 0: "\0" }[esc] ?? esc;
+      }
+      out += ch;
+    }
+    if (source[pos] !== quote) fail("unterminated string");
+    pos++;
+    return out;
+  };
+
+  const readValue = () => {
+    skipSpace();
+    const ch = source[pos];
+    if (ch === "{") return readTable();
+    if (ch === "\"" || ch === "'") return readString();
+    const match = /^(?:-?(?:0x[0-9a-f]+|\d+\.?\d*(?:e[+-]?\d+)?)|true|false|nil)/i.exec(source.slice(pos, pos + 64));
+    if (!match) fail(ch === undefined ? "unexpected end of file" : `unexpected "${ch}"`);
+    pos += match[0].length;
+    if (match[0] === "true") return true;
+    if (match[0] === "false") return false;
+    if (match[0] === "nil") return null;
+    return Number(match[0]);
+  };
+
+  const readTable = () => {
+    pos++; // {
+    const fields = {};
+    const items = [];
+    for (;;) {
+      skipSpace();
+      if (source[pos] === "}") {
+        pos++;
+        break;
+      }
+      let key = null;
+      if (source[pos] === "[") {
+        pos++;
+        key = readValue();
+        skipSpace();
+        if (source[pos] !== "]") fail("expected ]");
+        pos++;
+        skipSpace();
+        if (source[pos] !== "=") fail("expected =");
+        pos++;
+      } else {
+        const ident = /^([A-Za-z_]\w*)\s*=(?!=)/.exec(source.slice(pos, pos + 256));
+        if (ident) {
+          key = ident[1];
+          pos += ident[0].length;
+        }
+      }
+      const value = readValue();
+      if (key === null) items.push(value);
+      else fields[key] = value;
+      skipSpace();
+      if (source[pos] === "," || source[pos] === ";") pos++;
+      else if (source[pos] !== "}") fail("expected , or }");
+    }
+    if (Object.keys(fields).length === 0 && items.length > 0) return items;
+    items.forEach((value, i) => { fields[i + 1] = value; });
+    return fields;
+  };
+
+  skipSpace();
+  if (source.startsWith("return", pos)) pos += "return".length;
+  skipSpace();
+  if (source[pos] !== "{") fail("expected a table");
+  const table = readTable();
+  skipSpace();
+  if (pos < source.length) fail("unexpected content after the table");
+  return table;
+}
+
+/**
+ * Compile a mapping object { pattern: value } into rules ordered from most
+ * to least specific: exact base names before wildcards, then more state
+ * conditions first, then file order.
+ *
+ * Patterns: "minecraft:oak_log[axis=y]", "oak_log", "*_planks",
+ * "minecraft:*_slab[type=double]". Names without a namespace get minecraft:.
+ */
+function compileBlockMapping(mapping) {
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw new InvalidOptionError("Block mapping must be a table of pattern -> block.");
+  }
+
+  const rules = Object.entries(mapping).map(([pattern, value], order) => {
+    let { baseName, states } = parseBlockStates(pattern.trim());
+    if (!baseName.includes(":") && !baseName.startsWith("*")) {
+      baseName = `minecraft:${baseName}`;
+    }
+    const regex = baseName.includes("*")
+      ? new RegExp(`^${baseName.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`)
+      : null;
+    return { baseName, regex, states, value, order };
+  });
+
+  rules.sort((a, b) =>
+    (a.regex ? 1 : 0) - (b.regex ? 1 : 0) ||
+    Object.keys(b.states).length - Object.keys(a.states).length ||
+    a.order - b.order
+  );
+  return rules;
+}
+
+/**
+ * Load and compile a .json or .lua block mapping file. A missing file or
+ * malformed JSON or Lua is an InvalidOptionError.
+ */
+function loadBlockMapping(mapPath) {
+  let source;
+  try {
+    source = fs.readFileSync(mapPath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") throw new InvalidOptionError(`File not found: ${mapPath}`);
+    throw error;
+  }
+  if (path.extname(mapPath).toLowerCase() === ".lua") {
+    let table;
+    try {
+      table = parseLuaTable(source);
+    } catch (error) {
+      throw new InvalidOptionError(`Invalid Lua in ${mapPath}: ${error.message}`);
+    }
+    return compileBlockMapping(table);
+  }
+  try {
+    return compileBlockMapping(JSON.parse(source));
+  } catch (error) {
+    if (error instanceof SyntaxError) throw new InvalidOptionError(`Invalid JSON in ${mapPath}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Value of the first rule matching a full block name, or undefined
+ */
+function mapBlockName(rules, name) {
+  const { baseName, states } = parseBlockStates(name);
+  for (const rule of rules) {
+    if (rule.regex ? !rule.regex.test(baseName) : rule.baseName !== baseName) continue;
+    const matches = Object.entries(rule.states).every(([key, value]) => states[key] === value);
+    if (matches) return rule.value;
+  }
+  return undefined;
+}
+
+module.exports = {
+  isAirBlock,
+  parseBlockStates,
+  compactBlockName,
+  expandCompactName,
+  compactStateDictionary,
+  stripBlockStates,
+  resolveBlockName,
+  namedBlock,
+  blockKey,
+  MINECRAFT_VERSIONS,
+  DATA_VERSION_FLATTENED_NAMES,
+  resolveDataVersion,
+  upgradeBlockName,
+  parseLuaTable,
+  compileBlockMapping,
+  loadBlockMapping,
+  mapBlockName,
+};
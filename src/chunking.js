@@ -0,0 +1,1064 @@
+const {
+  blockKey, compactStateDictionary, isAirBlock, mapBlockName, resolveBlockName,
+} = require("./blocks");
+const { offsetEntity } = require("./nbt");
+const { createOpacityTest } = require("./transforms");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Constants
+// ─────────────────────────────────────────────────────────────────────────────
+const CHUNK_SIZE_X = 16;
+const CHUNK_SIZE_Y = 256;
+const CHUNK_SIZE_Z = 16;
+
+// Vertical range kept when options.yRange is not set
+const DEFAULT_Y_RANGE = { min: 0, max: CHUNK_SIZE_Y - 1 };
+
+// Chunk encodings: Y-column runs, one entry per block, merged cuboids
+const ENCODINGS = ["rle", "sparse", "boxes"];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Chunking & Compression
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Sort "a,b" coordinate keys numerically (first component, then second)
+ */
+function compareCoordKeys(a, b) {
+  const [ax, az] = a.split(",").map(Number);
+  const [bx, bz] = b.split(",").map(Number);
+  return ax !== bx ? ax - bx : az - bz;
+}
+
+/**
+ * An entry's { data, nbtTypes? } keeping only `fields` of the NBT (all of it
+ * when `fields` is null)
+ */
+function pickNbtFields(entry, fields) {
+  if (!fields) {
+    return entry.nbtTypes ? { data: entry.data, nbtTypes: entry.nbtTypes } : { data: entry.data };
+  }
+  const data = {};
+  const nbtTypes = {};
+  for (const field of fields) {
+    if (field in entry.data) data[field] = entry.data[field];
+    if (entry.nbtTypes && field in entry.nbtTypes) nbtTypes[field] = entry.nbtTypes[field];
+  }
+  return Object.keys(nbtTypes).length > 0 ? { data, nbtTypes } : { data };
+}
+
+/**
+ * Group block entities by chunk and column, mirroring the block layout:
+ * { "cx,cz": { "lx,lz": [{ y, id, data, nbtTypes? }, ...] } }
+ * Positions are moved by -`shift` and Y is clipped to `yRange` like blocks.
+ * When `fields` is set, only those NBT fields are kept in `data`.
+ */
+function groupBlockEntities(entries, fields, yRange, shift) {
+  const chunkMap = new Map();
+
+  for (const original of entries) {
+    const entry = {
+      ...original,
+      x: original.x - shift.x,
+      y: original.y - shift.y,
+      z: original.z - shift.z,
+    };
+    if (entry.y < yRange.min || entry.y > yRange.max) continue;
+
+    const cx = Math.floor(entry.x / CHUNK_SIZE_X);
+    const cz = Math.floor(entry.z / CHUNK_SIZE_Z);
+    const lx = ((entry.x % CHUNK_SIZE_X) + CHUNK_SIZE_X) % CHUNK_SIZE_X;
+    const lz = ((entry.z % CHUNK_SIZE_Z) + CHUNK_SIZE_Z) % CHUNK_SIZE_Z;
+
+    const chunkKey = `${cx},${cz}`;
+    if (!chunkMap.has(chunkKey)) {
+      chunkMap.set(chunkKey, new Map());
+    }
+    const columns = chunkMap.get(chunkKey);
+
+    const colKey = `${lx},${lz}`;
+    if (!columns.has(colKey)) {
+      columns.set(colKey, []);
+    }
+    columns.get(colKey).push({ y: entry.y, id: entry.id, ...pickNbtFields(entry, fields) });
+  }
+
+  const grouped = {};
+  for (const chunkKey of Array.from(chunkMap.keys()).sort(compareCoordKeys)) {
+    const columns = chunkMap.get(chunkKey);
+    const chunkData = {};
+    for (const colKey of Array.from(columns.keys()).sort(compareCoordKeys)) {
+      chunkData[colKey] = columns.get(colKey).sort((a, b) => a.y - b.y);
+    }
+    grouped[chunkKey] = chunkData;
+  }
+  return grouped;
+}
+
+/**
+ * Build the per-column biome layer, RLE-compressed along Y like blocks:
+ * { "cx,cz": { "lx,lz": [[y, len, biomeIdx], ...] } }
+ * Positions are moved by -`shift` and Y is clipped to `yRange`.
+ */
+function buildBiomeLayer(schematic, yRange, shift) {
+  const { biomes, width, height, length } = schematic;
+  const chunkMap = new Map();
+
+  for (let z = 0; z < length; z++) {
+    for (let x = 0; x < width; x++) {
+      const runs = [];
+      for (let y = 0; y < height; y++) {
+        const outY = y - shift.y;
+        if (outY < yRange.min || outY > yRange.max) continue;
+
+        const idx = biomes.is3d
+          ? biomes.data[(y * length + z) * width + x]
+          : biomes.data[z * width + x];
+        const last = runs[runs.length - 1];
+        if (last && last[2] === idx && last[0] + last[1] === outY) {
+          last[1]++;
+        } else {
+          runs.push([outY, 1, idx]);
+        }
+      }
+      if (runs.length === 0) continue;
+
+      const wx = x - shift.x;
+      const wz = z - shift.z;
+      const chunkKey = `${Math.floor(wx / CHUNK_SIZE_X)},${Math.floor(wz / CHUNK_SIZE_Z)}`;
+      const lx = ((wx % CHUNK_SIZE_X) + CHUNK_SIZE_X) % CHUNK_SIZE_X;
+      const lz = ((wz % CHUNK_SIZE_Z) + CHUNK_SIZE_Z) % CHUNK_SIZE_Z;
+      if (!chunkMap.has(chunkKey)) {
+        chunkMap.set(chunkKey, new Map());
+      }
+      chunkMap.get(chunkKey).set(`${lx},${lz}`, runs);
+    }
+  }
+
+  const layer = {};
+  for (const chunkKey of Array.from(chunkMap.keys()).sort(compareCoordKeys)) {
+    const columns = chunkMap.get(chunkKey);
+    const chunkData = {};
+    for (const colKey of Array.from(columns.keys()).sort(compareCoordKeys)) {
+      chunkData[colKey] = columns.get(colKey);
+    }
+    layer[chunkKey] = chunkData;
+  }
+  return layer;
+}
+
+/**
+ * Shape entities for output: { id, pos, rotation, data, nbtTypes? }, moved by -`shift`
+ * (TileX/Y/Z too), keeping only `fields` of the entity NBT (all of it when `fields` is null)
+ */
+function normalizeEntities(entries, fields, shift) {
+  return entries.map((original) => {
+    const entry = offsetEntity(original, -shift.x, -shift.y, -shift.z);
+    return {
+      id: entry.id,
+      pos: { x: entry.x, y: entry.y, z: entry.z },
+      rotation: { yaw: entry.yaw, pitch: entry.pitch },
+      ...pickNbtFields(entry, fields),
+    };
+  });
+}
+
+/**
+ * Greedily merge one chunk's blocks into axis-aligned cuboids of a single
+ * palette index. `columns` maps "lx,lz" to [{ y, idx }] sorted by y.
+ * Grows each box along X, then Z, then Y; returns [x1, y1, z1, x2, y2, z2, idx]
+ * with inclusive chunk-local X/Z and output Y.
+ */
+function mergeBoxes(columns) {
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (const blocks of Object.values(columns)) {
+    minY = Math.min(minY, blocks[0].y);
+    maxY = Math.max(maxY, blocks[blocks.length - 1].y);
+  }
+
+  // Dense grid of palette index + 1 (0 = empty), indexed (y * Z + z) * X + x
+  const height = maxY - minY + 1;
+  const grid = new Int32Array(CHUNK_SIZE_X * CHUNK_SIZE_Z * height);
+  const cell = (x, y, z) => ((y - minY) * CHUNK_SIZE_Z + z) * CHUNK_SIZE_X + x;
+  for (const [colKey, blocks] of Object.entries(columns)) {
+    const [x, z] = colKey.split(",").map(Number);
+    for (const b of blocks) grid[cell(x, b.y, z)] = b.idx + 1;
+  }
+
+  const boxes = [];
+  for (let y = minY; y <= maxY; y++) {
+    for (let z = 0; z < CHUNK_SIZE_Z; z++) {
+      for (let x = 0; x < CHUNK_SIZE_X; x++) {
+        const value = grid[cell(x, y, z)];
+        if (value === 0) continue;
+
+        let x2 = x;
+        while (x2 + 1 < CHUNK_SIZE_X && grid[cell(x2 + 1, y, z)] === value) x2++;
+
+        const rowMatches = (rz, ry) => {
+          for (let rx = x; rx <= x2; rx++) {
+            if (grid[cell(rx, ry, rz)] !== value) return false;
+          }
+          return true;
+        };
+        let z2 = z;
+        while (z2 + 1 < CHUNK_SIZE_Z && rowMatches(z2 + 1, y)) z2++;
+
+        const layerMatches = (ly) => {
+          for (let rz = z; rz <= z2; rz++) {
+            if (!rowMatches(rz, ly)) return false;
+          }
+          return true;
+        };
+        let y2 = y;
+        while (y2 + 1 <= maxY && layerMatches(y2 + 1)) y2++;
+
+        // Clear the box so its cells are not merged again
+        for (let cy = y; cy <= y2; cy++) {
+          for (let cz = z; cz <= z2; cz++) {
+            grid.fill(0, cell(x, cy, cz), cell(x2, cy, cz) + 1);
+          }
+        }
+        boxes.push([x, y, z, x2, y2, z2, value - 1]);
+      }
+    }
+  }
+  return boxes;
+}
+
+// Columns per chunk. A column's slot is lx * CHUNK_SIZE_Z + lz, which sorts
+// like "lx,lz" keys.
+const CHUNK_COLUMNS = CHUNK_SIZE_X * CHUNK_SIZE_Z;
+// Int32 fields per run record: startY, length, key id, next record
+const RUN_FIELDS = 4;
+
+/**
+ * Y runs of one chunk's columns, appended block by block. Runs are
+ * [startY, length, key id, next] records in one growable Int32Array, linked
+ * per column, so a chunk costs 16 bytes per run instead of an object per
+ * block. A block below the end of its column's last run (overlapping
+ * regions, unordered structure block lists) marks the column unsorted; it
+ * is sorted when read back.
+ */
+function createRunBuffer() {
+  let records = new Int32Array(RUN_FIELDS * 64);
+  let count = 0;
+  const head = new Int32Array(CHUNK_COLUMNS).fill(-1);
+  const tail = new Int32Array(CHUNK_COLUMNS).fill(-1);
+  const unsorted = new Uint8Array(CHUNK_COLUMNS);
+
+  return {
+    append(slot, y, key) {
+      const last = tail[slot];
+      if (last !== -1) {
+        const at = last * RUN_FIELDS;
+        const end = records[at] + records[at + 1];
+        if (y === end && records[at + 2] === key) {
+          records[at + 1]++;
+          return;
+        }
+        if (y < end) unsorted[slot] = 1;
+      }
+
+      if ((count + 1) * RUN_FIELDS > records.length) {
+        const grown = new Int32Array(records.length * 2);
+        grown.set(records);
+        records = grown;
+      }
+      const at = count * RUN_FIELDS;
+      records[at] = y;
+      records[at + 1] = 1;
+      records[at + 2] = key;
+      records[at + 3] = -1;
+      if (last === -1) {
+        head[slot] = count;
+      } else {
+        records[last * RUN_FIELDS + 3] = count;
+      }
+      tail[slot] = count;
+      count++;
+    },
+
+    hasColumn(slot) {
+      return head[slot] !== -1;
+    },
+
+    /**
+     * One column's runs as flat [startY, length, key id] triples sorted by Y;
+     * blocks at the same Y keep their input order
+     */
+    columnRuns(slot) {
+      const runs = [];
+      for (let record = head[slot]; record !== -1; record = records[record * RUN_FIELDS + 3]) {
+        const at = record * RUN_FIELDS;
+        runs.push(records[at], records[at + 1], records[at + 2]);
+      }
+      if (!unsorted[slot]) return runs;
+
+      const ys = [];
+      const keys = [];
+      for (let i = 0; i < runs.length; i += 3) {
+        for (let j = 0; j < runs[i + 1]; j++) {
+          ys.push(runs[i] + j);
+          keys.push(runs[i + 2]);
+        }
+      }
+      const order = ys.map((_, i) => i).sort((a, b) => ys[a] - ys[b] || a - b);
+      const sorted = [];
+      for (const i of order) {
+        const n = sorted.length;
+        if (n > 0 && sorted[n - 3] + sorted[n - 2] === ys[i] && sorted[n - 1] === keys[i]) {
+          sorted[n - 2]++;
+        } else {
+          sorted.push(ys[i], 1, keys[i]);
+        }
+      }
+      return sorted;
+    },
+  };
+}
+
+/**
+ * Whether sorted inclusive [start, end, start, end, ...] intervals contain y
+ */
+function intervalsContain(intervals, y) {
+  if (!intervals) return false;
+  let low = 0;
+  let high = intervals.length / 2 - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (y < intervals[mid * 2]) {
+      high = mid - 1;
+    } else if (y > intervals[mid * 2 + 1]) {
+      low = mid + 1;
+    } else {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Finish raw run buffers one chunk at a time, in sorted order: shift Y into
+ * output space, clip to the Y range, cull hidden blocks and merge runs by
+ * palette index. Each chunk becomes one Int32Array of [slot, y, length, idx]
+ * runs, or [x1, y1, z1, x2, y2, z2, idx] boxes. A raw chunk is released
+ * once no later chunk needs it as a culling neighbour. With `owns(cx)`,
+ * other chunks are only culling neighbours and are not finished.
+ *
+ * Returns { chunks: Map("cx,cz" -> Int32Array), chunkCount, used (palette
+ * indices still referenced), nonAirBlocks, clippedBlocks, culledBlocks,
+ * boxCount, minY, maxY }.
+ */
+function finishChunks(chunkMap, { encoding, keyPalette, keyOpaque, paletteSize, yRange, yOffset, owns = null }) {
+  const result = {
+    chunks: new Map(),
+    chunkCount: 0,
+    used: new Uint8Array(paletteSize),
+    nonAirBlocks: 0,
+    clippedBlocks: 0,
+    culledBlocks: 0,
+    boxCount: 0,
+    minY: Infinity,
+    maxY: -Infinity,
+  };
+  // Y range in input coordinates
+  const rawMin = yRange.min + yOffset;
+  const rawMax = yRange.max + yOffset;
+  const chunkXOf = (chunkKey) => Number(chunkKey.slice(0, chunkKey.indexOf(",")));
+
+  // Opaque input Y intervals per column of a chunk, inside the Y range.
+  // Clipped neighbours leave a face exposed, so they don't count.
+  const opaqueCache = new Map(); // "cx,cz" -> Array(CHUNK_COLUMNS) | null
+  const opaqueColumn = (x, z) => {
+    const cx = Math.floor(x / CHUNK_SIZE_X);
+    const cz = Math.floor(z / CHUNK_SIZE_Z);
+    const chunkKey = `${cx},${cz}`;
+    let columns = opaqueCache.get(chunkKey);
+    if (columns === undefined) {
+      columns = null;
+      const runs = chunkMap.get(chunkKey);
+      if (runs) {
+        columns = new Array(CHUNK_COLUMNS).fill(null);
+        for (let slot = 0; slot < CHUNK_COLUMNS; slot++) {
+          if (!runs.hasColumn(slot)) continue;
+          const list = runs.columnRuns(slot);
+          const intervals = [];
+          for (let i = 0; i < list.length; i += 3) {
+            if (!keyOpaque[list[i + 2]]) continue;
+            const start = Math.max(list[i], rawMin);
+            const end = Math.min(list[i] + list[i + 1] - 1, rawMax);
+            if (start > end) continue;
+            const n = intervals.length;
+            if (n > 0 && start <= intervals[n - 1] + 1) {
+              intervals[n - 1] = Math.max(intervals[n - 1], end);
+            } else {
+              intervals.push(start, end);
+            }
+          }
+          columns[slot] = intervals;
+        }
+      }
+      opaqueCache.set(chunkKey, columns);
+    }
+    return columns ? columns[(x - cx * CHUNK_SIZE_X) * CHUNK_SIZE_Z + (z - cz * CHUNK_SIZE_Z)] : null;
+  };
+
+  const sortedChunkKeys = Array.from(chunkMap.keys()).sort(compareCoordKeys);
+  let released = 0;
+
+  for (const chunkKey of sortedChunkKeys) {
+    const [cx, cz] = chunkKey.split(",").map(Number);
+    const runs = chunkMap.get(chunkKey);
+
+    // Culling looks one chunk to each side; chunks two X steps back are done
+    if (keyOpaque) {
+      while (chunkXOf(sortedChunkKeys[released]) < cx - 1) {
+        chunkMap.delete(sortedChunkKeys[released++]);
+      }
+      for (const cachedKey of opaqueCache.keys()) {
+        if (chunkXOf(cachedKey) < cx - 1) opaqueCache.delete(cachedKey);
+      }
+    }
+    if (owns && !owns(cx)) continue;
+
+    const out = []; // [slot, y, length, idx] runs in output space
+    for (let slot = 0; slot < CHUNK_COLUMNS; slot++) {
+      if (!runs.hasColumn(slot)) continue;
+      const x = cx * CHUNK_SIZE_X + Math.floor(slot / CHUNK_SIZE_Z);
+      const z = cz * CHUNK_SIZE_Z + (slot % CHUNK_SIZE_Z);
+      const columnStart = out.length;
+
+      // Inclusive input Y range of blocks that are kept
+      const emit = (start, end, idx) => {
+        const y = start - yOffset;
+        const length = end - start + 1;
+        const n = out.length;
+        result.nonAirBlocks += length;
+        if (n > columnStart && out[n - 3] + out[n - 2] === y && out[n - 1] === idx) {
+          out[n - 2] += length;
+        } else {
+          out.push(slot, y, length, idx);
+        }
+      };
+
+      const list = runs.columnRuns(slot);
+      let neighbours = null;
+      for (let i = 0; i < list.length; i += 3) {
+        const start = list[i];
+        const length = list[i + 1];
+        const keyId = list[i + 2];
+        const first = Math.max(start, rawMin);
+        const last = Math.min(start + length - 1, rawMax);
+        if (first > last) {
+          result.clippedBlocks += length;
+          continue;
+        }
+        result.clippedBlocks += length - (last - first + 1);
+
+        const idx = keyPalette[keyId];
+        if (!keyOpaque || !keyOpaque[keyId]) {
+          emit(first, last, idx);
+          continue;
+        }
+
+        // Cull opaque blocks whose six neighbours are all opaque
+        if (!neighbours) {
+          neighbours = [opaqueColumn(x, z), opaqueColumn(x + 1, z), opaqueColumn(x - 1, z),
+            opaqueColumn(x, z + 1), opaqueColumn(x, z - 1)];
+        }
+        const [column, east, west, south, north] = neighbours;
+        let segment = first;
+        for (let y = first; y <= last; y++) {
+          if (intervalsContain(column, y + 1) && intervalsContain(column, y - 1) &&
+              intervalsContain(east, y) && intervalsContain(west, y) &&
+              intervalsContain(south, y) && intervalsContain(north, y)) {
+            result.culledBlocks++;
+            if (y > segment) emit(segment, y - 1, idx);
+            segment = y + 1;
+          }
+        }
+        if (segment <= last) emit(segment, last, idx);
+      }
+
+      if (out.length > columnStart) {
+        const n = out.length;
+        result.minY = Math.min(result.minY, out[columnStart + 1]);
+        result.maxY = Math.max(result.maxY, out[n - 3] + out[n - 2] - 1);
+      }
+    }
+    if (!keyOpaque) chunkMap.delete(chunkKey);
+    if (out.length === 0) continue;
+
+    for (let i = 3; i < out.length; i += 4) result.used[out[i]] = 1;
+
+    if (encoding === "boxes") {
+      // One chunk's blocks as { y, idx } lists, for merging
+      const columns = {};
+      for (let i = 0; i < out.length; i += 4) {
+        const colKey = `${Math.floor(out[i] / CHUNK_SIZE_Z)},${out[i] % CHUNK_SIZE_Z}`;
+        columns[colKey] ??= [];
+        for (let j = 0; j < out[i + 2]; j++) columns[colKey].push({ y: out[i + 1] + j, idx: out[i + 3] });
+      }
+      const boxes = mergeBoxes(columns);
+      result.boxCount += boxes.length;
+      result.chunks.set(chunkKey, Int32Array.from(boxes.flat()));
+    } else {
+      result.chunks.set(chunkKey, Int32Array.from(out));
+    }
+    result.chunkCount++;
+  }
+  return result;
+}
+
+/**
+ * The stats of finishChunks results added up, as one result without chunks
+ * (`chunks` is null)
+ */
+function sumFinished(results, paletteSize) {
+  const total = {
+    chunks: null,
+    chunkCount: 0,
+    used: new Uint8Array(paletteSize),
+    nonAirBlocks: 0,
+    clippedBlocks: 0,
+    culledBlocks: 0,
+    boxCount: 0,
+    minY: Infinity,
+    maxY: -Infinity,
+  };
+  for (const result of results) {
+    for (let idx = 0; idx < paletteSize; idx++) total.used[idx] |= result.used[idx];
+    for (const key of ["chunkCount", "nonAirBlocks", "clippedBlocks", "culledBlocks", "boxCount"]) {
+      total[key] += result[key];
+    }
+    total.minY = Math.min(total.minY, result.minY);
+    total.maxY = Math.max(total.maxY, result.maxY);
+  }
+  return total;
+}
+
+/**
+ * Plain chunk data from a finished chunk (see finishChunks), in the output
+ * encoding, with palette indices renumbered through `remap`
+ */
+function expandChunk(records, encoding, remap) {
+  if (encoding === "boxes") {
+    const boxes = [];
+    for (let i = 0; i < records.length; i += 7) {
+      const box = Array.from(records.subarray(i, i + 7));
+      box[6] = remap[box[6]];
+      boxes.push(box);
+    }
+    return boxes;
+  }
+
+  const columns = {};
+  let slot = -1;
+  let runs = null;
+  for (let i = 0; i < records.length; i += 4) {
+    if (records[i] !== slot) {
+      slot = records[i];
+      runs = [];
+      columns[`${Math.floor(slot / CHUNK_SIZE_Z)},${slot % CHUNK_SIZE_Z}`] = runs;
+    }
+    const y = records[i + 1];
+    const length = records[i + 2];
+    const idx = remap[records[i + 3]];
+    if (encoding === "rle") {
+      runs.push([y, length, idx]);
+    } else {
+      for (let j = 0; j < length; j++) runs.push([y + j, idx]);
+    }
+  }
+  return columns;
+}
+
+/**
+ * X/Z shift from schematic to output coordinates: the paste anchor with
+ * options.anchorOrigin, less options.translate
+ */
+function horizontalShift(schematic, options) {
+  const anchor = options.anchorOrigin && schematic.origin ? schematic.origin : null;
+  const translate = options.translate || { x: 0, y: 0, z: 0 };
+  return {
+    x: (anchor ? anchor.x : 0) - translate.x,
+    z: (anchor ? anchor.z : 0) - translate.z,
+  };
+}
+
+/**
+ * The iterateBlocks areas covering the chunk columns `band` keeps: one per
+ * run of neighbouring kept columns, in schematic coordinates
+ */
+function bandAreas(schematic, shift, band) {
+  const first = Math.floor(-shift.x / CHUNK_SIZE_X);
+  const last = Math.floor((schematic.width - 1 - shift.x) / CHUNK_SIZE_X);
+  const areas = [];
+  for (let cx = first; cx <= last; cx++) {
+    if (!band.keeps(cx)) continue;
+    let end = cx;
+    while (end < last && band.keeps(end + 1)) end++;
+    areas.push({
+      minX: cx * CHUNK_SIZE_X + shift.x,
+      maxX: (end + 1) * CHUNK_SIZE_X - 1 + shift.x,
+      minZ: -Infinity,
+      maxZ: Infinity,
+    });
+    cx = end;
+  }
+  return areas;
+}
+
+/**
+ * Collect a schematic's blocks into per-chunk run buffers. Each distinct
+ * block key gets a key id; keys[id] is { key, entry, entryKey, opaque,
+ * first, unmapped }: its palette entry, opacity when culling, the index of
+ * its first block and, with a block mapping, the count of its blocks that
+ * had no mapping (undefined when mapped).
+ *
+ * With `band` ({ owns(cx), keeps(cx) }), only the chunk columns the band
+ * keeps are read, and only chunks it owns count towards totalBlocks, `first`
+ * and unmapped counts; the others are neighbours for culling. With
+ * `keysOnly`, no run buffers are made. With `keys` from an earlier scan of
+ * the same schematic, blocks get the key ids they had there and those keys
+ * are not counted again. Returns { keys, chunkMap, totalBlocks, lowestY }.
+ */
+function scanBlocks(schematic, options, band = null, { keysOnly = false, keys: knownKeys = null } = {}) {
+  const { includeAir } = options;
+  const shift = horizontalShift(schematic, options);
+  const isOpaque = options.cull ? createOpacityTest(options) : null;
+  const keys = knownKeys ?? [];
+  const keyIds = new Map(keys.map((scanned, keyId) => [scanned.key, keyId])); // blockKey -> key id
+  const chunkMap = new Map(); // "cx,cz" -> run buffer
+
+  let totalBlocks = 0;
+  let lowestY = Infinity;
+
+  // Blocks mostly arrive chunk by chunk, so the last chunk's buffer is kept at hand
+  let chunkX = NaN;
+  let chunkZ = NaN;
+  let runs = null;
+  let kept = true;
+  let owned = true;
+
+  // Key id of a block, creating it on first use; -1 for air unless it is kept
+  const nameKeyIds = new Map(); // block name -> key id, or -1
+  const keyIdOf = (block) => {
+    if (!includeAir && isAirBlock(block)) return -1;
+
+    // Mappings match the full block name, so that is the key until the entry
+    // is resolved
+    const key = options.blockMap
+      ? resolveBlockName(block, options, schematic.dataVersion) ?? `${block.id}:${block.data}`
+      : blockKey(block, options, schematic.dataVersion);
+    let keyId = keyIds.get(key);
+    if (keyId === undefined) {
+      let entry = key;
+      let unmapped;
+      if (options.blockMap) {
+        entry = mapBlockName(options.blockMap, key);
+        if (entry === undefined) {
+          entry = blockKey(block, options, schematic.dataVersion);
+          unmapped = 0;
+        }
+      }
+      keyId = keys.length;
+      keys.push({
+        key,
+        entry,
+        // Several blocks can map to the same entry
+        entryKey: typeof entry === "string" ? entry : JSON.stringify(entry),
+        opaque: isOpaque ? isOpaque(resolveBlockName(block, options, schematic.dataVersion)) : false,
+        first: Infinity,
+        unmapped,
+      });
+      keyIds.set(key, keyId);
+    }
+    return keyId;
+  };
+
+  const scanBlock = (block) => {
+    // Chunk coordinates
+    const x = block.x - shift.x;
+    const z = block.z - shift.z;
+    const cx = Math.floor(x / CHUNK_SIZE_X);
+    const cz = Math.floor(z / CHUNK_SIZE_Z);
+    if (cx !== chunkX || cz !== chunkZ) {
+      chunkX = cx;
+      chunkZ = cz;
+      runs = null;
+      kept = !band || band.keeps(cx);
+      owned = !band || band.owns(cx);
+      if (kept && !keysOnly) {
+        const chunkKey = `${cx},${cz}`;
+        runs = chunkMap.get(chunkKey);
+        if (!runs) {
+          runs = createRunBuffer();
+          chunkMap.set(chunkKey, runs);
+        }
+      }
+    }
+    if (!kept) return;
+    if (owned) totalBlocks++;
+
+    // Most blocks' keys only depend on their name, so those are looked up by it
+    const byName = block.name !== undefined && (!options.targetVersion || block.dataVersion === undefined);
+    let keyId = byName ? nameKeyIds.get(block.name) : undefined;
+    if (keyId === undefined) {
+      keyId = keyIdOf(block);
+      if (byName) nameKeyIds.set(block.name, keyId);
+    }
+    if (keyId === -1) return;
+
+    // Y range is applied after re-basing, once the lowest block is known
+    lowestY = Math.min(lowestY, block.y);
+
+    if (owned && !knownKeys) {
+      const scanned = keys[keyId];
+      if (block.index < scanned.first) scanned.first = block.index;
+      if (scanned.unmapped !== undefined) scanned.unmapped++;
+    }
+
+    if (runs) runs.append((x - cx * CHUNK_SIZE_X) * CHUNK_SIZE_Z + (z - cz * CHUNK_SIZE_Z), block.y, keyId);
+  };
+
+  // A band's areas are read one after another, so `first` is the lowest index seen
+  for (const area of band ? bandAreas(schematic, shift, band) : [null]) {
+    for (const block of schematic.iterateBlocks(area)) {
+      scanBlock(block);
+    }
+  }
+
+  return { keys, chunkMap, totalBlocks, lowestY };
+}
+
+/**
+ * Scan and finish a schematic one chunk column (along X) at a time, yielding
+ * a finishChunks result per column in order. A column's run buffers are
+ * freed once it is finished, or once the next column is when culling, so
+ * only up to three columns are held at once. `keys` are those of a keysOnly
+ * scan (see scanBlocks), and `finishOptions` are finishChunks options.
+ */
+function* finishColumns(schematic, options, keys, finishOptions) {
+  const shift = horizontalShift(schematic, options);
+  const first = Math.floor(-shift.x / CHUNK_SIZE_X);
+  const last = Math.floor((schematic.width - 1 - shift.x) / CHUNK_SIZE_X);
+  const chunkMap = new Map(); // "cx,cz" -> run buffer
+  const scanColumn = (cx) => {
+    const column = { owns: (c) => c === cx, keeps: (c) => c === cx };
+    for (const [chunkKey, runs] of scanBlocks(schematic, options, column, { keys }).chunkMap) {
+      chunkMap.set(chunkKey, runs);
+    }
+  };
+
+  // Culling reads one column ahead, for the neighbours of the column finished
+  const ahead = options.cull ? 1 : 0;
+  if (ahead && first <= last) scanColumn(first);
+  for (let cx = first; cx <= last; cx++) {
+    if (cx + ahead <= last) scanColumn(cx + ahead);
+    yield finishChunks(chunkMap, { ...finishOptions, owns: (c) => c === cx });
+    for (const chunkKey of chunkMap.keys()) {
+      if (Number(chunkKey.slice(0, chunkKey.indexOf(","))) <= cx - ahead) chunkMap.delete(chunkKey);
+    }
+  }
+}
+
+/**
+ * Palette from the keys of one or more scans of the same schematic, in the
+ * order their blocks first appear, so it does not depend on how the blocks
+ * were split between scans. Returns { palette, keyPalettes (per scan, key
+ * id -> palette index), unmapped (Map of block name -> count) }.
+ */
+function mergeScannedKeys(keyLists) {
+  const order = [];
+  keyLists.forEach((keys, scan) => {
+    keys.forEach((scanned, keyId) => {
+      if (scanned.first !== Infinity) order.push({ scanned, scan, keyId });
+    });
+  });
+  order.sort((a, b) => a.scanned.first - b.scanned.first);
+
+  const palette = [];
+  const entryMap = new Map(); // palette entry (serialized) -> index
+  const unmapped = new Map();
+  const keyPalettes = keyLists.map((keys) => new Int32Array(keys.length).fill(-1));
+  for (const { scanned, scan, keyId } of order) {
+    let paletteIdx = entryMap.get(scanned.entryKey);
+    if (paletteIdx === undefined) {
+      paletteIdx = palette.length;
+      palette.push(scanned.entry);
+      entryMap.set(scanned.entryKey, paletteIdx);
+    }
+    keyPalettes[scan][keyId] = paletteIdx;
+    if (scanned.unmapped !== undefined) {
+      unmapped.set(scanned.key, (unmapped.get(scanned.key) ?? 0) + scanned.unmapped);
+    }
+  }
+  return { palette, keyPalettes, unmapped };
+}
+
+/**
+ * Original Y of output y = 0: the lowest block with options.rebaseY, less
+ * options.translate
+ */
+function outputYOffset(options, lowestY) {
+  const translate = options.translate || { x: 0, y: 0, z: 0 };
+  return (options.rebaseY && lowestY !== Infinity ? lowestY : 0) - translate.y;
+}
+
+/**
+ * Build chunked, RLE-compressed data structure
+ * 
+ * Output format:
+ * - palette: string[] of unique block names
+ * - chunks: { "cx,cz": { columns: { "lx,lz": [[y, len, paletteIdx], ...] } } }
+ * - blockEntities: { "cx,cz": { "lx,lz": [{ y, id, data, nbtTypes? }, ...] } }
+ * - entities: [{ id, pos: { x, y, z }, rotation: { yaw, pitch }, data, nbtTypes? }, ...]
+ * - biomePalette/biomes: biome names and { "cx,cz": { "lx,lz": [[y, len, biomeIdx], ...] } }
+ *   (only with options.biomes, when the schematic carries biome data)
+ * 
+ * RLE encodes consecutive runs along the Y axis for each (x,z) column
+ *
+ * Blocks are kept within options.yRange (inclusive, output space), or
+ * DEFAULT_Y_RANGE; the returned `yRange` is null when it was not set. With
+ * options.rebaseY, Y is shifted first so the lowest block sits at 0; the
+ * shift is returned as yOffset (original Y = output Y + yOffset).
+ *
+ * schematic.origin (the paste anchor in schematic coordinates) is returned as
+ * `origin`. With options.anchorOrigin, X/Z are shifted so the anchor sits on
+ * the chunk grid origin.
+ *
+ * With options.streamChunks, `chunks` is null and `eachChunk()` yields
+ * ["cx,cz", chunkData] pairs in sorted order instead. It can be iterated
+ * more than once. The blocks are then read again for the stats and on each
+ * pass of eachChunk(), one chunk column at a time (see finishColumns), so
+ * memory does not grow with the length of the build along X.
+ */
+function buildChunkedData(schematic, options) {
+  const yRange = options.yRange || DEFAULT_Y_RANGE;
+  const scan = scanBlocks(schematic, options, null, { keysOnly: Boolean(options.streamChunks) });
+  const { palette, keyPalettes, unmapped } = mergeScannedKeys([scan.keys]);
+  const yOffset = outputYOffset(options, scan.lowestY);
+
+  // Clip, cull and encode chunk by chunk into compact runs or boxes
+  const finishOptions = {
+    encoding: options.encoding,
+    keyPalette: keyPalettes[0],
+    keyOpaque: options.cull ? scan.keys.map((scanned) => scanned.opaque) : null,
+    paletteSize: palette.length,
+    yRange,
+    yOffset,
+  };
+  let finished;
+  if (options.streamChunks) {
+    const columns = () => finishColumns(schematic, options, scan.keys, finishOptions);
+    finished = sumFinished(columns(), palette.length);
+    finished.chunks = {
+      *[Symbol.iterator]() {
+        for (const column of columns()) yield* column.chunks;
+      },
+    };
+  } else {
+    finished = finishChunks(scan.chunkMap, finishOptions);
+  }
+
+  return assembleChunkedData(schematic, options, {
+    palette,
+    unmapped,
+    totalBlocks: scan.totalBlocks,
+    yOffset,
+    finished,
+  });
+}
+
+/**
+ * Last step of buildChunkedData, from the merged palette and finished
+ * chunks (see finishChunks): prune the palette, lay out block entities,
+ * entities and biomes, and gather stats
+ */
+function assembleChunkedData(schematic, options, { palette, unmapped, totalBlocks, yOffset, finished }) {
+  const { encoding } = options;
+  const yRange = options.yRange || DEFAULT_Y_RANGE;
+  const { clippedBlocks, culledBlocks } = finished;
+
+  // Drop palette entries only used by clipped or culled blocks
+  const remap = palette.map((_, idx) => idx);
+  if (clippedBlocks > 0 || culledBlocks > 0) {
+    let next = 0;
+    for (let idx = 0; idx < remap.length; idx++) {
+      remap[idx] = finished.used[idx] ? next++ : -1;
+    }
+    palette = palette.filter((_, idx) => finished.used[idx]);
+  }
+
+  // Plain chunk data, built one chunk at a time on each pass
+  const eachChunk = function* () {
+    for (const [chunkKey, records] of finished.chunks) {
+      yield [chunkKey, expandChunk(records, encoding, remap)];
+    }
+  };
+  const chunks = options.streamChunks ? null : Object.fromEntries(eachChunk());
+  const boxCount = encoding === "boxes" ? finished.boxCount : undefined;
+
+  const { x: shiftX, z: shiftZ } = horizontalShift(schematic, options);
+  const shift = { x: shiftX, y: yOffset, z: shiftZ };
+  const blockEntities = groupBlockEntities(
+    schematic.blockEntities || [],
+    options.blockEntityFields,
+    yRange,
+    shift
+  );
+  let blockEntityCount = 0;
+  for (const columns of Object.values(blockEntities)) {
+    for (const entries of Object.values(columns)) blockEntityCount += entries.length;
+  }
+
+  const entities = normalizeEntities(schematic.entities || [], options.entityFields, shift);
+  const origin = schematic.origin
+    ? { x: schematic.origin.x - shift.x, y: schematic.origin.y - shift.y, z: schematic.origin.z - shift.z }
+    : null;
+  const withBiomes = options.biomes && schematic.biomes;
+  const biomePalette = withBiomes ? schematic.biomes.palette : null;
+  const biomes = withBiomes ? buildBiomeLayer(schematic, yRange, shift) : null;
+
+  return {
+    palette,
+    chunks,
+    ...(options.streamChunks ? { eachChunk } : {}),
+    yRange: options.yRange ?? null,
+    yOffset,
+    origin,
+    stateDictionary: options.compact && !options.stripStates ? compactStateDictionary(palette) : null,
+    biomePalette,
+    biomes,
+    blockEntities,
+    entities,
+    stats: {
+      totalBlocks,
+      nonAirBlocks: finished.nonAirBlocks,
+      paletteSize: palette.length,
+      chunkCount: finished.chunkCount,
+      blockEntityCount,
+      entityCount: entities.length,
+      biomePaletteSize: biomePalette ? biomePalette.length : 0,
+      clippedBlocks,
+      culledBlocks,
+      boxCount,
+      unmapped: Object.fromEntries(unmapped),
+      maxY: finished.maxY === -Infinity ? 0 : finished.maxY,
+      minY: finished.minY === Infinity ? 0 : finished.minY,
+      size: {
+        width: schematic.width,
+        height: schematic.height,
+        length: schematic.length,
+      },
+    },
+  };
+}
+
+/**
+ * One region of a multi-region schematic as a schematic of its own, and the
+ * options it is built with: --translate moves region positions, not the
+ * blocks inside them
+ */
+function regionBuild(schematic, index, options) {
+  return {
+    schematic: { dataVersion: schematic.dataVersion, ...schematic.regions[index] },
+    options: { ...options, translate: null },
+  };
+}
+
+/**
+ * Build one chunked sub-build per region (multi-region Litematica files).
+ * Each region keeps its own palette and region-relative coordinates;
+ * `position` places its minimum corner in the shared origin. `regionBuilds`
+ * holds regions already built by buildChunkedData, e.g. in worker threads.
+ */
+function buildRegionData(schematic, options, regionBuilds = null) {
+  // Regions are placed relative to the anchor when re-anchoring
+  const anchor = options.anchorOrigin && schematic.origin ? schematic.origin : { x: 0, z: 0 };
+  const translate = options.translate || { x: 0, y: 0, z: 0 };
+  const regions = schematic.regions.map((region, index) => {
+    const build = regionBuild(schematic, index, options);
+    return {
+      name: region.name,
+      position: {
+        x: region.x - anchor.x + translate.x,
+        y: region.y + translate.y,
+        z: region.z - anchor.z + translate.z,
+      },
+      ...(regionBuilds ? regionBuilds[index] : buildChunkedData(build.schematic, build.options)),
+    };
+  });
+
+  const stats = {
+    totalBlocks: 0,
+    nonAirBlocks: 0,
+    paletteSize: 0,
+    chunkCount: 0,
+    blockEntityCount: 0,
+    entityCount: 0,
+    biomePaletteSize: 0,
+    clippedBlocks: 0,
+    culledBlocks: 0,
+    unmapped: {},
+    regionCount: regions.length,
+    maxY: 0,
+    minY: 0,
+    size: {
+      width: schematic.width,
+      height: schematic.height,
+      length: schematic.length,
+    },
+  };
+  for (const [index, region] of regions.entries()) {
+    for (const key of ["totalBlocks", "nonAirBlocks", "paletteSize", "chunkCount",
+      "blockEntityCount", "entityCount", "clippedBlocks", "culledBlocks"]) {
+      stats[key] += region.stats[key];
+    }
+    for (const [name, count] of Object.entries(region.stats.unmapped)) {
+      stats.unmapped[name] = (stats.unmapped[name] ?? 0) + count;
+    }
+    if (region.stats.boxCount !== undefined) {
+      stats.boxCount = (stats.boxCount ?? 0) + region.stats.boxCount;
+    }
+    stats.maxY = index === 0 ? region.stats.maxY : Math.max(stats.maxY, region.stats.maxY);
+    stats.minY = index === 0 ? region.stats.minY : Math.min(stats.minY, region.stats.minY);
+  }
+
+  return {
+    regions,
+    yRange: options.yRange ?? null,
+    stateDictionary: options.compact && !options.stripStates
+      ? compactStateDictionary(regions.flatMap((region) => region.palette))
+      : null,
+    origin: schematic.origin
+      ? {
+        x: schematic.origin.x - anchor.x + translate.x,
+        y: schematic.origin.y + translate.y,
+        z: schematic.origin.z - anchor.z + translate.z,
+      }
+      : null,
+    stats,
+  };
+}
+
+module.exports = {
+  CHUNK_SIZE_X,
+  CHUNK_SIZE_Y,
+  DEFAULT_Y_RANGE,
+  CHUNK_SIZE_Z,
+  ENCODINGS,
+  compareCoordKeys,
+  finishChunks,
+  sumFinished,
+  scanBlocks,
+  mergeScannedKeys,
+  outputYOffset,
+  buildChunkedData,
+  assembleChunkedData,
+  regionBuild,
+  buildRegionData,
+};
@@ -0,0 +1,777 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { ConverterError, UnmappedBlocksError } = require("./errors");
+const { MINECRAFT_VERSIONS, resolveDataVersion } = require("./blocks");
+const { SCHEMATIC_FORMATS } = require("./parsers");
+const { splitPatternList } = require("./transforms");
+const { ENCODINGS } = require("./chunking");
+const {
+  LUAU_COMPACT_NAMES_PATH, LUAU_DECODER_PATH, OUTPUT_FORMATS, writeBuild, writeSplitOutput,
+} = require("./writers");
+const { decompileBuild, readConvertedBuild } = require("./decompile");
+const { PREVIEW_VIEWS, renderPreview } = require("./preview");
+const { convert, defaultOptions } = require("./api");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Usage
+// ─────────────────────────────────────────────────────────────────────────────
+
+const USAGE = `
+Schema Converter - Minecraft to Roblox Voxel Format
+
+Usage:
+  node src/convert.js <input> <output> [options]
+  node src/convert.js decompile <build.lua|build.json> <output.schem> [--target-version <version>]
+  node src/convert.js batch <input dir|"glob"> <output dir> [options] [--watch]
+
+Input formats:
+  .schem      WorldEdit Sponge schematic
+  .schematic  WorldEdit classic schematic
+  .litematic  Litematica schematic
+  .nbt        Vanilla structure block export
+  .mcstructure  Bedrock structure
+  <world dir> or r.X.Z.mca  Anvil world save (requires --bounds)
+
+Options:
+  --out <format>   Output format: lua (default), json, binary, luau-buffer
+                   (base64 Luau module + SchemaDecoder.luau), rbxmx or model.json (Rojo)
+  --block-size <studs>
+                   Part size per block for rbxmx/model.json output (default 4)
+  --include-air    Include air blocks in output
+  --no-rle         Disable RLE compression (use sparse format)
+  --encoding <mode>
+                   Chunk encoding: rle (default), sparse, or boxes (merged cuboids)
+  --compact        Compact block names (strip prefix, abbreviate states)
+  --strip-states   Strip all block states (loses metadata)
+  --stats          Print detailed statistics
+  --block-entity-fields <list>
+                   Keep only these block entity NBT fields (comma-separated)
+  --entity-fields <list>
+                   Entity NBT fields to keep (comma-separated, "all" keeps everything)
+  --biomes         Write Sponge biome data as a biome layer
+  --bounds <x1,y1,z1:x2,y2,z2>
+                   World block box to import from an Anvil world (inclusive)
+  --y-range <min:max>
+                   Vertical range to keep, inclusive (default 0:255)
+  --rebase-y       Shift Y so the lowest block sits at 0
+  --split-regions  Write each Litematica region as its own named sub-build
+  --anchor-origin  Re-anchor the chunk grid (X/Z) on the schematic's paste origin
+  --legacy-ids     Keep classic numeric blocks as "id:data" instead of 1.13 names
+  --target-version <version>
+                   Rename blocks for this Minecraft version or DataVersion (e.g. 1.20.4, 3700)
+  --map <file>     Map block names to your own blocks (.json or .lua mapping)
+  --fail-unmapped  Fail if any block has no entry in the --map file
+  --crop <x1,y1,z1:x2,y2,z2>
+                   Keep only this box of the schematic (inclusive, schematic coordinates)
+  --include <patterns>
+                   Keep only blocks matching these patterns (comma-separated, e.g. "minecraft:stone*")
+  --exclude <patterns>
+                   Drop blocks matching these patterns (e.g. "*_leaves")
+  --replace "<pattern> -> <block>"
+                   Replace matching blocks (repeatable, e.g. "minecraft:water -> air")
+  --cull           Drop hidden blocks enclosed by opaque blocks on all six sides
+  --opaque <patterns>
+                   Extra blocks that count as opaque full cubes for --cull
+  --transparent <patterns>
+                   Blocks that never count as opaque for --cull
+  --split          Write <output> as a directory of per-chunk modules plus a manifest
+  --split-group <n>
+                   With --split, put n x n chunks in each module (default 1)
+  --rotate <deg>   Rotate the build clockwise (seen from above): 90, 180 or 270
+  --mirror <axis>  Mirror the build along x (east/west), z (north/south) or xz
+  --translate <x,y,z>
+                   Move the build by this offset in the output
+  --threads <n>    Build chunks on n worker threads (default 1); output is unchanged
+  --watch          With batch, keep running and re-convert inputs when they change
+  --preview <file.png>
+                   Also render a PNG preview: top-down map and optional elevations
+  --preview-views <list>
+                   Preview views, comma-separated: top (default), front, side
+  --preview-colors <file>
+                   Block pattern -> color table for the preview (.json or .lua)
+
+Examples:
+  node src/convert.js build.schem output.lua
+  node src/convert.js build.schem output.lua --compact
+  node src/convert.js build.litematic output.json --out json --stats
+  node src/convert.js build.schem output.lua --preview preview.png --preview-views top,front,side
+  node src/convert.js ~/saves/MyWorld spawn.lua --bounds -32,60,-32:31,120,31
+  node src/convert.js batch shared/builds out/ --compact
+  node src/convert.js batch "shared/**/*.litematic" out/ --out json --watch
+`.trim();
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Argument Parsing
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Parse an inclusive box "x1,y1,z1:x2,y2,z2" into normalized min/max corners.
+ * Returns null if the string is malformed.
+ */
+function parseBox(str) {
+  const corners = str.split(":").map((part) => part.split(",").map(Number));
+  if (corners.length !== 2 || corners.some((c) => c.length !== 3 || c.some((v) => !Number.isInteger(v)))) {
+    return null;
+  }
+  const [a, b] = corners;
+  return {
+    minX: Math.min(a[0], b[0]),
+    minY: Math.min(a[1], b[1]),
+    minZ: Math.min(a[2], b[2]),
+    maxX: Math.max(a[0], b[0]),
+    maxY: Math.max(a[1], b[1]),
+    maxZ: Math.max(a[2], b[2]),
+  };
+}
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const options = {
+    inputPath: null,
+    outputPath: null,
+    showStats: false,
+    watch: false,
+    previewPath: null,
+    ...defaultOptions(),
+  };
+
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--out" && i + 1 < args.length) {
+      options.outFormat = args[++i].toLowerCase();
+    } else if (arg === "--include-air") {
+      options.includeAir = true;
+    } else if (arg === "--no-rle") {
+      options.encoding = "sparse";
+    } else if (arg === "--encoding" && i + 1 < args.length) {
+      options.encoding = args[++i].toLowerCase();
+    } else if (arg === "--compact") {
+      options.compact = true;
+    } else if (arg === "--strip-states" || arg === "--normalize") {
+      options.stripStates = true;
+    } else if (arg === "--stats") {
+      options.showStats = true;
+    } else if (arg === "--block-entity-fields" && i + 1 < args.length) {
+      options.blockEntityFields = args[++i].split(",").map((f) => f.trim()).filter(Boolean);
+    } else if (arg === "--entity-fields" && i + 1 < args.length) {
+      const fields = args[++i].split(",").map((f) => f.trim()).filter(Boolean);
+      options.entityFields = fields.includes("all") ? null : fields;
+    } else if (arg === "--biomes") {
+      options.biomes = true;
+    } else if (arg === "--bounds" && i + 1 < args.length) {
+      options.bounds = parseBox(args[++i]);
+      if (!options.bounds) {
+        return { error: `Invalid --bounds: ${args[i]}. Use x1,y1,z1:x2,y2,z2.` };
+      }
+    } else if (arg === "--y-range" && i + 1 < args.length) {
+      const [min, max] = args[++i].split(":").map(Number);
+      if (!Number.isInteger(min) || !Number.isInteger(max) || min > max) {
+        return { error: `Invalid --y-range: ${args[i]}. Use min:max, e.g. -64:319.` };
+      }
+      options.yRange = { min, max };
+    } else if (arg === "--rebase-y") {
+      options.rebaseY = true;
+    } else if (arg === "--split-regions") {
+      options.splitRegions = true;
+    } else if (arg === "--anchor-origin") {
+      options.anchorOrigin = true;
+    } else if (arg === "--legacy-ids") {
+      options.legacyIds = true;
+    } else if (arg === "--target-version" && i + 1 < args.length) {
+      options.targetVersion = resolveDataVersion(args[++i]);
+      if (!options.targetVersion) {
+        return { error: `Invalid --target-version: ${args[i]}. Use a release (e.g. 1.20.4) or a DataVersion.` };
+      }
+    } else if (arg === "--map" && i + 1 < args.length) {
+      options.mapPath = args[++i];
+    } else if (arg === "--fail-unmapped") {
+      options.failUnmapped = true;
+    } else if (arg === "--crop" && i + 1 < args.length) {
+      options.crop = parseBox(args[++i]);
+      if (!options.crop) {
+        return { error: `Invalid --crop: ${args[i]}. Use x1,y1,z1:x2,y2,z2.` };
+      }
+    } else if (arg === "--include" && i + 1 < args.length) {
+      options.include.push(...splitPatternList(args[++i]));
+    } else if (arg === "--exclude" && i + 1 < args.length) {
+      options.exclude.push(...splitPatternList(args[++i]));
+    } else if (arg === "--replace" && i + 1 < args.length) {
+      for (const rule of splitPatternList(args[++i])) {
+        const [from, to] = rule.split("->").map((part) => part.trim());
+        if (!from || !to) {
+          return { error: `Invalid --replace: ${rule}. Use "<pattern> -> <block>".` };
+        }
+        options.replace.push({ from, to: to.includes(":") ? to : `minecraft:${to}` });
+      }
+    } else if (arg === "--block-size" && i + 1 < args.length) {
+      options.blockSize = Number(args[++i]);
+      if (!(options.blockSize > 0)) {
+        return { error: `Invalid --block-size: ${args[i]}. Use a positive number of studs.` };
+      }
+    } else if (arg === "--split") {
+      options.split = true;
+    } else if (arg === "--split-group" && i + 1 < args.length) {
+      options.splitGroup = Number(args[++i]);
+      if (!Number.isInteger(options.splitGroup) || options.splitGroup < 1) {
+        return { error: `Invalid --split-group: ${args[i]}. Use a whole number of chunks, e.g. 4.` };
+      }
+    } else if (arg === "--cull") {
+      options.cull = true;
+    } else if (arg === "--opaque" && i + 1 < args.length) {
+      options.opaque.push(...splitPatternList(args[++i]));
+    } else if (arg === "--transparent" && i + 1 < args.length) {
+      options.transparent.push(...splitPatternList(args[++i]));
+    } else if (arg === "--rotate" && i + 1 < args.length) {
+      const degrees = Number(args[++i]);
+      if (!Number.isInteger(degrees) || degrees % 90 !== 0) {
+        return { error: `Invalid --rotate: ${args[i]}. Use 90, 180 or 270.` };
+      }
+      options.rotate = ((degrees % 360) + 360) % 360;
+    } else if (arg === "--mirror" && i + 1 < args.length) {
+      options.mirror = args[++i].toLowerCase();
+      if (!["x", "z", "xz", "zx"].includes(options.mirror)) {
+        return { error: `Invalid --mirror: ${args[i]}. Use x, z or xz.` };
+      }
+    } else if (arg === "--translate" && i + 1 < args.length) {
+      const [x, y, z] = args[++i].split(",").map(Number);
+      if (![x, y, z].every(Number.isInteger)) {
+        return { error: `Invalid --translate: ${args[i]}. Use x,y,z, e.g. 0,-64,0.` };
+      }
+      options.translate = { x, y, z };
+    } else if (arg === "--threads" && i + 1 < args.length) {
+      options.threads = Number(args[++i]);
+      if (!Number.isInteger(options.threads) || options.threads < 1) {
+        return { error: `Invalid --threads: ${args[i]}. Use a whole number of threads, e.g. 4.` };
+      }
+    } else if (arg === "--preview" && i + 1 < args.length) {
+      options.previewPath = args[++i];
+    } else if (arg === "--preview-views" && i + 1 < args.length) {
+      options.previewViews = args[++i].toLowerCase().split(",").map((v) => v.trim()).filter(Boolean);
+      if (options.previewViews.length === 0 || !options.previewViews.every((v) => PREVIEW_VIEWS.includes(v))) {
+        return { error: `Invalid --preview-views: ${args[i]}. Use any of ${PREVIEW_VIEWS.join(", ")}, e.g. top,front.` };
+      }
+    } else if (arg === "--preview-colors" && i + 1 < args.length) {
+      options.previewColorsPath = args[++i];
+    } else if (arg === "--watch") {
+      options.watch = true;
+    } else if (!arg.startsWith("--")) {
+      positional.push(arg);
+    }
+  }
+
+  // decompile <build> <output.schem>: converted build back to a schematic
+  // batch <dir|glob> <output dir>: many schematics with one set of options
+  if (positional[0] === "decompile" || positional[0] === "batch") {
+    options.command = positional.shift();
+  }
+
+  if (positional.length < 2) {
+    return { error: "Missing input or output path." };
+  }
+
+  options.inputPath = positional[0];
+  options.outputPath = positional[1];
+
+  if (!OUTPUT_FORMATS.includes(options.outFormat)) {
+    return { error: `Invalid output format: ${options.outFormat}. Use ${OUTPUT_FORMATS.join(", ")}.` };
+  }
+
+  if (!ENCODINGS.includes(options.encoding)) {
+    return { error: `Invalid encoding: ${options.encoding}. Use ${ENCODINGS.join(", ")}.` };
+  }
+
+  if (options.split && !["lua", "json"].includes(options.outFormat)) {
+    return { error: "--split supports lua and json output." };
+  }
+
+  if (options.failUnmapped && !options.mapPath) {
+    return { error: "--fail-unmapped requires --map." };
+  }
+
+  if (options.watch && options.command !== "batch") {
+    return { error: "--watch requires the batch command." };
+  }
+
+  if (options.previewPath && options.command) {
+    return { error: `--preview does not apply to ${options.command}.` };
+  }
+
+  if (options.previewColorsPath && !options.previewPath) {
+    return { error: "--preview-colors requires --preview." };
+  }
+
+  if (options.command === "decompile" && ![".lua", ".json"].includes(path.extname(options.inputPath).toLowerCase())) {
+    return { error: "decompile reads a .lua or .json build written with --out lua or --out json." };
+  }
+
+  return options;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Stats Printing
+// ─────────────────────────────────────────────────────────────────────────────
+
+function printStats(stats) {
+  console.log("\n─── Conversion Statistics ───");
+  console.log(`  Build size:      ${stats.size.width} x ${stats.size.height} x ${stats.size.length}`);
+  console.log(`  Total blocks:    ${stats.totalBlocks.toLocaleString()}`);
+  console.log(`  Non-air blocks:  ${stats.nonAirBlocks.toLocaleString()}`);
+  console.log(`  Palette size:    ${stats.paletteSize}`);
+  if (stats.regionCount !== undefined) {
+    console.log(`  Regions:         ${stats.regionCount}`);
+  }
+  console.log(`  Chunk count:     ${stats.chunkCount}`);
+  if (stats.boxCount !== undefined) {
+    console.log(`  Boxes:           ${stats.boxCount.toLocaleString()}`);
+  }
+  console.log(`  Block entities:  ${stats.blockEntityCount}`);
+  console.log(`  Entities:        ${stats.entityCount}`);
+  if (stats.biomePaletteSize > 0) {
+    console.log(`  Biomes:          ${stats.biomePaletteSize}`);
+  }
+  console.log(`  Y range:         ${stats.minY} - ${stats.maxY}`);
+  console.log(`  Clipped blocks:  ${stats.clippedBlocks.toLocaleString()}`);
+  if (stats.culledBlocks > 0) {
+    console.log(`  Culled blocks:   ${stats.culledBlocks.toLocaleString()}`);
+  }
+  if (stats.peakMemory !== undefined) {
+    console.log(`  Peak memory:     ${(stats.peakMemory / 1024 / 1024).toFixed(1)} MB`);
+  }
+  console.log("─────────────────────────────\n");
+}
+
+/**
+ * List blocks that had no --map entry, most common first
+ */
+function printUnmappedReport(unmapped) {
+  console.warn(`\nWarning: ${unmapped.length} block types have no mapping and keep their Minecraft names:`);
+  for (const [name, count] of unmapped) {
+    console.warn(`  ${count.toLocaleString().padStart(10)}  ${name}`);
+  }
+  console.warn("");
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Writing Output
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Logger the CLI passes to convert()
+const CONSOLE_LOGGER = {
+  log: (message) => console.log(message),
+  warn: (message) => console.warn(`Warning: ${message}`),
+};
+
+/**
+ * Write a convert() result to outputPath, plus the Luau helpers it needs
+ * next to it. Results without `output` (options.streamChunks) are formatted
+ * as they are written. Returns { bytes, files }.
+ */
+function writeOutput({ data, output }, outputPath, options, logger = CONSOLE_LOGGER) {
+  const files = [];
+
+  // Luau output of compact names gets the helper that expands them
+  const writeCompactNamesHelper = (dir) => {
+    if (!data.stateDictionary || !["lua", "luau-buffer"].includes(options.outFormat)) return;
+    const helperPath = path.join(dir, path.basename(LUAU_COMPACT_NAMES_PATH));
+    fs.copyFileSync(LUAU_COMPACT_NAMES_PATH, helperPath);
+    files.push(helperPath);
+    logger.log(`Wrote compact name helper to: ${helperPath}`);
+  };
+
+  if (options.split) {
+    const written = writeSplitOutput(data, options, outputPath);
+    files.push(...written);
+    logger.log(`Wrote ${written.length - 1} chunk modules and a manifest to: ${outputPath}`);
+    writeCompactNamesHelper(outputPath);
+    const bytes = written.reduce((sum, file) => sum + fs.statSync(file).size, 0);
+    return { bytes, files };
+  }
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  let bytes;
+  if (output === null) {
+    bytes = writeBuild(data, { ...options, outputPath }, outputPath);
+  } else {
+    fs.writeFileSync(outputPath, output);
+    bytes = Buffer.byteLength(output);
+  }
+  files.push(outputPath);
+
+  logger.log(`Wrote ${options.outFormat.toUpperCase()} to: ${outputPath} (${(bytes / 1024).toFixed(2)} KB)`);
+
+  // The payload module needs the decoder next to it
+  if (options.outFormat === "luau-buffer") {
+    const decoderPath = path.join(path.dirname(outputPath), path.basename(LUAU_DECODER_PATH));
+    fs.copyFileSync(LUAU_DECODER_PATH, decoderPath);
+    files.push(decoderPath);
+    logger.log(`Wrote decoder to: ${decoderPath}`);
+  }
+  writeCompactNamesHelper(path.dirname(outputPath));
+  return { bytes, files };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Batch Conversion
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Files picked up when the batch input is a plain directory
+const BATCH_INPUT_EXTENSIONS = [".schem", ".schematic", ".litematic", ".nbt", ".mcstructure"];
+
+// Output file extension per --out format (--split writes a directory instead)
+const OUTPUT_EXTENSIONS = {
+  lua: ".lua",
+  json: ".json",
+  binary: ".bin",
+  "luau-buffer": ".lua",
+  rbxmx: ".rbxmx",
+  "model.json": ".model.json",
+};
+
+// Editors and exporters save in several writes; wait this long for a file to settle
+const WATCH_DEBOUNCE_MS = 250;
+
+/**
+ * Regex for a glob relative to its base directory. `*` and `?` stay within
+ * one path segment; `**` spans any number of them.
+ */
+function globToRegex(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === "*" && glob[i + 1] === "*") {
+      // "**/" also matches zero directories
+      if (glob[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (ch === "*") {
+      source += "[^/]*";
+    } else if (ch === "?") {
+      source += "[^/]";
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Resolve a batch input: a directory (every schematic below it) or a glob
+ * such as "builds/**\/*.schem". Returns { baseDir, matches(relativePath) };
+ * relative paths use "/" separators.
+ */
+function resolveBatchInput(input) {
+  const normalized = input.split(path.sep).join("/");
+  const wildcard = normalized.search(/[*?]/);
+  if (wildcard === -1) {
+    return {
+      baseDir: path.resolve(input),
+      matches: (relativePath) => BATCH_INPUT_EXTENSIONS.includes(path.extname(relativePath).toLowerCase()),
+    };
+  }
+  // The base is everything before the path segment holding the first wildcard
+  const slash = normalized.lastIndexOf("/", wildcard);
+  const regex = globToRegex(normalized.slice(slash + 1));
+  return {
+    baseDir: path.resolve(slash === -1 ? "." : normalized.slice(0, slash) || "/"),
+    matches: (relativePath) => regex.test(relativePath),
+  };
+}
+
+/**
+ * Sorted relative paths of the files under baseDir accepted by `matches`,
+ * skipping outputDir when it lives inside baseDir
+ */
+function listBatchInputs(baseDir, matches, outputDir) {
+  const found = [];
+  const walk = (dir) => {
+    const entries = fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (fullPath !== outputDir) walk(fullPath);
+      } else if (entry.isFile()) {
+        const relativePath = path.relative(baseDir, fullPath).split(path.sep).join("/");
+        if (matches(relativePath)) found.push(relativePath);
+      }
+    }
+  };
+  walk(baseDir);
+  return found;
+}
+
+/**
+ * Where a batch input's output goes: the same relative path under outputDir,
+ * with the extension swapped for the output format's
+ */
+function batchOutputPath(relativePath, outputDir, options) {
+  const stem = relativePath.slice(0, relativePath.length - path.extname(relativePath).length);
+  return path.join(outputDir, options.split ? stem : stem + OUTPUT_EXTENSIONS[options.outFormat]);
+}
+
+/**
+ * Convert one batch input. Failures are returned, not thrown, so one bad
+ * file does not stop the run. Returns { file, hash, stats, bytes, ms, error }.
+ */
+async function convertBatchEntry(relativePath, batch, options) {
+  const started = Date.now();
+  const inputPath = path.join(batch.baseDir, relativePath);
+  const logger = {
+    log() {},
+    warn: (message) => console.warn(`Warning: ${relativePath}: ${message}`),
+  };
+  const result = { file: relativePath, hash: null };
+  try {
+    const buffer = fs.readFileSync(inputPath);
+    result.hash = crypto.createHash("sha1").update(buffer).digest("hex");
+
+    // Read once, hash and convert the same bytes; Anvil regions need their path
+    const format = path.extname(relativePath).toLowerCase().slice(1);
+    const outputPath = batchOutputPath(relativePath, batch.outputDir, options);
+    // "a.schem" and "a.litematic" would both write a.lua; the first one keeps it
+    const owner = batch.outputs.get(outputPath) ?? relativePath;
+    batch.outputs.set(outputPath, owner);
+    if (owner !== relativePath) {
+      throw new ConverterError(`Same output path as ${owner}; rename one of them.`);
+    }
+    const source = format === "mca" ? inputPath : buffer;
+    const converted = await convert(source, {
+      ...options,
+      format: SCHEMATIC_FORMATS.includes(format) ? format : undefined,
+      outputPath,
+      logger,
+      streamChunks: true,
+    });
+    result.stats = converted.stats;
+    result.bytes = writeOutput(converted, outputPath, options, logger).bytes;
+  } catch (error) {
+    result.error = error;
+  }
+  result.ms = Date.now() - started;
+  return result;
+}
+
+/**
+ * One row of the batch summary table
+ */
+function formatBatchRow(result, fileWidth) {
+  const file = result.file.padEnd(fileWidth);
+  if (result.error) {
+    return `  ${file}  FAILED  ${result.error.message || result.error}`;
+  }
+  const { stats } = result;
+  return (
+    `  ${file}  ok    ` +
+    `${stats.nonAirBlocks.toLocaleString().padStart(12)}` +
+    `${String(stats.paletteSize).padStart(9)}` +
+    `${String(stats.chunkCount).padStart(8)}` +
+    `${(result.bytes / 1024).toFixed(1).padStart(11)}` +
+    `${String(result.ms).padStart(8)}`
+  );
+}
+
+/**
+ * Combined summary of a batch run: one row per file, then totals
+ */
+function printBatchSummary(results) {
+  const fileWidth = Math.max(4, ...results.map((result) => result.file.length));
+  const converted = results.filter((result) => !result.error);
+  const failed = results.length - converted.length;
+
+  console.log("\n─── Batch Summary ───");
+  console.log(
+    `  ${"File".padEnd(fileWidth)}  Status` +
+    `${"Blocks".padStart(12)}${"Palette".padStart(9)}${"Chunks".padStart(8)}${"Size KB".padStart(11)}${"ms".padStart(8)}`
+  );
+  for (const result of results) {
+    console.log(formatBatchRow(result, fileWidth));
+  }
+  const blocks = converted.reduce((sum, result) => sum + result.stats.nonAirBlocks, 0);
+  const bytes = converted.reduce((sum, result) => sum + result.bytes, 0);
+  console.log(
+    `  ${results.length} file${results.length === 1 ? "" : "s"}: ${converted.length} converted, ${failed} failed, ` +
+    `${blocks.toLocaleString()} blocks, ${(bytes / 1024).toFixed(1)} KB`
+  );
+  console.log("─────────────────────\n");
+}
+
+/**
+ * Re-convert inputs as they change. Conversions run one at a time; a file
+ * whose content hash matches its last conversion is skipped.
+ */
+function watchBatch(batch, options, hashes) {
+  const timers = new Map();
+  let queue = Promise.resolve();
+
+  const reconvert = async (relativePath) => {
+    const inputPath = path.join(batch.baseDir, relativePath);
+    if (!fs.existsSync(inputPath)) return;
+    const hash = crypto.createHash("sha1").update(fs.readFileSync(inputPath)).digest("hex");
+    if (hashes.get(relativePath) === hash) return;
+
+    const result = await convertBatchEntry(relativePath, batch, options);
+    // A failed file is retried on its next change, not on every event
+    hashes.set(relativePath, result.hash);
+    const time = new Date().toLocaleTimeString();
+    if (result.error) {
+      console.error(`[${time}] ${relativePath}: FAILED ${result.error.message || result.error}`);
+    } else {
+      console.log(
+        `[${time}] ${relativePath}: ${result.stats.nonAirBlocks.toLocaleString()} blocks, ` +
+        `${(result.bytes / 1024).toFixed(1)} KB in ${result.ms} ms`
+      );
+    }
+  };
+
+  const watcher = fs.watch(batch.baseDir, { recursive: true }, (event, filename) => {
+    if (!filename) return;
+    const relativePath = filename.split(path.sep).join("/");
+    const inputPath = path.join(batch.baseDir, relativePath);
+    if (inputPath.startsWith(batch.outputDir + path.sep) || !batch.matches(relativePath)) return;
+
+    clearTimeout(timers.get(relativePath));
+    timers.set(relativePath, setTimeout(() => {
+      timers.delete(relativePath);
+      queue = queue.then(() => reconvert(relativePath));
+    }, WATCH_DEBOUNCE_MS));
+  });
+
+  console.log(`Watching ${batch.baseDir} for changes (Ctrl+C to stop)`);
+  return watcher;
+}
+
+/**
+ * Convert every input matched by options.inputPath (a directory or glob)
+ * into options.outputPath, mirroring the folder structure. With
+ * options.watch, keeps converting files as they change.
+ */
+async function runBatch(options) {
+  const batch = resolveBatchInput(options.inputPath);
+  batch.outputDir = path.resolve(options.outputPath);
+  batch.outputs = new Map();
+
+  if (!fs.existsSync(batch.baseDir) || !fs.statSync(batch.baseDir).isDirectory()) {
+    throw new ConverterError(`Batch input directory not found: ${batch.baseDir}`);
+  }
+
+  const inputs = listBatchInputs(batch.baseDir, batch.matches, batch.outputDir);
+  console.log(`Converting ${inputs.length} files from ${batch.baseDir} to ${batch.outputDir}`);
+
+  const hashes = new Map();
+  const results = [];
+  for (const relativePath of inputs) {
+    const result = await convertBatchEntry(relativePath, batch, options);
+    hashes.set(relativePath, result.hash);
+    results.push(result);
+  }
+  if (results.length > 0) {
+    printBatchSummary(results);
+  }
+  if (results.some((result) => result.error)) {
+    process.exitCode = 1;
+  }
+
+  if (options.watch) {
+    watchBatch(batch, options, hashes);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function main() {
+  const options = parseArgs(process.argv);
+  
+  if (options.error) {
+    console.error(`Error: ${options.error}\n`);
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  // Batch inputs may be globs, so they are resolved by runBatch
+  if (options.command === "batch") {
+    try {
+      await runBatch(options);
+    } catch (error) {
+      console.error(`Error: ${error.message || error}`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  const inputPath = path.resolve(options.inputPath);
+  const outputPath = path.resolve(options.outputPath);
+
+  if (!fs.existsSync(inputPath)) {
+    console.error(`Error: Input file not found: ${inputPath}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    if (options.command === "decompile") {
+      // Names are written as-is, so by default they are taken as current
+      const dataVersion = options.targetVersion ?? Math.max(...Object.values(MINECRAFT_VERSIONS));
+      console.log(`Reading: ${inputPath}`);
+      const { buffer, stats, warnings } = decompileBuild(readConvertedBuild(inputPath), dataVersion);
+      for (const message of warnings) CONSOLE_LOGGER.warn(message);
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      fs.writeFileSync(outputPath, buffer);
+      console.log(`Wrote Sponge v3 schematic (DataVersion ${dataVersion}) to: ${outputPath}`);
+      console.log(`Summary: ${stats.width}x${stats.height}x${stats.length}, ${stats.blockCount.toLocaleString()} blocks, ${stats.paletteSize} palette entries`);
+      return;
+    }
+
+    // Chunks are formatted as they are written rather than held as one output
+    const result = await convert(inputPath, { ...options, outputPath, logger: CONSOLE_LOGGER, streamChunks: true });
+    const { data } = result;
+
+    const unmapped = Object.entries(data.stats.unmapped).sort((a, b) => b[1] - a[1]);
+    if (unmapped.length > 0) {
+      printUnmappedReport(unmapped);
+    }
+
+    // Rendered first, so a build the preview rejects writes nothing
+    const preview = options.previewPath ? renderPreview(data, options) : null;
+
+    writeOutput(result, outputPath, options);
+
+    if (preview) {
+      const previewPath = path.resolve(options.previewPath);
+      fs.mkdirSync(path.dirname(previewPath), { recursive: true });
+      fs.writeFileSync(previewPath, preview.png);
+      const resolution = preview.blocksPerPixel > 1 ? `1px per ${preview.blocksPerPixel} blocks` : `${preview.scale}px per block`;
+      console.log(`Wrote preview to: ${previewPath} (${preview.width}x${preview.height}, ${resolution})`);
+      if (preview.unknown.length > 0) {
+        CONSOLE_LOGGER.warn(`no preview color for ${preview.unknown.length} palette entries (magenta): ${preview.unknown.join(", ")}`);
+      }
+      if (preview.unmapped.length > 0) {
+        CONSOLE_LOGGER.warn(`${preview.unmapped.length} unmapped palette entries are shown in magenta.`);
+      }
+    }
+
+    // After writing, so peak memory covers the whole run (maxRSS is in KB)
+    if (options.showStats) {
+      printStats({ ...data.stats, peakMemory: process.resourceUsage().maxRSS * 1024 });
+    }
+    console.log(`Summary: ${data.stats.nonAirBlocks.toLocaleString()} blocks, ${data.stats.paletteSize} palette entries, ${data.stats.chunkCount} chunks`);
+
+  } catch (error) {
+    if (error instanceof UnmappedBlocksError) {
+      printUnmappedReport(error.unmapped);
+    }
+    console.error(`Error: ${error.message || error}`);
+    if (process.env.DEBUG) console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  main,
+};
@@ -0,0 +1,411 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const nbt = require("prismarine-nbt");
+const { legacyBlockName } = require("./legacy-blocks");
+const { ConverterError, UnrecognizedFormatError } = require("./errors");
+const {
+  DATA_VERSION_FLATTENED_NAMES, expandCompactName, parseBlockStates, parseLuaTable,
+  upgradeBlockName,
+} = require("./blocks");
+const { CHUNK_SIZE_X, CHUNK_SIZE_Z, ENCODINGS } = require("./chunking");
+const { offsetEntity } = require("./nbt");
+const { chunkCuboids, createByteWriter } = require("./writers");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Decompile
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Palette entries that are block names (full, compact or legacy "id:data")
+const BLOCK_NAME_PATTERN = /^[a-z0-9_.-]+(:[a-z0-9_./-]+)?(\[[^\]]*\])?$/;
+
+/**
+ * Full block name for a palette entry from --compact, --strip-states or
+ * --legacy-ids output: "oak_stairs[f=n,h=t]" becomes
+ * "minecraft:oak_stairs[facing=north,half=top]" and "35:14" the 1.13 name.
+ */
+function expandBlockName(name, dataVersion, dictionary) {
+  const legacy = /^(\d+):(\d+)$/.exec(name);
+  if (legacy) {
+    const flattened = legacyBlockName(Number(legacy[1]), Number(legacy[2]));
+    if (!flattened) {
+      throw new ConverterError(`Unknown legacy block id "${name}".`);
+    }
+    return upgradeBlockName(flattened, DATA_VERSION_FLATTENED_NAMES, dataVersion);
+  }
+
+  const { baseName } = parseBlockStates(name);
+  if (baseName.includes(":")) return name;
+  return expandCompactName(name, dictionary);
+}
+
+/**
+ * Read a --out lua or --out json file into builds with 0-indexed palettes:
+ * { encoding, origin, dictionary, builds: [{ position, size, yOffset, palette, chunks, ... }] }
+ * Region files give one build per region.
+ */
+function readConvertedBuild(inputPath) {
+  const source = fs.readFileSync(inputPath, "utf8");
+  const isLua = path.extname(inputPath).toLowerCase() === ".lua";
+  const root = isLua ? parseLuaTable(source) : JSON.parse(source);
+  const encoding = isLua ? root.encoding : root._meta?.encoding;
+  if (!ENCODINGS.includes(encoding)) {
+    throw new UnrecognizedFormatError(`${path.basename(inputPath)} is not a schema-converter build (unknown encoding "${encoding}").`);
+  }
+
+  // Lua tables are 1-indexed; an empty Lua table reads back as {}
+  const base = isLua ? 1 : 0;
+  const list = (value) => (Array.isArray(value) ? value : Object.values(value ?? {}));
+  const reindex = (runs, at) => list(runs).map((run) => {
+    const copy = [...run];
+    copy[at] -= base;
+    return copy;
+  });
+
+  const readBuild = (build, position, size, yOffset) => {
+    const chunks = {};
+    for (const [chunkKey, columns] of Object.entries(build.chunks ?? {})) {
+      if (encoding === "boxes") {
+        chunks[chunkKey] = reindex(columns, 6);
+        continue;
+      }
+      chunks[chunkKey] = {};
+      for (const [colKey, runs] of Object.entries(columns)) {
+        chunks[chunkKey][colKey] = reindex(runs, encoding === "rle" ? 2 : 1);
+      }
+    }
+
+    let biomes = null;
+    if (build.biomes) {
+      biomes = {};
+      for (const [chunkKey, columns] of Object.entries(build.biomes)) {
+        biomes[chunkKey] = {};
+        for (const [colKey, runs] of Object.entries(columns)) {
+          biomes[chunkKey][colKey] = reindex(runs, 2);
+        }
+      }
+    }
+
+    const palette = list(build.palette);
+    const mapped = palette.find((entry) => typeof entry !== "string" || !BLOCK_NAME_PATTERN.test(entry));
+    if (mapped !== undefined) {
+      throw new ConverterError(`Palette entry ${JSON.stringify(mapped)} is not a block name; builds made with a block mapping cannot be decompiled.`);
+    }
+
+    return {
+      position,
+      size,
+      yOffset: yOffset ?? 0,
+      palette,
+      chunks,
+      biomePalette: list(build.biomePalette),
+      biomes,
+      blockEntities: build.blockEntities ?? {},
+      entities: list(build.entities),
+    };
+  };
+
+  const origin = root.origin ?? null;
+  // Builds from before the dictionary was written use the current tables
+  const dictionary = root.stateKeys || root.stateValues
+    ? { stateKeys: root.stateKeys ?? {}, stateValues: root.stateValues ?? {} }
+    : undefined;
+  if (root.regions) {
+    const builds = list(root.regions).map((region) =>
+      readBuild(region, region.position, region.size, region.yOffset));
+    return { encoding, origin, dictionary, builds };
+  }
+  const yOffset = isLua ? root.yOffset : root._meta.yOffset;
+  return { encoding, origin, dictionary, builds: [readBuild(root, { x: 0, y: 0, z: 0 }, root.size, yOffset)] };
+}
+
+/**
+ * Every block of a build as [x, y, z, paletteIdx] in schematic coordinates
+ * (output Y plus yOffset, offset by the region position)
+ */
+function* iterateBuildBlocks(build, encoding) {
+  const { position, yOffset } = build;
+  for (const [chunkKey, columns] of Object.entries(build.chunks)) {
+    for (const [x1, y1, z1, x2, y2, z2, idx] of chunkCuboids(chunkKey, columns, encoding)) {
+      for (let y = y1; y <= y2; y++) {
+        for (let z = z1; z <= z2; z++) {
+          for (let x = x1; x <= x2; x++) {
+            yield [x + position.x, y + yOffset + position.y, z + position.z, idx];
+          }
+        }
+      }
+    }
+  }
+}
+
+// Tags for the leaf names nbtTypes() records
+const NBT_LEAVES = {
+  byte: (value) => nbt.byte(value),
+  short: (value) => nbt.short(value),
+  int: (value) => nbt.int(value),
+  long: (value) => nbt.long(numberToLong(value)),
+  float: (value) => nbt.float(value),
+  double: (value) => nbt.double(value),
+  byteArray: (value) => nbt.byteArray(value),
+  shortArray: (value) => nbt.shortArray(value),
+  intArray: (value) => nbt.intArray(value),
+  longArray: (value) => nbt.longArray(value.map(numberToLong)),
+};
+
+/**
+ * A whole number (or the decimal string nbtToPlain gives for large longs) as
+ * the [high, low] int pair prismarine-nbt uses for longs
+ */
+function numberToLong(value) {
+  const big = BigInt(value);
+  return [Number(BigInt.asIntN(32, big >> 32n)), Number(BigInt.asIntN(32, big))];
+}
+
+/**
+ * Convert a plain value (from nbtToPlain) back to an NBT tag, with the tag
+ * types recorded in `types` (an nbtTypes entry from the build). Values it
+ * does not describe are inferred: integers become ints (longs when out of
+ * range), other numbers doubles and booleans bytes.
+ */
+function plainToNbt(value, types) {
+  if (types === "list") return nbt.list({ type: "end", value: [] });
+  const leaf = typeof types === "string" ? NBT_LEAVES[types] : null;
+  if (leaf) {
+    const fits = types.endsWith("Array")
+      ? Array.isArray(value)
+      : typeof value === "number" || (types === "long" && typeof value === "string");
+    if (fits) return leaf(value);
+  }
+
+  if (typeof value === "string") return nbt.string(value);
+  if (typeof value === "boolean") return nbt.byte(value ? 1 : 0);
+  if (typeof value === "number") {
+    if (!Number.isInteger(value)) return nbt.double(value);
+    if (value >= -0x80000000 && value <= 0x7fffffff) return nbt.int(value);
+    return nbt.long(numberToLong(value));
+  }
+  if (Array.isArray(value)) {
+    const elementTypes = Array.isArray(types) ? types[0] : undefined;
+    const items = value.map((item) => plainToNbt(item, elementTypes));
+    const type = items[0]?.type ?? "end";
+    if (items.some((item) => item.type !== type)) {
+      // NBT lists hold one tag type: widen mixed numbers to doubles
+      if (!value.every((v) => typeof v === "number")) {
+        throw new ConverterError(`Cannot write a list of mixed values to NBT: ${JSON.stringify(value).slice(0, 80)}`);
+      }
+      return nbt.list(nbt.double(value));
+    }
+    return nbt.list({ type, value: items.map((item) => item.value) });
+  }
+  const fieldTypes = types && typeof types === "object" && !Array.isArray(types) ? types : {};
+  const fields = {};
+  for (const [key, child] of Object.entries(value ?? {})) {
+    if (child !== null && child !== undefined) fields[key] = plainToNbt(child, fieldTypes[key]);
+  }
+  return nbt.comp(fields);
+}
+
+/**
+ * Rebuild a Sponge v3 schematic from converted builds. The schematic spans
+ * each build's declared size when its blocks fit inside it (keeping empty
+ * edges), and the blocks' bounds otherwise (--anchor-origin, --translate).
+ * Returns { buffer, stats, warnings }.
+ */
+function decompileBuild(converted, dataVersion) {
+  const { encoding, builds } = converted;
+
+  const names = builds.map((build) =>
+    build.palette.map((entry) => expandBlockName(entry, dataVersion, converted.dictionary)));
+
+  const min = { x: Infinity, y: Infinity, z: Infinity };
+  const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+  const include = (x, y, z) => {
+    min.x = Math.min(min.x, x); max.x = Math.max(max.x, x);
+    min.y = Math.min(min.y, y); max.y = Math.max(max.y, y);
+    min.z = Math.min(min.z, z); max.z = Math.max(max.z, z);
+  };
+  for (const build of builds) {
+    const { position, size } = build;
+    const sizeMax = size && {
+      x: position.x + size.width - 1,
+      y: position.y + size.height - 1,
+      z: position.z + size.length - 1,
+    };
+    let fits = Boolean(size);
+    for (const [x, y, z] of iterateBuildBlocks(build, encoding)) {
+      include(x, y, z);
+      fits = fits && x >= position.x && y >= position.y && z >= position.z &&
+        x <= sizeMax.x && y <= sizeMax.y && z <= sizeMax.z;
+    }
+    if (fits) {
+      include(position.x, position.y, position.z);
+      include(sizeMax.x, sizeMax.y, sizeMax.z);
+    }
+  }
+
+  if (min.x === Infinity) {
+    throw new ConverterError("Build has no blocks and no size.");
+  }
+  const width = max.x - min.x + 1;
+  const height = max.y - min.y + 1;
+  const length = max.z - min.z + 1;
+  if (Math.max(width, height, length) > 0xffff) {
+    throw new ConverterError(`Build is too large for a schematic (${width}x${height}x${length}).`);
+  }
+  const index = (x, y, z) => (x - min.x) + (z - min.z) * width + (y - min.y) * width * length;
+
+  // Blocks: air everywhere, then each build's blocks on top
+  const palette = new Map([["minecraft:air", 0]]);
+  const paletteIndex = (name) => {
+    if (!palette.has(name)) palette.set(name, palette.size);
+    return palette.get(name);
+  };
+  const blocks = new Uint32Array(width * height * length);
+  let blockCount = 0;
+  builds.forEach((build, b) => {
+    const ids = names[b].map(paletteIndex);
+    for (const [x, y, z, idx] of iterateBuildBlocks(build, encoding)) {
+      blocks[index(x, y, z)] = ids[idx];
+      blockCount++;
+    }
+  });
+
+  const varints = (values) => {
+    const writer = createByteWriter();
+    for (const value of values) writer.varint(value);
+    const buffer = writer.toBuffer();
+    return Array.from(new Int8Array(buffer.buffer, buffer.byteOffset, buffer.length));
+  };
+  const paletteTag = (map) => nbt.comp(Object.fromEntries([...map].map(([name, id]) => [name, nbt.int(id)])));
+
+  // Biomes, one per block; cells without biome data get the first biome
+  let biomesTag = null;
+  if (builds.some((build) => build.biomes)) {
+    const biomePalette = new Map();
+    const biomeIndex = (name) => {
+      if (!biomePalette.has(name)) biomePalette.set(name, biomePalette.size);
+      return biomePalette.get(name);
+    };
+    const biomes = new Uint32Array(width * height * length);
+    for (const build of builds) {
+      if (!build.biomes) continue;
+      const ids = build.biomePalette.map(biomeIndex);
+      for (const [chunkKey, columns] of Object.entries(build.biomes)) {
+        for (const [x1, y1, z1, x2, y2, z2, idx] of chunkCuboids(chunkKey, columns, "rle")) {
+          // Biome columns can reach past the blocks, which set the box
+          for (let bx = x1; bx <= x2; bx++) {
+            const x = bx + build.position.x;
+            if (x < min.x || x > max.x) continue;
+            for (let bz = z1; bz <= z2; bz++) {
+              const z = bz + build.position.z;
+              if (z < min.z || z > max.z) continue;
+              for (let y = y1; y <= y2; y++) {
+                const sy = y + build.yOffset + build.position.y;
+                if (sy >= min.y && sy <= max.y) biomes[index(x, sy, z)] = ids[idx];
+              }
+            }
+          }
+        }
+      }
+    }
+    biomesTag = nbt.comp({ Palette: paletteTag(biomePalette), Data: nbt.byteArray(varints(biomes)) });
+  }
+
+  // Block entities: { y, id, data } per column, Pos relative to the minimum corner.
+  // Schematics need an id, so entries without one are left out.
+  const warnings = [];
+  let skippedBlockEntities = 0;
+  const blockEntities = [];
+  for (const build of builds) {
+    const { position, yOffset } = build;
+    for (const [chunkKey, columns] of Object.entries(build.blockEntities)) {
+      const [cx, cz] = chunkKey.split(",").map(Number);
+      for (const [colKey, entries] of Object.entries(columns)) {
+        const [lx, lz] = colKey.split(",").map(Number);
+        for (const entry of Object.values(entries)) {
+          if (typeof entry.id !== "string") {
+            skippedBlockEntities++;
+            continue;
+          }
+          blockEntities.push({
+            Pos: nbt.intArray([
+              cx * CHUNK_SIZE_X + lx + position.x - min.x,
+              entry.y + yOffset + position.y - min.y,
+              cz * CHUNK_SIZE_Z + lz + position.z - min.z,
+            ]),
+            Id: nbt.string(entry.id),
+            Data: plainToNbt(entry.data, entry.nbtTypes),
+          });
+        }
+      }
+    }
+  }
+
+  if (skippedBlockEntities > 0) {
+    warnings.push(`Skipped ${skippedBlockEntities} block entities without an id.`);
+  }
+
+  // Entities: { id, pos, rotation, data }, Rotation kept inside Data
+  let skippedEntities = 0;
+  const entities = [];
+  for (const build of builds) {
+    const { position, yOffset } = build;
+    for (const entity of build.entities) {
+      if (typeof entity.id !== "string") {
+        skippedEntities++;
+        continue;
+      }
+      // Hanging entities' TileX/Y/Z move with Pos
+      const moved = offsetEntity(
+        { ...entity.pos, data: entity.data },
+        position.x - min.x, yOffset + position.y - min.y, position.z - min.z,
+      );
+      const data = plainToNbt(moved.data, entity.nbtTypes);
+      data.value.Rotation = nbt.list(nbt.float([entity.rotation?.yaw ?? 0, entity.rotation?.pitch ?? 0]));
+      entities.push({
+        Pos: nbt.list(nbt.double([moved.x, moved.y, moved.z])),
+        Id: nbt.string(entity.id),
+        Data: data,
+      });
+    }
+  }
+  if (skippedEntities > 0) {
+    warnings.push(`Skipped ${skippedEntities} entities without an id.`);
+  }
+
+  const schematic = {
+    Version: nbt.int(3),
+    DataVersion: nbt.int(dataVersion),
+    // Sizes are unsigned shorts, stored in signed NBT shorts
+    Width: nbt.short((width << 16) >> 16),
+    Height: nbt.short((height << 16) >> 16),
+    Length: nbt.short((length << 16) >> 16),
+    Blocks: nbt.comp({
+      Palette: paletteTag(palette),
+      Data: nbt.byteArray(varints(blocks)),
+      BlockEntities: nbt.list(nbt.comp(blockEntities)),
+    }),
+    Entities: nbt.list(nbt.comp(entities)),
+  };
+  if (converted.origin) {
+    // Offset is the minimum corner relative to the paste anchor
+    const { origin } = converted;
+    const originY = origin.y + (builds.length === 1 ? builds[0].yOffset : 0);
+    schematic.Offset = nbt.intArray([min.x - origin.x, min.y - originY, min.z - origin.z]);
+  }
+  if (biomesTag) {
+    schematic.Biomes = biomesTag;
+  }
+
+  const root = nbt.comp({ Schematic: nbt.comp(schematic) });
+  return {
+    buffer: zlib.gzipSync(nbt.writeUncompressed(root)),
+    stats: { width, height, length, blockCount, paletteSize: palette.size },
+    warnings,
+  };
+}
+
+module.exports = {
+  readConvertedBuild,
+  decompileBuild,
+};
@@ -0,0 +1,79 @@
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Errors
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Base class for errors thrown by the converter. `code` is a stable string
+ * for callers to switch on.
+ */
+class ConverterError extends Error {
+  constructor(message, code = "CONVERTER_ERROR") {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/** The input is not a format the converter reads */
+class UnrecognizedFormatError extends ConverterError {
+  constructor(message = "Unrecognized schematic format.") {
+    super(message, "UNRECOGNIZED_FORMAT");
+  }
+}
+
+/** The input path (file, world or region folder) does not exist */
+class InputNotFoundError extends ConverterError {
+  constructor(inputPath) {
+    super(`Input not found: ${inputPath}`, "INPUT_NOT_FOUND");
+    this.path = inputPath;
+  }
+}
+
+/** The input ends early: cut-off NBT, compressed data or block arrays */
+class TruncatedDataError extends ConverterError {
+  constructor(message) {
+    super(message, "TRUNCATED_DATA");
+  }
+}
+
+/** Block or biome data refers to an index the palette does not have */
+class PaletteIndexError extends ConverterError {
+  constructor(index, kind = "palette") {
+    super(`Missing ${kind} index ${index}.`, "PALETTE_INDEX_OUT_OF_RANGE");
+    this.index = index;
+  }
+}
+
+/** The input is a known format but is missing required tags */
+class InvalidSchematicError extends ConverterError {
+  constructor(message) {
+    super(message, "INVALID_SCHEMATIC");
+  }
+}
+
+/** An option is missing or has an invalid value */
+class InvalidOptionError extends ConverterError {
+  constructor(message) {
+    super(message, "INVALID_OPTION");
+  }
+}
+
+/** --fail-unmapped found blocks with no mapping; `unmapped` is [[name, count]] */
+class UnmappedBlocksError extends ConverterError {
+  constructor(unmapped) {
+    super(`${unmapped.length} block types have no mapping.`, "UNMAPPED_BLOCKS");
+    this.unmapped = unmapped;
+  }
+}
+
+module.exports = {
+  ConverterError,
+  UnrecognizedFormatError,
+  InputNotFoundError,
+  TruncatedDataError,
+  PaletteIndexError,
+  InvalidSchematicError,
+  InvalidOptionError,
+  UnmappedBlocksError,
+};
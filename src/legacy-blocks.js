@@ -0,0 +1,543 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Legacy Block IDs (1.12 and earlier) → 1.13 Flattened Block States
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Classic .schematic files and pre-1.13 Anvil sections store blocks as numeric
+// id + 4-bit data value. This table converts them to the namespaced names with
+// states that 1.13 ("the flattening") introduced, so classic builds share a
+// palette vocabulary with Sponge and Litematica files.
+//
+// Names are the 1.13 (DataVersion 1519) names; later renames such as
+// grass → short_grass are left to the DataVersion upgrade pass.
+//
+// Some 1.12 blocks kept part of their state in the block entity (bed and
+// banner colors, skull types, flower pot contents) or in the other half of a
+// two-block structure (door facing, double plant type). Those resolve to the
+// vanilla default for the missing part.
+
+const COLORS = [
+  "white", "orange", "magenta", "light_blue", "yellow", "lime", "pink", "gray",
+  "light_gray", "cyan", "purple", "blue", "brown", "green", "red", "black",
+];
+
+const WOOD_TYPES = ["oak", "spruce", "birch", "jungle", "acacia", "dark_oak"];
+
+// data & 7 for dispensers, pistons, end rods, observers, command blocks...
+const FACING_6 = ["down", "up", "north", "south", "west", "east"];
+
+// data & 3 for beds, pumpkins, fence gates, repeaters, glazed terracotta...
+const FACING_SWNE = ["south", "west", "north", "east"];
+
+// data for chests, ladders, wall signs, furnaces (2..5)
+const FACING_WALL = { 2: "north", 3: "south", 4: "west", 5: "east" };
+
+const STAIRS_FACING = ["east", "west", "south", "north"];
+const TRAPDOOR_FACING = ["north", "south", "west", "east"];
+const DOOR_FACING = ["east", "south", "west", "north"];
+const TORCH_FACING = { 1: "east", 2: "west", 3: "south", 4: "north" };
+const LOG_AXIS = ["y", "x", "z"];
+
+const RAIL_SHAPES = [
+  "north_south", "east_west", "ascending_east", "ascending_west",
+  "ascending_north", "ascending_south", "south_east", "south_west",
+  "north_west", "north_east",
+];
+
+const SLAB_VARIANTS = [
+  "stone", "sandstone", "petrified_oak", "cobblestone",
+  "brick", "stone_brick", "nether_brick", "quartz",
+];
+
+// Mushroom block data → which faces show the cap (0 = inside, 14 = all)
+const MUSHROOM_FACES = {
+  0: [],
+  1: ["up", "west", "north"],
+  2: ["up", "north"],
+  3: ["up", "north", "east"],
+  4: ["up", "west"],
+  5: ["up"],
+  6: ["up", "east"],
+  7: ["up", "south", "west"],
+  8: ["up", "south"],
+  9: ["up", "south", "east"],
+  14: ["up", "down", "north", "south", "east", "west"],
+};
+
+/**
+ * Format "minecraft:name[key=value,...]" with keys sorted like vanilla does
+ */
+function named(name, states) {
+  const keys = states ? Object.keys(states).sort() : [];
+  if (keys.length === 0) return `minecraft:${name}`;
+  return `minecraft:${name}[${keys.map((k) => `${k}=${states[k]}`).join(",")}]`;
+}
+
+const simple = (name) => () => named(name);
+const variants = (names) => (d) => (names[d] ? named(names[d]) : null);
+const colored = (suffix) => (d) => named(`${COLORS[d]}_${suffix}`);
+
+const stairs = (name) => (d) =>
+  named(name, {
+    facing: STAIRS_FACING[d & 3],
+    half: d & 4 ? "top" : "bottom",
+    shape: "straight",
+    waterlogged: "false",
+  });
+
+const fence = (name) => () =>
+  named(name, { east: "false", north: "false", south: "false", waterlogged: "false", west: "false" });
+
+const fenceGate = (name) => (d) =>
+  named(name, {
+    facing: FACING_SWNE[d & 3],
+    in_wall: "false",
+    open: String((d & 4) !== 0),
+    powered: "false",
+  });
+
+const door = (name) => (d) => {
+  if (d & 8) {
+    // Upper half only knows hinge and power; facing lives in the lower half
+    return named(name, {
+      facing: "east",
+      half: "upper",
+      hinge: d & 1 ? "right" : "left",
+      open: "false",
+      powered: String((d & 2) !== 0),
+    });
+  }
+  return named(name, {
+    facing: DOOR_FACING[d & 3],
+    half: "lower",
+    hinge: "left",
+    open: String((d & 4) !== 0),
+    powered: "false",
+  });
+};
+
+const trapdoor = (name) => (d) =>
+  named(name, {
+    facing: TRAPDOOR_FACING[d & 3],
+    half: d & 8 ? "top" : "bottom",
+    open: String((d & 4) !== 0),
+    powered: "false",
+    waterlogged: "false",
+  });
+
+const log = (types) => (d) => {
+  const type = types[d & 3];
+  if (!type) return null;
+  const axis = d >> 2;
+  // Axis 3 was the all-bark log, which became <type>_wood
+  if (axis === 3) return named(`${type}_wood`, { axis: "y" });
+  return named(`${type}_log`, { axis: LOG_AXIS[axis] });
+};
+
+const leaves = (types) => (d) => {
+  const type = types[d & 3];
+  if (!type) return null;
+  return named(`${type}_leaves`, { distance: "7", persistent: String((d & 4) !== 0) });
+};
+
+const slab = (names, suffixFor) => (d) => {
+  const variant = names[d & 7];
+  if (!variant) return null;
+  return named(suffixFor(variant), { type: d & 8 ? "top" : "bottom", waterlogged: "false" });
+};
+
+const doubleSlab = (names, suffixFor, smooth) => (d) => {
+  if (d & 8 && smooth[d & 7]) return named(smooth[d & 7]);
+  const variant = names[d & 7];
+  if (!variant) return null;
+  return named(suffixFor(variant), { type: "double", waterlogged: "false" });
+};
+
+const rail = (name, poweredFlag) => (d) => {
+  const shape = RAIL_SHAPES[poweredFlag ? d & 7 : d];
+  if (!shape) return null;
+  return poweredFlag
+    ? named(name, { powered: String((d & 8) !== 0), shape })
+    : named(name, { shape });
+};
+
+const piston = (name) => (d) =>
+  named(name, { extended: String((d & 8) !== 0), facing: FACING_6[d & 7] || "down" });
+
+const facing6 = (name, extra) => (d) =>
+  named(name, { facing: FACING_6[d & 7] || "down", ...(extra ? extra(d) : {}) });
+
+const wallFacing = (name, extra) => (d) =>
+  named(name, { facing: FACING_WALL[d] || "north", ...(extra ? extra(d) : {}) });
+
+const torch = (standing, wall, lit) => (d) => {
+  const litState = lit === undefined ? {} : { lit: String(lit) };
+  if (TORCH_FACING[d]) return named(wall, { facing: TORCH_FACING[d], ...litState });
+  return named(standing, litState);
+};
+
+const button = (name) => (d) => {
+  const powered = String((d & 8) !== 0);
+  const orient = d & 7;
+  if (orient === 0) return named(name, { face: "ceiling", facing: "north", powered });
+  if (orient === 5) return named(name, { face: "floor", facing: "north", powered });
+  return named(name, { face: "wall", facing: TORCH_FACING[orient] || "north", powered });
+};
+
+const LEVER_ORIENT = [
+  { face: "ceiling", facing: "west" },
+  { face: "wall", facing: "east" },
+  { face: "wall", facing: "west" },
+  { face: "wall", facing: "south" },
+  { face: "wall", facing: "north" },
+  { face: "floor", facing: "north" },
+  { face: "floor", facing: "west" },
+  { face: "ceiling", facing: "north" },
+];
+
+const mushroomBlock = (name) => (d) => {
+  if (d === 10) {
+    return named("mushroom_stem", { down: "false", east: "true", north: "true", south: "true", up: "false", west: "true" });
+  }
+  if (d === 15) {
+    return named("mushroom_stem", { down: "true", east: "true", north: "true", south: "true", up: "true", west: "true" });
+  }
+  const faces = MUSHROOM_FACES[d] || MUSHROOM_FACES[14];
+  const states = {};
+  for (const face of ["down", "east", "north", "south", "up", "west"]) {
+    states[face] = String(faces.includes(face));
+  }
+  return named(name, states);
+};
+
+const aged = (name, max) => (d) => named(name, { age: String(Math.min(d, max)) });
+
+const fluid = (name) => (d) => named(name, { level: String(d & 15) });
+
+const LEGACY_BLOCKS = {
+  0: simple("air"),
+  1: variants(["stone", "granite", "polished_granite", "diorite", "polished_diorite", "andesite", "polished_andesite"]),
+  2: () => named("grass_block", { snowy: "false" }),
+  3: (d) => [named("dirt"), named("coarse_dirt"), named("podzol", { snowy: "false" })][d] || null,
+  4: simple("cobblestone"),
+  5: (d) => (WOOD_TYPES[d] ? named(`${WOOD_TYPES[d]}_planks`) : null),
+  6: (d) => (WOOD_TYPES[d & 7] ? named(`${WOOD_TYPES[d & 7]}_sapling`, { stage: String(d >> 3) }) : null),
+  7: simple("bedrock"),
+  8: fluid("water"),
+  9: fluid("water"),
+  10: fluid("lava"),
+  11: fluid("lava"),
+  12: variants(["sand", "red_sand"]),
+  13: simple("gravel"),
+  14: simple("gold_ore"),
+  15: simple("iron_ore"),
+  16: simple("coal_ore"),
+  17: log(["oak", "spruce", "birch", "jungle"]),
+  18: leaves(["oak", "spruce", "birch", "jungle"]),
+  19: variants(["sponge", "wet_sponge"]),
+  20: simple("glass"),
+  21: simple("lapis_ore"),
+  22: simple("lapis_block"),
+  23: facing6("dispenser", (d) => ({ triggered: String((d & 8) !== 0) })),
+  24: variants(["sandstone", "chiseled_sandstone", "cut_sandstone"]),
+  25: () => named("note_block", { instrument: "harp", note: "0", powered: "false" }),
+  26: (d) =>
+    named("red_bed", {
+      facing: FACING_SWNE[d & 3],
+      occupied: String((d & 4) !== 0),
+      part: d & 8 ? "head" : "foot",
+    }),
+  27: rail("powered_rail", true),
+  28: rail("detector_rail", true),
+  29: piston("sticky_piston"),
+  30: simple("cobweb"),
+  31: variants(["dead_bush", "grass", "fern"]),
+  32: simple("dead_bush"),
+  33: piston("piston"),
+  34: (d) =>
+    named("piston_head", { facing: FACING_6[d & 7] || "down", short: "false", type: d & 8 ? "sticky" : "normal" }),
+  35: colored("wool"),
+  36: (d) => named("moving_piston", { facing: FACING_6[d & 7] || "down", type: d & 8 ? "sticky" : "normal" }),
+  37: simple("dandelion"),
+  38: variants([
+    "poppy", "blue_orchid", "allium", "azure_bluet", "red_tulip",
+    "orange_tulip", "white_tulip", "pink_tulip", "oxeye_daisy",
+  ]),
+  39: simple("brown_mushroom"),
+  40: simple("red_mushroom"),
+  41: simple("gold_block"),
+  42: simple("iron_block"),
+  43: doubleSlab(SLAB_VARIANTS, (v) => `${v}_slab`, { 0: "smooth_stone", 1: "smooth_sandstone", 7: "smooth_quartz" }),
+  44: slab(SLAB_VARIANTS, (v) => `${v}_slab`),
+  45: simple("bricks"),
+  46: (d) => named("tnt", { unstable: String((d & 1) !== 0) }),
+  47: simple("bookshelf"),
+  48: simple("mossy_cobblestone"),
+  49: simple("obsidian"),
+  50: torch("torch", "wall_torch"),
+  51: (d) =>
+    named("fire", { age: String(d), east: "false", north: "false", south: "false", up: "false", west: "false" }),
+  52: simple("spawner"),
+  53: stairs("oak_stairs"),
+  54: wallFacing("chest", () => ({ type: "single", waterlogged: "false" })),
+  55: (d) =>
+    named("redstone_wire", { east: "none", north: "none", power: String(d), south: "none", west: "none" }),
+  56: simple("diamond_ore"),
+  57: simple("diamond_block"),
+  58: simple("crafting_table"),
+  59: aged("wheat", 7),
+  60: (d) => named("farmland", { moisture: String(d & 7) }),
+  61: wallFacing("furnace", () => ({ lit: "false" })),
+  62: wallFacing("furnace", () => ({ lit: "true" })),
+  63: (d) => named("sign", { rotation: String(d), waterlogged: "false" }),
+  64: door("oak_door"),
+  65: wallFacing("ladder", () => ({ waterlogged: "false" })),
+  66: rail("rail", false),
+  67: stairs("cobblestone_stairs"),
+  68: wallFacing("wall_sign", () => ({ waterlogged: "false" })),
+  69: (d) => named("lever", { ...LEVER_ORIENT[d & 7], powered: String((d & 8) !== 0) }),
+  70: (d) => named("stone_pressure_plate", { powered: String((d & 1) !== 0) }),
+  71: door("iron_door"),
+  72: (d) => named("oak_pressure_plate", { powered: String((d & 1) !== 0) }),
+  73: () => named("redstone_ore", { lit: "false" }),
+  74: () => named("redstone_ore", { lit: "true" }),
+  75: torch("redstone_torch", "redstone_wall_torch", false),
+  76: torch("redstone_torch", "redstone_wall_torch", true),
+  77: button("stone_button"),
+  78: (d) => named("snow", { layers: String((d & 7) + 1) }),
+  79: simple("ice"),
+  80: simple("snow_block"),
+  81: aged("cactus", 15),
+  82: simple("clay"),
+  83: aged("sugar_cane", 15),
+  84: (d) => named("jukebox", { has_record: String(d === 1) }),
+  85: fence("oak_fence"),
+  86: (d) => named("carved_pumpkin", { facing: FACING_SWNE[d & 3] }),
+  87: simple("netherrack"),
+  88: simple("soul_sand"),
+  89: simple("glowstone"),
+  90: (d) => named("nether_portal", { axis: d === 2 ? "z" : "x" }),
+  91: (d) => named("jack_o_lantern", { facing: FACING_SWNE[d & 3] }),
+  92: (d) => named("cake", { bites: String(Math.min(d, 6)) }),
+  93: (d) =>
+    named("repeater", { delay: String((d >> 2) + 1), facing: FACING_SWNE[d & 3], locked: "false", powered: "false" }),
+  94: (d) =>
+    named("repeater", { delay: String((d >> 2) + 1), facing: FACING_SWNE[d & 3], locked: "false", powered: "true" }),
+  95: colored("stained_glass"),
+  96: trapdoor("oak_trapdoor"),
+  97: variants([
+    "infested_stone", "infested_cobblestone", "infested_stone_bricks",
+    "infested_mossy_stone_bricks", "infested_cracked_stone_bricks", "infested_chiseled_stone_bricks",
+  ]),
+  98: variants(["stone_bricks", "mossy_stone_bricks", "cracked_stone_bricks", "chiseled_stone_bricks"]),
+  99: mushroomBlock("brown_mushroom_block"),
+  100: mushroomBlock("red_mushroom_block"),
+  101: fence("iron_bars"),
+  102: fence("glass_pane"),
+  103: simple("melon"),
+  104: aged("pumpkin_stem", 7),
+  105: aged("melon_stem", 7),
+  106: (d) =>
+    named("vine", {
+      east: String((d & 8) !== 0),
+      north: String((d & 4) !== 0),
+      south: String((d & 1) !== 0),
+      up: "false",
+      west: String((d & 2) !== 0),
+    }),
+  107: fenceGate("oak_fence_gate"),
+  108: stairs("brick_stairs"),
+  109: stairs("stone_brick_stairs"),
+  110: () => named("mycelium", { snowy: "false" }),
+  111: simple("lily_pad"),
+  112: simple("nether_bricks"),
+  113: fence("nether_brick_fence"),
+  114: stairs("nether_brick_stairs"),
+  115: aged("nether_wart", 3),
+  116: simple("enchanting_table"),
+  117: (d) =>
+    named("brewing_stand", {
+      has_bottle_0: String((d & 1) !== 0),
+      has_bottle_1: String((d & 2) !== 0),
+      has_bottle_2: String((d & 4) !== 0),
+    }),
+  118: (d) => named("cauldron", { level: String(Math.min(d, 3)) }),
+  119: simple("end_portal"),
+  120: (d) => named("end_portal_frame", { eye: String((d & 4) !== 0), facing: FACING_SWNE[d & 3] }),
+  121: simple("end_stone"),
+  122: simple("dragon_egg"),
+  123: () => named("redstone_lamp", { lit: "false" }),
+  124: () => named("redstone_lamp", { lit: "true" }),
+  125: doubleSlab(WOOD_TYPES, (v) => `${v}_slab`, {}),
+  126: slab(WOOD_TYPES, (v) => `${v}_slab`),
+  127: (d) => named("cocoa", { age: String(Math.min(d >> 2, 2)), facing: FACING_SWNE[d & 3] }),
+  128: stairs("sandstone_stairs"),
+  129: simple("emerald_ore"),
+  130: wallFacing("ender_chest", () => ({ waterlogged: "false" })),
+  131: (d) =>
+    named("tripwire_hook", {
+      attached: String((d & 4) !== 0),
+      facing: FACING_SWNE[d & 3],
+      powered: String((d & 8) !== 0),
+    }),
+  132: (d) =>
+    named("tripwire", {
+      attached: String((d & 4) !== 0),
+      disarmed: String((d & 8) !== 0),
+      east: "false",
+      north: "false",
+      powered: String((d & 1) !== 0),
+      south: "false",
+      west: "false",
+    }),
+  133: simple("emerald_block"),
+  134: stairs("spruce_stairs"),
+  135: stairs("birch_stairs"),
+  136: stairs("jungle_stairs"),
+  137: facing6("command_block", (d) => ({ conditional: String((d & 8) !== 0) })),
+  138: simple("beacon"),
+  139: (d) =>
+    named(d === 1 ? "mossy_cobblestone_wall" : "cobblestone_wall", {
+      east: "false",
+      north: "false",
+      south: "false",
+      up: "true",
+      waterlogged: "false",
+      west: "false",
+    }),
+  140: simple("flower_pot"),
+  141: aged("carrots", 7),
+  142: aged("potatoes", 7),
+  143: button("oak_button"),
+  144: (d) => {
+    const orient = d & 7;
+    if (FACING_WALL[orient]) return named("skeleton_wall_skull", { facing: FACING_WALL[orient] });
+    return named("skeleton_skull", { rotation: "0" });
+  },
+  145: (d) => {
+    const names = ["anvil", "chipped_anvil", "damaged_anvil"];
+    const name = names[d >> 2];
+    return name ? named(name, { facing: FACING_SWNE[d & 3] }) : null;
+  },
+  146: wallFacing("trapped_chest", () => ({ type: "single", waterlogged: "false" })),
+  147: (d) => named("light_weighted_pressure_plate", { power: String(d) }),
+  148: (d) => named("heavy_weighted_pressure_plate", { power: String(d) }),
+  149: (d) =>
+    named("comparator", {
+      facing: FACING_SWNE[d & 3],
+      mode: d & 4 ? "subtract" : "compare",
+      powered: String((d & 8) !== 0),
+    }),
+  150: (d) =>
+    named("comparator", {
+      facing: FACING_SWNE[d & 3],
+      mode: d & 4 ? "subtract" : "compare",
+      powered: "true",
+    }),
+  151: (d) => named("daylight_detector", { inverted: "false", power: String(d) }),
+  152: simple("redstone_block"),
+  153: simple("nether_quartz_ore"),
+  154: (d) => named("hopper", { enabled: String((d & 8) === 0), facing: FACING_6[d & 7] || "down" }),
+  155: (d) => {
+    if (d === 0) return named("quartz_block");
+    if (d === 1) return named("chiseled_quartz_block");
+    if (d >= 2 && d <= 4) return named("quartz_pillar", { axis: ["y", "x", "z"][d - 2] });
+    return null;
+  },
+  156: stairs("quartz_stairs"),
+  157: rail("activator_rail", true),
+  158: facing6("dropper", (d) => ({ triggered: String((d & 8) !== 0) })),
+  159: colored("terracotta"),
+  160: (d) =>
+    named(`${COLORS[d]}_stained_glass_pane`, {
+      east: "false",
+      north: "false",
+      south: "false",
+      waterlogged: "false",
+      west: "false",
+    }),
+  161: leaves(["acacia", "dark_oak"]),
+  162: log(["acacia", "dark_oak"]),
+  163: stairs("acacia_stairs"),
+  164: stairs("dark_oak_stairs"),
+  165: simple("slime_block"),
+  166: simple("barrier"),
+  167: trapdoor("iron_trapdoor"),
+  168: variants(["prismarine", "prismarine_bricks", "dark_prismarine"]),
+  169: simple("sea_lantern"),
+  170: (d) => named("hay_block", { axis: LOG_AXIS[d >> 2] || "y" }),
+  171: colored("carpet"),
+  172: simple("terracotta"),
+  173: simple("coal_block"),
+  174: simple("packed_ice"),
+  175: (d) => {
+    // Upper halves do not record the plant type
+    if (d & 8) return named("sunflower", { half: "upper" });
+    const names = ["sunflower", "lilac", "tall_grass", "large_fern", "rose_bush", "peony"];
+    return names[d] ? named(names[d], { half: "lower" }) : null;
+  },
+  176: (d) => named("white_banner", { rotation: String(d) }),
+  177: wallFacing("white_wall_banner"),
+  178: (d) => named("daylight_detector", { inverted: "true", power: String(d) }),
+  179: variants(["red_sandstone", "chiseled_red_sandstone", "cut_red_sandstone"]),
+  180: stairs("red_sandstone_stairs"),
+  181: doubleSlab(["red_sandstone"], (v) => `${v}_slab`, { 0: "smooth_red_sandstone" }),
+  182: slab(["red_sandstone"], (v) => `${v}_slab`),
+  183: fenceGate("spruce_fence_gate"),
+  184: fenceGate("birch_fence_gate"),
+  185: fenceGate("jungle_fence_gate"),
+  186: fenceGate("dark_oak_fence_gate"),
+  187: fenceGate("acacia_fence_gate"),
+  188: fence("spruce_fence"),
+  189: fence("birch_fence"),
+  190: fence("jungle_fence"),
+  191: fence("dark_oak_fence"),
+  192: fence("acacia_fence"),
+  193: door("spruce_door"),
+  194: door("birch_door"),
+  195: door("jungle_door"),
+  196: door("acacia_door"),
+  197: door("dark_oak_door"),
+  198: facing6("end_rod"),
+  199: () =>
+    named("chorus_plant", { down: "false", east: "false", north: "false", south: "false", up: "false", west: "false" }),
+  200: aged("chorus_flower", 5),
+  201: simple("purpur_block"),
+  202: (d) => named("purpur_pillar", { axis: LOG_AXIS[d >> 2] || "y" }),
+  203: stairs("purpur_stairs"),
+  204: () => named("purpur_slab", { type: "double", waterlogged: "false" }),
+  205: (d) => named("purpur_slab", { type: d & 8 ? "top" : "bottom", waterlogged: "false" }),
+  206: simple("end_stone_bricks"),
+  207: aged("beetroots", 3),
+  208: simple("grass_path"),
+  209: simple("end_gateway"),
+  210: facing6("repeating_command_block", (d) => ({ conditional: String((d & 8) !== 0) })),
+  211: facing6("chain_command_block", (d) => ({ conditional: String((d & 8) !== 0) })),
+  212: aged("frosted_ice", 3),
+  213: simple("magma_block"),
+  214: simple("nether_wart_block"),
+  215: simple("red_nether_bricks"),
+  216: (d) => named("bone_block", { axis: LOG_AXIS[d >> 2] || "y" }),
+  217: simple("structure_void"),
+  218: facing6("observer", (d) => ({ powered: String((d & 8) !== 0) })),
+  251: colored("concrete"),
+  252: colored("concrete_powder"),
+  255: (d) => named("structure_block", { mode: ["save", "load", "corner", "data"][d] || "data" }),
+};
+
+// 219-234: shulker boxes, 235-250: glazed terracotta (one id per color)
+COLORS.forEach((color, i) => {
+  LEGACY_BLOCKS[219 + i] = facing6(`${color}_shulker_box`);
+  LEGACY_BLOCKS[235 + i] = (d) => named(`${color}_glazed_terracotta`, { facing: FACING_SWNE[d & 3] });
+});
+
+/**
+ * Translate a legacy numeric id + data value to a 1.13 block name with states.
+ * Returns null for ids/data values that have no mapping.
+ */
+function legacyBlockName(id, data) {
+  const rule = LEGACY_BLOCKS[id];
+  if (!rule) return null;
+  return rule(data & 15);
+}
+
+module.exports = { legacyBlockName };
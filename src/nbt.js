@@ -0,0 +1,546 @@
+const os = require("os");
+const zlib = require("zlib");
+const {
+  InvalidSchematicError, PaletteIndexError, TruncatedDataError, UnrecognizedFormatError,
+} = require("./errors");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// NBT Parsing Utilities
+// ─────────────────────────────────────────────────────────────────────────────
+
+// NBT tag types by id
+const NBT_TAG_TYPES = [
+  "end", "byte", "short", "int", "long", "float", "double",
+  "byteArray", "string", "list", "compound", "intArray", "longArray",
+];
+const NATIVE_LITTLE_ENDIAN = os.endianness() === "LE";
+// Most bytes one byte of deflate data can expand to
+const DEFLATE_MAX_RATIO = 1032;
+
+/**
+ * Read uncompressed NBT into prismarine-nbt's tag layout ({ type, value },
+ * longs as [high, low] pairs), except for arrays: byte arrays are Int8Array
+ * views into `buffer` and int/long arrays are Int32Array/BigInt64Array
+ * copies. A block array then costs its size in bytes rather than one JS
+ * value per entry. When `buffer` is in shared memory, the copies are too,
+ * so worker threads can be sent the tree without copying its arrays.
+ * Returns { type, name, value, size }.
+ */
+function readNbtUncompressed(buffer, littleEndian) {
+  const ArrayBufferType = buffer.buffer instanceof SharedArrayBuffer ? SharedArrayBuffer : ArrayBuffer;
+  let pos = 0;
+
+  const need = (size) => {
+    if (pos + size > buffer.length) {
+      throw new TruncatedDataError(`Truncated NBT data: ${size} bytes needed at offset ${pos}, ${buffer.length - pos} left.`);
+    }
+  };
+  const number = (size, readBE, readLE) => {
+    need(size);
+    const value = littleEndian ? readLE.call(buffer, pos) : readBE.call(buffer, pos);
+    pos += size;
+    return value;
+  };
+  const i8 = () => number(1, buffer.readInt8, buffer.readInt8);
+  const i16 = () => number(2, buffer.readInt16BE, buffer.readInt16LE);
+  const u16 = () => number(2, buffer.readUInt16BE, buffer.readUInt16LE);
+  const i32 = () => number(4, buffer.readInt32BE, buffer.readInt32LE);
+  const length = () => {
+    const value = i32();
+    if (value < 0) {
+      throw new UnrecognizedFormatError(`Not NBT data: negative length at offset ${pos - 4}.`);
+    }
+    return value;
+  };
+  const tagType = (id) => {
+    const type = NBT_TAG_TYPES[id];
+    if (!type) {
+      throw new UnrecognizedFormatError(`Not NBT data: unknown tag type ${id} at offset ${pos - 1}.`);
+    }
+    return type;
+  };
+  const string = () => {
+    const size = u16();
+    need(size);
+    pos += size;
+    return buffer.toString("utf8", pos - size, pos);
+  };
+  // Copied into fresh memory so the typed array is aligned, then byte-swapped if needed
+  const numberArray = (ArrayType, swap) => {
+    const size = length() * ArrayType.BYTES_PER_ELEMENT;
+    need(size);
+    const bytes = new Uint8Array(new ArrayBufferType(size));
+    bytes.set(buffer.subarray(pos, pos + size));
+    pos += size;
+    if (littleEndian !== NATIVE_LITTLE_ENDIAN) Buffer.from(bytes.buffer)[swap]();
+    return new ArrayType(bytes.buffer);
+  };
+
+  const payload = (type) => {
+    switch (type) {
+      case "byte":
+        return i8();
+      case "short":
+        return i16();
+      case "int":
+        return i32();
+      case "long": {
+        const first = i32();
+        const second = i32();
+        return littleEndian ? [second, first] : [first, second];
+      }
+      case "float":
+        return number(4, buffer.readFloatBE, buffer.readFloatLE);
+      case "double":
+        return number(8, buffer.readDoubleBE, buffer.readDoubleLE);
+      case "byteArray": {
+        const size = length();
+        need(size);
+        pos += size;
+        return new Int8Array(buffer.buffer, buffer.byteOffset + pos - size, size);
+      }
+      case "string":
+        return string();
+      case "list": {
+        const itemType = tagType(i8());
+        const count = length();
+        const items = new Array(count);
+        for (let i = 0; i < count; i++) items[i] = payload(itemType);
+        return { type: itemType, value: items };
+      }
+      case "compound": {
+        // Like prismarine-nbt, a compound may end at the end of the data
+        const value = {};
+        while (pos < buffer.length) {
+          const childType = i8();
+          if (childType === 0) break;
+          const type = tagType(childType);
+          const name = string();
+          value[name] = { type, value: payload(type) };
+        }
+        return value;
+      }
+      case "intArray":
+        return numberArray(Int32Array, "swap32");
+      case "longArray":
+        return numberArray(BigInt64Array, "swap64");
+      default:
+        return undefined;
+    }
+  };
+
+  if (buffer[0] !== 0x0a) {
+    throw new UnrecognizedFormatError("Not NBT data: the root tag is not a compound.");
+  }
+  pos = 1;
+  const name = string();
+  const value = payload("compound");
+  return { type: "compound", name, value, size: pos };
+}
+
+/**
+ * Gunzip a whole buffer into one buffer of its size. The gzip trailer holds
+ * the size, so zlib writes into a single chunk instead of growing a list of
+ * chunks and copying them together, which would need twice the memory.
+ */
+function gunzipWhole(buffer) {
+  const size = buffer.length >= 4 ? buffer.readUInt32LE(buffer.length - 4) : 0;
+  // The trailer is only a hint: a damaged one must not allocate more than
+  // deflate can give. One spare byte lets zlib see the end without a second chunk.
+  const chunkSize = Math.max(zlib.constants.Z_MIN_CHUNK, Math.min(size + 1, buffer.length * DEFLATE_MAX_RATIO));
+  return zlib.gunzipSync(buffer, { chunkSize });
+}
+
+/**
+ * Read a (possibly gzipped) NBT file. `format` is "big" or "little"; without
+ * it big-endian is tried first, then little-endian (Bedrock).
+ */
+function readNbt(buffer, format) {
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    buffer = gunzipWhole(buffer);
+  }
+  if (format) {
+    return readNbtUncompressed(buffer, format === "little");
+  }
+
+  // Decoding with the wrong byte order fails or stops early
+  const readWhole = (littleEndian) => {
+    const root = readNbtUncompressed(buffer, littleEndian);
+    if (root.size < buffer.length && buffer[root.size] !== 0x0a) {
+      throw new UnrecognizedFormatError(`Not NBT data: ${buffer.length - root.size} unread bytes after the root tag.`);
+    }
+    return root;
+  };
+  try {
+    return readWhole(false);
+  } catch (error) {
+    try {
+      return readWhole(true);
+    } catch {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Buffer over the bytes of a byte array tag, without copying
+ */
+function byteView(bytes) {
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+function decodeVarint(buffer, offset) {
+  let value = 0;
+  let shift = 0;
+  let size = 0;
+
+  while (true) {
+    if (offset + size >= buffer.length) {
+      throw new TruncatedDataError("Truncated varint in block data.");
+    }
+    const byte = buffer[offset + size];
+    value |= (byte & 0x7f) << shift;
+    size += 1;
+    if ((byte & 0x80) === 0) break;
+    shift += 7;
+    if (shift > 35) {
+      throw new InvalidSchematicError("Varint too large.");
+    }
+  }
+
+  return { value, size };
+}
+
+function buildPaletteIndex(paletteTag) {
+  const entries = paletteTag?.value;
+  if (!entries || typeof entries !== "object") {
+    throw new InvalidSchematicError("Missing palette in schematic.");
+  }
+
+  const palette = [];
+  for (const [name, indexTag] of Object.entries(entries)) {
+    palette[indexTag.value] = name;
+  }
+  return palette;
+}
+
+function blockIdForIndex(blocks, addBlocks, index) {
+  const low = blocks[index] & 0xff;
+  if (!addBlocks) return low;
+
+  const addIndex = Math.floor(index / 2);
+  const addValue = addBlocks[addIndex] & 0xff;
+  const high = index % 2 === 0 ? addValue & 0x0f : (addValue >> 4) & 0x0f;
+  return low | (high << 8);
+}
+
+/**
+ * Build a "name[key=value,...]" block string from a palette compound
+ * (vanilla structure Name/Properties or Bedrock name/states)
+ */
+function paletteEntryName(entry) {
+  const name = entry.Name?.value ?? entry.name?.value ?? "minecraft:air";
+  const props = entry.Properties?.value ?? entry.states?.value;
+  if (!props || Object.keys(props).length === 0) return name;
+
+  const pairs = Object.keys(props).sort().map((key) => {
+    const tag = props[key];
+    // Bedrock stores boolean states as bytes
+    const value = tag.type === "byte" ? String(tag.value !== 0) : String(tag.value);
+    return `${key}=${value}`;
+  });
+  return `${name}[${pairs.join(",")}]`;
+}
+
+/**
+ * Reader for fixed-width palette indices packed into a long array
+ * (BigInt64Array): returns index => value, decoding on demand.
+ * `spanning` entries may straddle two longs (Litematica, Anvil before 1.16);
+ * otherwise each long holds floor(64 / bits) entries and the rest is padding
+ * (Anvil 1.16+). Entries past the end of the data read as 0.
+ */
+function createPackedReader(longs, bitsPerEntry, spanning) {
+  // 32-bit words, low half of each long first
+  let words;
+  if (NATIVE_LITTLE_ENDIAN) {
+    words = new Uint32Array(longs.buffer, longs.byteOffset, longs.length * 2);
+  } else {
+    words = new Uint32Array(longs.length * 2);
+    for (let i = 0; i < longs.length; i++) {
+      words[i * 2] = Number(BigInt.asUintN(32, longs[i]));
+      words[i * 2 + 1] = Number(BigInt.asUintN(32, longs[i] >> 32n));
+    }
+  }
+  const mask = bitsPerEntry >= 32 ? 0xffffffff : (1 << bitsPerEntry) - 1;
+  const entriesPerLong = Math.floor(64 / bitsPerEntry);
+
+  return (index) => {
+    const bit = spanning
+      ? index * bitsPerEntry
+      : Math.floor(index / entriesPerLong) * 64 + (index % entriesPerLong) * bitsPerEntry;
+    const word = Math.floor(bit / 32);
+    if (word >= words.length) return 0;
+    const offset = bit % 32;
+    let value = words[word] >>> offset;
+    if (offset + bitsPerEntry > 32 && word + 1 < words.length) {
+      value |= words[word + 1] << (32 - offset);
+    }
+    return (value & mask) >>> 0;
+  };
+}
+
+/**
+ * Unpack `count` packed palette indices (see createPackedReader)
+ */
+function unpackBits(longs, count, bitsPerEntry, spanning) {
+  const out = new Uint32Array(count);
+  if (!longs || longs.length === 0) return out;
+  const read = createPackedReader(longs, bitsPerEntry, spanning);
+  for (let i = 0; i < count; i++) out[i] = read(i);
+  return out;
+}
+
+/**
+ * Convert a 64-bit NBT long ([high, low] int pair, or a BigInt from a long
+ * array) to a Number, or to a decimal string when it does not fit in a safe
+ * integer
+ */
+function longToNumber(long) {
+  const value = typeof long === "bigint"
+    ? long
+    : BigInt.asIntN(64, (BigInt(long[0]) << 32n) | BigInt(long[1] >>> 0));
+  if (value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)) {
+    return Number(value);
+  }
+  return value.toString();
+}
+
+/**
+ * Turn a typed NBT tag ({ type, value }) into plain JS values
+ * suitable for JSON/Lua serialization
+ */
+function nbtToPlain(tag) {
+  const { type, value } = tag;
+  switch (type) {
+    case "compound": {
+      const out = {};
+      for (const [key, child] of Object.entries(value)) {
+        out[key] = nbtToPlain(child);
+      }
+      return out;
+    }
+    case "list":
+      return value.value.map((item) => nbtToPlain({ type: value.type, value: item }));
+    case "long":
+      return longToNumber(value);
+    case "longArray":
+      return Array.from(value, longToNumber);
+    case "byteArray":
+    case "shortArray":
+    case "intArray":
+      return Array.from(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Describe the tag types nbtToPlain drops, so plainToNbt can restore them:
+ * a type name per leaf ("byte", "float", "intArray", ...), [element] for
+ * lists and { key: ... } for compounds. Ints and strings, which plain values
+ * read back as, are left out, and so are compounds and lists made only of
+ * them (undefined). Empty lists are "list", as Lua cannot tell them from
+ * empty compounds. `omit` skips top-level compound keys.
+ */
+function nbtTypes(tag, omit = []) {
+  const { type, value } = tag;
+  switch (type) {
+    case "compound": {
+      const out = {};
+      for (const [key, child] of Object.entries(value)) {
+        if (omit.includes(key)) continue;
+        const childTypes = nbtTypes(child);
+        if (childTypes !== undefined) out[key] = childTypes;
+      }
+      return Object.keys(out).length > 0 ? out : undefined;
+    }
+    case "list": {
+      if (value.value.length === 0) return "list";
+      // Elements share one description; compound keys are merged
+      let element;
+      for (const item of value.value) {
+        element = mergeNbtTypes(element, nbtTypes({ type: value.type, value: item }));
+      }
+      return element === undefined ? undefined : [element];
+    }
+    case "int":
+    case "string":
+      return undefined;
+    default:
+      return type;
+  }
+}
+
+/**
+ * `entry` with nbtTypes(tag, omit) added as entry.nbtTypes, if there are any
+ */
+function withNbtTypes(entry, tag, omit = []) {
+  const types = nbtTypes(tag, omit);
+  return types ? { ...entry, nbtTypes: types } : entry;
+}
+
+function mergeNbtTypes(a, b) {
+  if (a === undefined) return b;
+  if (b === undefined) return a;
+  if (Array.isArray(a) && Array.isArray(b)) return [mergeNbtTypes(a[0], b[0])];
+  if (typeof a === "object" && typeof b === "object" && !Array.isArray(a) && !Array.isArray(b)) {
+    const out = { ...a };
+    for (const [key, value] of Object.entries(b)) out[key] = mergeNbtTypes(out[key], value);
+    return out;
+  }
+  // An empty list is any list
+  return a === "list" ? b : a;
+}
+
+/**
+ * Decode a Sponge biome palette and varint data array into
+ * { palette, data, is3d }. v3 stores one biome per block (YZX order),
+ * v2 one per column (index = x + z * width). Returns null when absent.
+ */
+function readBiomes(paletteTag, biomeData, count, is3d) {
+  if (!paletteTag || !biomeData) return null;
+
+  const palette = buildPaletteIndex(paletteTag);
+  const buffer = byteView(biomeData);
+  const data = new Uint32Array(count);
+  let offset = 0;
+  for (let i = 0; i < count; i++) {
+    const { value, size } = decodeVarint(buffer, offset);
+    if (!palette[value]) {
+      throw new PaletteIndexError(value, "biome palette");
+    }
+    data[i] = value;
+    offset += size;
+  }
+  return { palette, data, is3d };
+}
+
+/**
+ * Paste anchor from WorldEdit's WEOffsetX/Y/Z metadata (the build's minimum
+ * corner relative to the anchor), as a position in schematic coordinates.
+ * Offsets are negated as 0 - n so a zero offset stays 0 rather than -0.
+ */
+function originFromWEOffset(tags) {
+  if (!tags || typeof tags.WEOffsetX?.value !== "number") return null;
+  return {
+    x: 0 - tags.WEOffsetX.value,
+    y: 0 - (tags.WEOffsetY?.value ?? 0),
+    z: 0 - (tags.WEOffsetZ?.value ?? 0),
+  };
+}
+
+/**
+ * Read a list of block entities into { x, y, z, id, data, nbtTypes? } entries
+ * (nbtTypes as from nbtTypes(), when data has types plain values lose).
+ * Handles Sponge v2 (Pos/Id at top level), Sponge v3 (Pos/Id + nested Data)
+ * and classic/Litematica tile entities (lowercase x/y/z/id).
+ * Offsets are added to the stored position (Litematica stores per-region coords).
+ */
+function readBlockEntities(listTag, offsetX = 0, offsetY = 0, offsetZ = 0) {
+  const items = listTag?.value?.value;
+  if (!Array.isArray(items)) return [];
+
+  const entries = [];
+  for (const item of items) {
+    const { Pos, Id, id, Data, x, y, z, ...rest } = nbtToPlain({ type: "compound", value: item });
+    const pos = Array.isArray(Pos) ? Pos : [x, y, z];
+    if (pos.some((v) => typeof v !== "number")) continue;
+
+    const nested = item.Data?.type === "compound";
+    const entry = {
+      x: pos[0] + offsetX,
+      y: pos[1] + offsetY,
+      z: pos[2] + offsetZ,
+      id: Id ?? id ?? null,
+      data: nested ? Data : rest,
+    };
+    entries.push(nested
+      ? withNbtTypes(entry, item.Data)
+      : withNbtTypes(entry, { type: "compound", value: item }, ["Pos", "Id", "id", "Data", "x", "y", "z"]));
+  }
+  return entries;
+}
+
+/**
+ * Read a list of (non-block) entities into { id, x, y, z, yaw, pitch, data, nbtTypes? } entries.
+ * Sponge v3 nests extra NBT under Data; Sponge v2 and Litematica keep it at the top level.
+ * Positions are doubles relative to the schematic origin (offsets shift per-region coords).
+ */
+function readEntities(listTag, offsetX = 0, offsetY = 0, offsetZ = 0) {
+  const items = listTag?.value?.value;
+  if (!Array.isArray(items)) return [];
+
+  const entries = [];
+  for (const item of items) {
+    const { Pos, Id, id, Data, Rotation, ...rest } = nbtToPlain({ type: "compound", value: item });
+    const nested = item.Data?.type === "compound";
+    const data = nested ? { ...Data } : rest;
+    if (!Array.isArray(Pos) || Pos.length < 3) continue;
+
+    // Sponge v3 may repeat these inside Data
+    const rotation = Rotation ?? data.Rotation ?? [0, 0];
+    const entityId = Id ?? id ?? data.id ?? null;
+    delete data.Pos;
+    delete data.Rotation;
+    delete data.id;
+
+    const entry = {
+      id: entityId,
+      x: Pos[0],
+      y: Pos[1],
+      z: Pos[2],
+      yaw: rotation[0] ?? 0,
+      pitch: rotation[1] ?? 0,
+      data,
+    };
+    const typed = nested
+      ? withNbtTypes(entry, item.Data, ["Pos", "Rotation", "id"])
+      : withNbtTypes(entry, { type: "compound", value: item }, ["Pos", "Id", "id", "Data", "Rotation"]);
+    entries.push(offsetEntity(typed, offsetX, offsetY, offsetZ));
+  }
+  return entries;
+}
+
+/**
+ * Move an entity entry by dx/dy/dz. Hanging entities (item frames,
+ * paintings) keep the block they hang in as TileX/Y/Z, which moves with them.
+ */
+function offsetEntity(entry, dx, dy, dz) {
+  const moved = { ...entry, x: entry.x + dx, y: entry.y + dy, z: entry.z + dz };
+  const { data } = entry;
+  if (typeof data.TileX === "number" && typeof data.TileY === "number" && typeof data.TileZ === "number") {
+    moved.data = { ...data, TileX: data.TileX + dx, TileY: data.TileY + dy, TileZ: data.TileZ + dz };
+  }
+  return moved;
+}
+
+module.exports = {
+  readNbtUncompressed,
+  readNbt,
+  gunzipWhole,
+  byteView,
+  decodeVarint,
+  buildPaletteIndex,
+  blockIdForIndex,
+  paletteEntryName,
+  createPackedReader,
+  unpackBits,
+  nbtToPlain,
+  nbtTypes,
+  withNbtTypes,
+  readBiomes,
+  originFromWEOffset,
+  readBlockEntities,
+  readEntities,
+  offsetEntity,
+};
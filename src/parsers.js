@@ -0,0 +1,669 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  ConverterError, InputNotFoundError, InvalidOptionError, InvalidSchematicError, PaletteIndexError,
+  TruncatedDataError, UnrecognizedFormatError,
+} = require("./errors");
+const { DATA_VERSION_FLATTENED_NAMES } = require("./blocks");
+const {
+  blockIdForIndex, buildPaletteIndex, byteView, createPackedReader, decodeVarint, nbtToPlain,
+  offsetEntity, originFromWEOffset, paletteEntryName, readBiomes, readBlockEntities, readEntities, readNbt,
+  withNbtTypes,
+} = require("./nbt");
+const { parseAnvilWorld } = require("./anvil");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Schematic Parsers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Inclusive X and Z ranges of a width x length footprint inside an
+ * iterateBlocks `area` ({ minX, maxX, minZ, maxZ }, inclusive, or null for
+ * all of it). A range is empty when its first value is past its last.
+ */
+function areaRanges(area, width, length) {
+  if (!area) return { x0: 0, x1: width - 1, z0: 0, z1: length - 1 };
+  return {
+    x0: Math.max(0, area.minX),
+    x1: Math.min(width - 1, area.maxX),
+    z0: Math.max(0, area.minZ),
+    z1: Math.min(length - 1, area.maxZ),
+  };
+}
+
+/**
+ * iterateBlocks for Sponge varint block data (YZX order). Palette indices
+ * below 128 take one byte, so an array of one byte per block is read in
+ * place. Otherwise an `area` needs the byte offset of each Z row, which is
+ * found on first use. Each row also remembers where the last area stopped,
+ * so areas read one X band after another decode every row once.
+ */
+function spongeBlockIterator(blockData, palette, width, height, length) {
+  const data = byteView(blockData);
+  const oneByte = data.length === width * height * length;
+  let rowOffsets = null;
+  let resumeX = null;
+  let resumeOffsets = null;
+
+  const findRowOffsets = () => {
+    const offsets = new Uint32Array(height * length);
+    let offset = 0;
+    for (let row = 0; row < offsets.length; row++) {
+      offsets[row] = offset;
+      for (let x = 0; x < width; x++) offset += decodeVarint(data, offset).size;
+    }
+    return offsets;
+  };
+
+  return function* iterateBlocks(area) {
+    const { x0, x1, z0, z1 } = areaRanges(area, width, length);
+    if (area && !oneByte && !rowOffsets) {
+      rowOffsets = findRowOffsets();
+      resumeX = new Uint32Array(rowOffsets.length);
+      resumeOffsets = Uint32Array.from(rowOffsets);
+    }
+    let offset = 0;
+    for (let y = 0; y < height; y++) {
+      for (let z = z0; z <= z1; z++) {
+        const row = y * length + z;
+        if (oneByte) {
+          offset = row * width + x0;
+        } else if (area) {
+          let x = 0;
+          offset = rowOffsets[row];
+          if (resumeX[row] <= x0) {
+            x = resumeX[row];
+            offset = resumeOffsets[row];
+          }
+          for (; x < x0; x++) offset += decodeVarint(data, offset).size;
+        }
+        for (let x = x0; x <= x1; x++) {
+          let value;
+          if (oneByte) {
+            // A continuation byte means fewer varints than blocks
+            value = data[offset++];
+            if (value & 0x80) throw new TruncatedDataError("Truncated varint in block data.");
+          } else {
+            const varint = decodeVarint(data, offset);
+            value = varint.value;
+            offset += varint.size;
+          }
+          const name = palette[value];
+          if (!name) {
+            throw new PaletteIndexError(value);
+          }
+          yield { name, x, y, z, index: row * width + x };
+        }
+        if (area && !oneByte && x1 >= x0) {
+          resumeX[row] = x1 + 1;
+          resumeOffsets[row] = offset;
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Parse WorldEdit classic .schematic format
+ */
+function parseClassicSchematic(root) {
+  const width = root.Width?.value;
+  const height = root.Height?.value;
+  const length = root.Length?.value;
+  const blocks = root.Blocks?.value;
+  const data = root.Data?.value;
+  const addBlocks = root.AddBlocks?.value;
+
+  if (typeof width !== "number" || typeof height !== "number" || 
+      typeof length !== "number" || !blocks || !data) {
+    throw new InvalidSchematicError("Invalid classic schematic: missing required tags.");
+  }
+
+  const total = width * height * length;
+  if (blocks.length !== total || data.length !== total) {
+    throw new TruncatedDataError("Block array size mismatch.");
+  }
+
+  return {
+    width,
+    height,
+    length,
+    // Legacy ids resolve to 1.13 names through the flattening table
+    dataVersion: DATA_VERSION_FLATTENED_NAMES,
+    origin: originFromWEOffset(root),
+    blockEntities: readBlockEntities(root.TileEntities),
+    *iterateBlocks(area) {
+      const { x0, x1, z0, z1 } = areaRanges(area, width, length);
+      for (let y = 0; y < height; y++) {
+        for (let z = z0; z <= z1; z++) {
+          for (let x = x0; x <= x1; x++) {
+            const index = (y * length + z) * width + x;
+            const id = blockIdForIndex(blocks, addBlocks, index);
+            const dataValue = data[index] & 0xff;
+            yield { id, data: dataValue, x, y, z, index };
+          }
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Parse WorldEdit Sponge .schem format (v2)
+ */
+function parseSpongeSchematicV2(root) {
+  const width = root.Width?.value;
+  const height = root.Height?.value;
+  const length = root.Length?.value;
+  const paletteTag = root.Palette;
+  const blockData = root.BlockData?.value;
+
+  if (typeof width !== "number" || typeof height !== "number" || 
+      typeof length !== "number" || !paletteTag || !blockData) {
+    throw new InvalidSchematicError("Invalid Sponge v2 schematic: missing required tags.");
+  }
+
+  const palette = buildPaletteIndex(paletteTag);
+
+  return {
+    width,
+    height,
+    length,
+    // WorldEdit writes the world-space minimum corner to Offset and the
+    // anchor-relative offset to Metadata.WEOffsetX/Y/Z
+    dataVersion: root.DataVersion?.value ?? null,
+    origin: originFromWEOffset(root.Metadata?.value),
+    biomes: readBiomes(root.BiomePalette, root.BiomeData?.value, width * length, false),
+    blockEntities: readBlockEntities(root.BlockEntities ?? root.TileEntities),
+    entities: readEntities(root.Entities),
+    iterateBlocks: spongeBlockIterator(blockData, palette, width, height, length),
+  };
+}
+
+/**
+ * Parse WorldEdit Sponge .schem format (v3)
+ * v3 has nested Schematic tag and Blocks.Palette/Blocks.Data structure
+ */
+function parseSpongeSchematicV3(root) {
+  const schematic = root.Schematic?.value;
+  if (!schematic) {
+    throw new InvalidSchematicError("Invalid Sponge v3 schematic: missing Schematic tag.");
+  }
+
+  const width = schematic.Width?.value;
+  const height = schematic.Height?.value;
+  const length = schematic.Length?.value;
+  const blocks = schematic.Blocks?.value;
+  
+  if (!blocks) {
+    throw new InvalidSchematicError("Invalid Sponge v3 schematic: missing Blocks tag.");
+  }
+
+  const paletteTag = blocks.Palette;
+  const blockData = blocks.Data?.value;
+
+  if (typeof width !== "number" || typeof height !== "number" || 
+      typeof length !== "number" || !paletteTag || !blockData) {
+    throw new InvalidSchematicError("Invalid Sponge v3 schematic: missing required tags.");
+  }
+
+  const palette = buildPaletteIndex(paletteTag);
+
+  // v3 Offset is the minimum corner relative to the paste anchor (negated as
+  // in originFromWEOffset)
+  const offset = schematic.Offset?.value;
+  const origin = offset?.length === 3
+    ? { x: 0 - offset[0], y: 0 - offset[1], z: 0 - offset[2] }
+    : originFromWEOffset(schematic.Metadata?.value);
+
+  return {
+    width,
+    height,
+    length,
+    dataVersion: schematic.DataVersion?.value ?? null,
+    origin,
+    biomes: readBiomes(
+      schematic.Biomes?.value?.Palette,
+      schematic.Biomes?.value?.Data?.value,
+      width * height * length,
+      true
+    ),
+    blockEntities: readBlockEntities(blocks.BlockEntities),
+    entities: readEntities(schematic.Entities),
+    iterateBlocks: spongeBlockIterator(blockData, palette, width, height, length),
+  };
+}
+
+/**
+ * Region-relative block iterator for one Litematica region
+ * (BlockStates are YZX ordered from the region's minimum corner). Block
+ * indices start at `firstIndex`, so they keep counting across regions.
+ */
+function* iterateLitematicRegion(region, firstIndex, area) {
+  const { width, height, length, blockStates, palette } = region;
+  const bitsPerEntry = Math.max(2, Math.ceil(Math.log2(palette.length)));
+  // Litematica packs entries tightly, spanning long boundaries
+  const readIndex = createPackedReader(blockStates, bitsPerEntry, true);
+  const { x0, x1, z0, z1 } = areaRanges(area, width, length);
+
+  for (let y = 0; y < height; y++) {
+    for (let z = z0; z <= z1; z++) {
+      for (let x = x0; x <= x1; x++) {
+        const i = (y * length + z) * width + x;
+        const name = palette[readIndex(i)] || "minecraft:air";
+        yield { name, x, y, z, index: firstIndex + i };
+      }
+    }
+  }
+}
+
+/**
+ * Parse Litematica .litematic format
+ *
+ * A region spans from Position towards Position + Size on each axis; a
+ * negative size extends in the negative direction, so the region's minimum
+ * corner is Position + Size + 1. Block data, tile entities and entities are
+ * stored relative to that minimum corner. All regions are normalized into one
+ * shared origin (the minimum corner over every region), and each region is
+ * also returned on its own in `regions` for per-region output.
+ */
+function parseLitematic(root) {
+  const regions = root.Regions?.value;
+  if (!regions) {
+    throw new InvalidSchematicError("Invalid litematic: missing Regions tag.");
+  }
+
+  // Collect all region data
+  const regionList = [];
+  const warnings = [];
+  for (const [regionName, regionTag] of Object.entries(regions)) {
+    const region = regionTag.value;
+    const pos = region.Position?.value;
+    const size = region.Size?.value;
+    const blockStates = region.BlockStates?.value;
+    const palette = region.BlockStatePalette?.value?.value;
+
+    if (!pos || !size || !blockStates || !palette) {
+      warnings.push(`Skipping malformed region: ${regionName}`);
+      continue;
+    }
+
+    // Minimum corner of the region along one axis
+    const minCorner = (p, s) => (s < 0 ? p + s + 1 : p);
+    const sizeX = size.x?.value || 0;
+    const sizeY = size.y?.value || 0;
+    const sizeZ = size.z?.value || 0;
+
+    regionList.push({
+      name: regionName,
+      minX: minCorner(pos.x?.value || 0, sizeX),
+      minY: minCorner(pos.y?.value || 0, sizeY),
+      minZ: minCorner(pos.z?.value || 0, sizeZ),
+      width: Math.abs(sizeX),
+      height: Math.abs(sizeY),
+      length: Math.abs(sizeZ),
+      blockStates,
+      palette: palette.map(paletteEntryName),
+      blockEntities: readBlockEntities(region.TileEntities),
+      entities: readEntities(region.Entities),
+    });
+  }
+
+  // Shared origin: minimum corner over all regions
+  let originX = Infinity, originY = Infinity, originZ = Infinity;
+  let endX = -Infinity, endY = -Infinity, endZ = -Infinity;
+  for (const region of regionList) {
+    originX = Math.min(originX, region.minX);
+    originY = Math.min(originY, region.minY);
+    originZ = Math.min(originZ, region.minZ);
+    endX = Math.max(endX, region.minX + region.width);
+    endY = Math.max(endY, region.minY + region.height);
+    endZ = Math.max(endZ, region.minZ + region.length);
+  }
+
+  // Block indices count on from one region to the next
+  let nextIndex = 0;
+  const subBuilds = regionList.map((region) => {
+    const firstIndex = nextIndex;
+    nextIndex += region.width * region.height * region.length;
+    return {
+      name: region.name,
+      x: region.minX - originX,
+      y: region.minY - originY,
+      z: region.minZ - originZ,
+      width: region.width,
+      height: region.height,
+      length: region.length,
+      blockEntities: region.blockEntities,
+      entities: region.entities,
+      iterateBlocks: (area) => iterateLitematicRegion(region, firstIndex, area),
+    };
+  });
+
+  // Tile entity and entity positions are relative to their region
+  const blockEntities = [];
+  const entities = [];
+  for (const sub of subBuilds) {
+    for (const entry of sub.blockEntities) {
+      blockEntities.push({ ...entry, x: entry.x + sub.x, y: entry.y + sub.y, z: entry.z + sub.z });
+    }
+    for (const entry of sub.entities) {
+      entities.push(offsetEntity(entry, sub.x, sub.y, sub.z));
+    }
+  }
+
+  const hasRegions = regionList.length > 0;
+
+  return {
+    width: hasRegions ? endX - originX : 0,
+    height: hasRegions ? endY - originY : 0,
+    length: hasRegions ? endZ - originZ : 0,
+    dataVersion: root.MinecraftDataVersion?.value ?? null,
+    // Litematica's own origin (where region Positions are measured from)
+    origin: hasRegions ? { x: 0 - originX, y: 0 - originY, z: 0 - originZ } : null,
+    blockEntities,
+    entities,
+    regions: subBuilds,
+    // Problems that did not stop parsing, for the caller to report
+    warnings,
+    *iterateBlocks(area) {
+      for (const sub of subBuilds) {
+        const subArea = area && {
+          minX: area.minX - sub.x,
+          maxX: area.maxX - sub.x,
+          minZ: area.minZ - sub.z,
+          maxZ: area.maxZ - sub.z,
+        };
+        for (const block of sub.iterateBlocks(subArea)) {
+          yield {
+            name: block.name,
+            x: sub.x + block.x,
+            y: sub.y + block.y,
+            z: sub.z + block.z,
+            index: block.index,
+          };
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Parse vanilla structure block .nbt format
+ * Sparse block list: { pos: [x, y, z], state: paletteIdx, nbt? }
+ * Positions not listed are structure void and produce no block.
+ */
+function parseStructureNbt(root) {
+  const size = root.size?.value?.value;
+  const blocks = root.blocks?.value?.value;
+  // Multiple palettes are random variants (e.g. shipwrecks); use the first
+  const paletteList = root.palette?.value?.value ?? root.palettes?.value?.value?.[0]?.value;
+
+  if (!Array.isArray(size) || size.length !== 3 || !Array.isArray(blocks) || !Array.isArray(paletteList)) {
+    throw new InvalidSchematicError("Invalid structure file: missing size, palette or blocks.");
+  }
+
+  const [width, height, length] = size;
+  const palette = paletteList.map(paletteEntryName);
+
+  const blockEntities = [];
+  for (const block of blocks) {
+    if (!block.nbt) continue;
+    const [x, y, z] = block.pos.value.value;
+    const { id, ...data } = nbtToPlain(block.nbt);
+    blockEntities.push(withNbtTypes({ x, y, z, id: id ?? null, data }, block.nbt, ["id"]));
+  }
+
+  // Entity NBT sits under `nbt`, with a structure-relative `pos`
+  const entities = [];
+  for (const entity of root.entities?.value?.value ?? []) {
+    const pos = entity.pos?.value?.value;
+    if (!pos || !entity.nbt) continue;
+    const { id, Rotation, Pos, ...data } = nbtToPlain(entity.nbt);
+    // The NBT keeps world coordinates; re-base TileX/Y/Z by the block shift
+    // from its Pos to the structure-relative one
+    const shift = pos.map((v, i) => (Array.isArray(Pos) ? Math.floor(v) - Math.floor(Pos[i]) : 0));
+    const typed = withNbtTypes({ id: id ?? null, x: 0, y: 0, z: 0, data }, entity.nbt, ["id", "Rotation", "Pos"]);
+    const entry = offsetEntity(typed, ...shift);
+    entities.push({
+      ...entry,
+      x: pos[0],
+      y: pos[1],
+      z: pos[2],
+      yaw: Rotation?.[0] ?? 0,
+      pitch: Rotation?.[1] ?? 0,
+    });
+  }
+
+  return {
+    width,
+    height,
+    length,
+    dataVersion: root.DataVersion?.value ?? null,
+    blockEntities,
+    entities,
+    *iterateBlocks(area) {
+      for (const [index, block] of blocks.entries()) {
+        const [x, y, z] = block.pos.value.value;
+        if (area && (x < area.minX || x > area.maxX || z < area.minZ || z > area.maxZ)) continue;
+        const stateIdx = block.state.value;
+        const name = palette[stateIdx];
+        if (!name) {
+          throw new PaletteIndexError(stateIdx);
+        }
+        yield { name, x, y, z, index };
+      }
+    },
+  };
+}
+
+/**
+ * Parse Bedrock .mcstructure format (little-endian NBT)
+ * structure.block_indices holds two layers (blocks, then waterlogging liquids)
+ * in ZYX-minor order: index = (x * height + y) * length + z. -1 is structure void.
+ */
+function parseMcStructure(root) {
+  const size = root.size?.value?.value;
+  const structure = root.structure?.value;
+  const layers = structure?.block_indices?.value?.value;
+  const paletteTag = structure?.palette?.value?.default?.value;
+  const paletteList = paletteTag?.block_palette?.value?.value;
+
+  if (!Array.isArray(size) || size.length !== 3 || !Array.isArray(layers) || !Array.isArray(paletteList)) {
+    throw new InvalidSchematicError("Invalid mcstructure: missing size, block_indices or block_palette.");
+  }
+
+  const [width, height, length] = size;
+  const indices = layers[0]?.value;
+  const total = width * height * length;
+  if (!indices || indices.length !== total) {
+    throw new TruncatedDataError("Block array size mismatch.");
+  }
+
+  const palette = paletteList.map(paletteEntryName);
+
+  // Block entities are keyed by flat block index in block_position_data
+  const blockEntities = [];
+  const positionData = paletteTag.block_position_data?.value ?? {};
+  for (const [indexKey, entryTag] of Object.entries(positionData)) {
+    const entityTag = entryTag.value?.block_entity_data;
+    if (!entityTag) continue;
+    const index = Number(indexKey);
+    const z = index % length;
+    const y = Math.floor(index / length) % height;
+    const x = Math.floor(index / (length * height));
+    // x/y/z inside the NBT are world coordinates; position comes from the index
+    const { id, x: _x, y: _y, z: _z, ...data } = nbtToPlain(entityTag);
+    blockEntities.push(withNbtTypes({ x, y, z, id: id ?? null, data }, entityTag, ["id", "x", "y", "z"]));
+  }
+
+  // Entity positions are in world space; re-base on the structure's world origin
+  const worldOrigin = root.structure_world_origin?.value?.value ?? [0, 0, 0];
+  const entities = [];
+  for (const item of structure.entities?.value?.value ?? []) {
+    const { identifier, Pos, Rotation, ...data } = nbtToPlain({ type: "compound", value: item });
+    if (!Array.isArray(Pos)) continue;
+    const entry = {
+      id: identifier ?? null,
+      x: Pos[0] - worldOrigin[0],
+      y: Pos[1] - worldOrigin[1],
+      z: Pos[2] - worldOrigin[2],
+      yaw: Rotation?.[0] ?? 0,
+      pitch: Rotation?.[1] ?? 0,
+      data,
+    };
+    entities.push(withNbtTypes(entry, { type: "compound", value: item }, ["identifier", "Pos", "Rotation"]));
+  }
+
+  return {
+    width,
+    height,
+    length,
+    // Bedrock block names are not Java names; there is no DataVersion
+    dataVersion: null,
+    blockEntities,
+    entities,
+    *iterateBlocks(area) {
+      const { x0, x1, z0, z1 } = areaRanges(area, width, length);
+      for (let x = x0; x <= x1; x++) {
+        for (let y = 0; y < height; y++) {
+          for (let z = z0; z <= z1; z++) {
+            const index = (x * height + y) * length + z;
+            const paletteIdx = indices[index];
+            if (paletteIdx === -1) continue;
+            const name = palette[paletteIdx];
+            if (!name) {
+              throw new PaletteIndexError(paletteIdx);
+            }
+            yield { name, x, y, z, index };
+          }
+        }
+      }
+    },
+  };
+}
+
+// Input formats for parseSchematic's `format` option (file extensions)
+const SCHEMATIC_FORMATS = ["schem", "schematic", "litematic", "nbt", "mcstructure", "mca"];
+
+/**
+ * Typed error for an NBT read failure. readNbt throws typed errors itself;
+ * zlib errors mean a truncated (Z_BUF_ERROR) or corrupt gzip stream.
+ */
+function nbtParseError(error) {
+  if (error instanceof ConverterError) return error;
+  if (error.code === "Z_BUF_ERROR") {
+    return new TruncatedDataError(`Truncated NBT data: ${error.message}`);
+  }
+  return new UnrecognizedFormatError(`Not NBT data: ${error.message}`);
+}
+
+/**
+ * fs.statSync for an input path, with a missing path as InputNotFoundError
+ */
+function statInput(inputPath) {
+  try {
+    return fs.statSync(inputPath);
+  } catch (error) {
+    if (error.code === "ENOENT" || error.code === "ENOTDIR") {
+      throw new InputNotFoundError(inputPath);
+    }
+    throw error;
+  }
+}
+
+/**
+ * The extension a file path or buffer is read as: options.format (".schem",
+ * ".litematic", ...) when set, else the path's extension; "" for buffers
+ */
+function inputExtension(input, options) {
+  if (options.format) {
+    const format = options.format.toLowerCase().replace(/^\./, "");
+    if (!SCHEMATIC_FORMATS.includes(format)) {
+      throw new InvalidOptionError(`Unknown format "${options.format}". Use ${SCHEMATIC_FORMATS.join(", ")}.`);
+    }
+    return `.${format}`;
+  }
+  return input instanceof Uint8Array ? "" : path.extname(input).toLowerCase();
+}
+
+/**
+ * Read the NBT root compound of a schematic file's (possibly gzipped) bytes
+ */
+function readSchematicNbt(buffer, ext) {
+  // Bedrock structures are little-endian; everything else is auto-detected
+  const nbtFormat = ext === ".mcstructure" ? "little" : undefined;
+  try {
+    return readNbt(buffer, nbtFormat).value;
+  } catch (e) {
+    throw nbtParseError(e);
+  }
+}
+
+/**
+ * Detect format and parse a schematic. `input` is a file path (or world
+ * folder) or a Buffer; options.format ("schem", "litematic", ...) overrides
+ * the file extension, which buffers do not have.
+ *
+ * iterateBlocks(area) on the result yields { name, x, y, z, index } (or
+ * numeric id and data instead of name), where `index` grows in iteration
+ * order. With an `area` ({ minX, maxX, minZ, maxZ }, inclusive), only blocks
+ * in those columns are read.
+ */
+async function parseSchematic(input, options = {}) {
+  const isBuffer = input instanceof Uint8Array;
+  const ext = inputExtension(input, options);
+
+  // Anvil world folder, region folder or single region file
+  if (isBuffer && ext === ".mca") {
+    throw new InvalidOptionError("Anvil worlds are read from a path, not a buffer.");
+  }
+  if (!isBuffer && (statInput(input).isDirectory() || ext === ".mca")) {
+    return parseAnvilWorld(input, options.bounds);
+  }
+
+  const buffer = isBuffer ? Buffer.from(input.buffer, input.byteOffset, input.byteLength) : fs.readFileSync(input);
+  return parseSchematicNbt(readSchematicNbt(buffer, ext), ext);
+}
+
+/**
+ * Parse a schematic from its NBT root compound, detecting the format from
+ * `ext` (see inputExtension) or the tags present
+ */
+function parseSchematicNbt(root, ext) {
+  if (ext === ".litematic" || root.Regions) {
+    return parseLitematic(root);
+  }
+  // Sponge v3: nested Schematic tag with Blocks.Palette and Blocks.Data
+  if (root.Schematic?.value?.Blocks) {
+    return parseSpongeSchematicV3(root);
+  }
+  // Sponge v2: top-level Palette and BlockData
+  if (root.BlockData && root.Palette) {
+    return parseSpongeSchematicV2(root);
+  }
+  // Classic: Blocks and Data arrays
+  if (root.Blocks && root.Data) {
+    return parseClassicSchematic(root);
+  }
+  // Bedrock: structure.block_indices + block_palette
+  if (root.structure?.value?.block_indices) {
+    return parseMcStructure(root);
+  }
+  // Vanilla structure block: size + palette(s) + sparse blocks list
+  if (root.size && root.blocks && (root.palette || root.palettes)) {
+    return parseStructureNbt(root);
+  }
+
+  throw new UnrecognizedFormatError();
+}
+
+module.exports = {
+  SCHEMATIC_FORMATS,
+  nbtParseError,
+  inputExtension,
+  readSchematicNbt,
+  parseSchematic,
+  parseSchematicNbt,
+  statInput,
+};
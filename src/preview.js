@@ -0,0 +1,372 @@
+const path = require("path");
+const zlib = require("zlib");
+const { legacyBlockName } = require("./legacy-blocks");
+const { InvalidOptionError } = require("./errors");
+const {
+  compactBlockName, compileBlockMapping, expandCompactName, isAirBlock, loadBlockMapping,
+  mapBlockName, stripBlockStates,
+} = require("./blocks");
+const { chunkCuboids, chunkEntries, measureChunk, parseColor } = require("./writers");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PNG Preview
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Views drawn by --preview-views: the map from above, and elevations seen
+// from the south (front) and from the east (side)
+const PREVIEW_VIEWS = ["top", "front", "side"];
+// The top view is scaled up to about this many pixels across, by whole steps
+const PREVIEW_TARGET_SIZE = 512;
+const PREVIEW_MAX_SCALE = 8;
+// Builds wider, longer or taller than this many blocks are drawn with one
+// pixel for several blocks, so the image stays under about 4100 x 4100
+const PREVIEW_MAX_CELLS = 2048;
+const PREVIEW_GAP = 8; // pixels between views
+const PREVIEW_BACKGROUND = [24, 24, 28];
+// Unknown and unmapped palette entries, drawn without shading so they stand out
+const PREVIEW_HIGHLIGHT = [255, 0, 255];
+
+// Wool, concrete, terracotta, glass, carpet, beds, ... by dye color
+const DYE_COLORS = {
+  white: "#e9ecec", orange: "#f07613", magenta: "#bd44b3", light_blue: "#3aafd9",
+  yellow: "#f8c627", lime: "#70b919", pink: "#ed8dac", gray: "#3e4447",
+  light_gray: "#8e8e86", cyan: "#158991", purple: "#792aac", blue: "#35399d",
+  brown: "#724728", green: "#546d1b", red: "#a12722", black: "#141519",
+};
+
+// Block name patterns -> preview color, matched like --map patterns: exact
+// names first, then wildcards in the order listed. --preview-colors entries
+// take precedence.
+const DEFAULT_BLOCK_COLORS = {
+  grass_block: "#6a9f3c", dirt: "#866043", coarse_dirt: "#77553b", rooted_dirt: "#90674d",
+  podzol: "#5b3f1f", mycelium: "#6f6265", mud: "#3c3a3d", clay: "#a0a6b3", gravel: "#837e7c",
+  sand: "#dbcfa3", red_sand: "#be6621", stone: "#7d7d7d", cobblestone: "#7a7a7a",
+  bedrock: "#565656", obsidian: "#0f0b19", crying_obsidian: "#200a3c", netherrack: "#6f3634",
+  soul_sand: "#513e32", soul_soil: "#4b3a2f", glowstone: "#ab8654", sea_lantern: "#acc7be",
+  snow: "#f9fefe", snow_block: "#f9fefe", powder_snow: "#f8fdfd", ice: "#91b7fd",
+  packed_ice: "#8db4fa", blue_ice: "#74a8fb", water: "#3f76e4", lava: "#d4591a",
+  bookshelf: "#75603a", tnt: "#db441a", hay_block: "#a68b0c", pumpkin: "#c6761d",
+  carved_pumpkin: "#c6761d", jack_o_lantern: "#d5892c", melon: "#6f9117",
+  moss_block: "#596e2d", moss_carpet: "#596e2d", terracotta: "#985e43", glass: "#c0dde0",
+  glass_pane: "#c0dde0", tuff: "#6c6d66", calcite: "#dfe0dc", basalt: "#505155",
+  short_grass: "#5e8f36", grass: "#5e8f36", tall_grass: "#5e8f36", fern: "#5e8f36",
+  large_fern: "#5e8f36", vine: "#4a7a2a", lily_pad: "#208030", seagrass: "#3a8c2f",
+  tall_seagrass: "#3a8c2f", kelp: "#3a8c2f", kelp_plant: "#3a8c2f", torch: "#ffd86b",
+  wall_torch: "#ffd86b", lantern: "#4f5a63", chest: "#a2742b", crafting_table: "#8a6a3e",
+  furnace: "#6e6e6e", iron_bars: "#9a9a9a", redstone_wire: "#af1805", sponge: "#c3c04a",
+  red_mushroom_block: "#c62a28", brown_mushroom_block: "#957155", mushroom_stem: "#cbc4b9",
+  "*_leaves": "#4a7a2a",
+  "*_sapling": "#4a7a2a",
+  "red_sand*": "#b5621f",
+  "red_nether_brick*": "#450709",
+  "dark_oak_*": "#422b15",
+  "oak_*": "#a2834f",
+  "spruce_*": "#735531",
+  "birch_*": "#c0af79",
+  "jungle_*": "#a0734d",
+  "acacia_*": "#a85a32",
+  "mangrove_*": "#753630",
+  "cherry_*": "#e2b2ad",
+  "bamboo_*": "#c2ad51",
+  "crimson_*": "#653147",
+  "warped_*": "#2b6963",
+  ...Object.fromEntries(Object.entries(DYE_COLORS).map(([dye, color]) => [`${dye}_*`, color])),
+  "mossy_*": "#6e7a5f",
+  "smooth_stone*": "#9e9e9e",
+  "stone_*": "#7d7d7d",
+  "cobblestone_*": "#7a7a7a",
+  "*granite*": "#956756",
+  "*diorite*": "#bcbcbc",
+  "*andesite*": "#888889",
+  "*blackstone*": "#2a2328",
+  "*deepslate*": "#505053",
+  "*sandstone*": "#d8cb9b",
+  "end_stone*": "#dbde9e",
+  "nether_brick*": "#2c1519",
+  "*brick*": "#966153",
+  "*quartz*": "#ece6df",
+  "dark_prismarine*": "#345c4c",
+  "*prismarine*": "#63a597",
+  "*purpur*": "#a97ca9",
+  "*copper*": "#c06c50",
+  "iron_*": "#dcdcdc",
+  "gold_*": "#f6d03d",
+  "diamond_*": "#62ede4",
+  "emerald_*": "#2acb57",
+  "lapis_*": "#1f438c",
+  "redstone_*": "#af1805",
+  "coal_*": "#101010",
+  "*_ore": "#7d7d7d",
+  "*glass*": "#c0dde0",
+  "*rail": "#8a7a60",
+};
+
+/**
+ * Palette entry -> [r, g, b] preview color, null for air, or undefined when neither
+ * options.previewColorsPath (a .json or .lua pattern -> color table) nor
+ * the built-in table has one. --map table values with a Color use it;
+ * other tables are looked up by Name or id. `dictionary` expands --compact
+ * names; legacy "id:data" entries are looked up by their 1.13 names.
+ */
+function createPreviewColors(options, dictionary) {
+  const userRules = options.previewColorsPath ? loadBlockMapping(path.resolve(options.previewColorsPath)) : [];
+  const defaultRules = compileBlockMapping(DEFAULT_BLOCK_COLORS);
+  for (const rule of [...userRules, ...defaultRules]) rule.value = parseColor(rule.value);
+  const cache = new Map();
+
+  return (entry) => {
+    if (typeof entry !== "string") {
+      const get = (key) => entry[key] ?? entry[key.toLowerCase()];
+      if (get("Color") !== undefined) return parseColor(get("Color"));
+      entry = get("Name") ?? get("id");
+      if (typeof entry !== "string") return undefined;
+    }
+    // --legacy-ids entries are colored as their 1.13 names
+    const legacy = /^(\d+):(\d+)$/.exec(entry);
+    const name = (legacy && legacyBlockName(Number(legacy[1]), Number(legacy[2]))) || expandCompactName(entry, dictionary);
+    if (!cache.has(name)) {
+      const color = isAirBlock({ name }) ? null : mapBlockName(userRules, name) ?? mapBlockName(defaultRules, name);
+      cache.set(name, color);
+    }
+    return cache.get(name);
+  };
+}
+
+// CRC-32 (as used by PNG) of each byte value
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function pngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, "latin1");
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+/**
+ * 8-bit RGB PNG from `rgb`, width * height * 3 bytes in row order. Rows are
+ * stored unfiltered and deflated as one IDAT chunk.
+ */
+function encodePng(width, height, rgb) {
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    // Filter type 0 (None) leads each row
+    raw.set(rgb.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bits per channel
+  header[9] = 2; // color type: RGB
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Render built data as a PNG: a top-down map shaded by height (north up),
+ * then front (from the south) and side (from the east) elevations shaded by
+ * depth, for the views in options.previewViews. Regions are drawn at their
+ * positions. Unknown and unmapped palette entries are drawn in magenta.
+ * Past PREVIEW_MAX_CELLS blocks on any axis, each pixel stands for a square
+ * of blocksPerPixel blocks and shows the nearest of them.
+ *
+ * Returns { png, width, height, scale, blocksPerPixel, unknown, unmapped },
+ * where unknown and unmapped list the highlighted palette entries.
+ */
+function renderPreview(data, options = {}) {
+  const views = options.previewViews ?? ["top"];
+  const invalid = views.find((view) => !PREVIEW_VIEWS.includes(view));
+  if (invalid !== undefined || views.length === 0) {
+    throw new InvalidOptionError(`Invalid preview views: ${views.join(",")}. Use ${PREVIEW_VIEWS.join(", ")}.`);
+  }
+  const encoding = options.encoding ?? "rle";
+  const builds = data.regions ?? [data];
+  const offsets = data.regions ? data.regions.map((region) => region.position) : [{ x: 0, y: 0, z: 0 }];
+  const dictionary = data.stateDictionary ?? { stateKeys: {}, stateValues: {} };
+  const colorOf = createPreviewColors(options, dictionary);
+
+  // Colors of every build's palette, numbered across builds; null for air
+  const colors = [];
+  const highlighted = [];
+  const paletteBases = [];
+  const unknown = new Set();
+  const unmapped = new Set();
+  for (const build of builds) {
+    paletteBases.push(colors.length);
+    // stats.unmapped holds full names; palette entries are written as blockKey
+    const unmappedEntries = new Set(Object.keys(build.stats.unmapped).map((name) =>
+      options.stripStates ? stripBlockStates(name) : options.compact ? compactBlockName(name) : name));
+    for (const entry of build.palette) {
+      const color = colorOf(entry);
+      const isUnmapped = color !== null && unmappedEntries.has(entry);
+      const highlight = isUnmapped || color === undefined;
+      if (highlight) {
+        const label = typeof entry === "string" ? entry : String(entry.Name ?? entry.name ?? JSON.stringify(entry));
+        (isUnmapped ? unmapped : unknown).add(label);
+      }
+      colors.push(highlight ? PREVIEW_HIGHLIGHT : color);
+      highlighted.push(highlight);
+    }
+  }
+
+  // Output-space bounds of all blocks
+  const min = { x: Infinity, y: Infinity, z: Infinity };
+  const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+  builds.forEach((build, b) => {
+    for (const [chunkKey, columns] of chunkEntries(build)) {
+      const { bounds } = measureChunk(chunkKey, columns, encoding);
+      for (const axis of ["x", "y", "z"]) {
+        min[axis] = Math.min(min[axis], bounds.min[axis] + offsets[b][axis]);
+        max[axis] = Math.max(max[axis], bounds.max[axis] + offsets[b][axis]);
+      }
+    }
+  });
+  if (min.x === Infinity) {
+    throw new InvalidOptionError("The build has no blocks to preview.");
+  }
+  const blocksPerPixel = Math.ceil(Math.max(max.x - min.x + 1, max.y - min.y + 1, max.z - min.z + 1) / PREVIEW_MAX_CELLS);
+  // Cells per axis; a cell is one block unless the build is too big
+  const width = Math.ceil((max.x - min.x + 1) / blocksPerPixel);
+  const height = Math.ceil((max.y - min.y + 1) / blocksPerPixel);
+  const length = Math.ceil((max.z - min.z + 1) / blocksPerPixel);
+  const cellOf = (value) => Math.floor(value / blocksPerPixel);
+
+  // Nearest block per cell: highest for the top view, southernmost for the
+  // front view, easternmost for the side view
+  const NONE = -(2 ** 31);
+  const topY = new Int32Array(width * length).fill(NONE);
+  const topColor = new Int32Array(width * length);
+  const frontZ = new Int32Array(width * height).fill(NONE);
+  const frontColor = new Int32Array(width * height);
+  const sideX = new Int32Array(length * height).fill(NONE);
+  const sideColor = new Int32Array(length * height);
+  builds.forEach((build, b) => {
+    const offset = offsets[b];
+    for (const [chunkKey, columns] of chunkEntries(build)) {
+      for (const cuboid of chunkCuboids(chunkKey, columns, encoding)) {
+        const color = paletteBases[b] + cuboid[6];
+        if (!colors[color]) continue;
+        const x1 = cellOf(cuboid[0] + offset.x - min.x);
+        const y1 = cellOf(cuboid[1] + offset.y - min.y);
+        const z1 = cellOf(cuboid[2] + offset.z - min.z);
+        const x2 = cellOf(cuboid[3] + offset.x - min.x);
+        const y2 = cellOf(cuboid[4] + offset.y - min.y);
+        const z2 = cellOf(cuboid[5] + offset.z - min.z);
+        for (let x = x1; x <= x2; x++) {
+          for (let z = z1; z <= z2; z++) {
+            const cell = z * width + x;
+            if (y2 > topY[cell]) {
+              topY[cell] = y2;
+              topColor[cell] = color;
+            }
+          }
+          for (let y = y1; y <= y2; y++) {
+            const cell = y * width + x;
+            if (z2 > frontZ[cell]) {
+              frontZ[cell] = z2;
+              frontColor[cell] = color;
+            }
+          }
+        }
+        for (let z = z1; z <= z2; z++) {
+          for (let y = y1; y <= y2; y++) {
+            const cell = y * length + z;
+            if (x2 > sideX[cell]) {
+              sideX[cell] = x2;
+              sideColor[cell] = color;
+            }
+          }
+        }
+      }
+    }
+  });
+
+  // Layout: the top view, with the front and side views side by side below
+  const scale = Math.max(1, Math.min(PREVIEW_MAX_SCALE, Math.floor(PREVIEW_TARGET_SIZE / Math.max(width, length))));
+  const showTop = views.includes("top");
+  const showFront = views.includes("front");
+  const showSide = views.includes("side");
+  const elevationTop = showTop ? length * scale + PREVIEW_GAP : 0;
+  const sideLeft = showFront ? width * scale + PREVIEW_GAP : 0;
+  const imageWidth = Math.max(showTop ? width * scale : 0, sideLeft + (showSide ? length * scale : -PREVIEW_GAP));
+  const imageHeight = showFront || showSide ? elevationTop + height * scale : length * scale;
+
+  const rgb = Buffer.alloc(imageWidth * imageHeight * 3);
+  for (let i = 0; i < rgb.length; i += 3) rgb.set(PREVIEW_BACKGROUND, i);
+
+  // One block as a scale x scale square, brightened or darkened by `shade`
+  const paint = (left, top, color, shade) => {
+    const [r, g, b] = highlighted[color] ? colors[color] : colors[color].map((c) => Math.min(255, Math.round(c * shade)));
+    for (let py = top; py < top + scale; py++) {
+      for (let px = left; px < left + scale; px++) {
+        const i = (py * imageWidth + px) * 3;
+        rgb[i] = r;
+        rgb[i + 1] = g;
+        rgb[i + 2] = b;
+      }
+    }
+  };
+  // 0.55 for the lowest or farthest blocks up to 1 for the highest or nearest
+  const depthShade = (value, range) => 0.55 + 0.45 * (range > 1 ? value / (range - 1) : 1);
+
+  if (showTop) {
+    for (let z = 0; z < length; z++) {
+      for (let x = 0; x < width; x++) {
+        const cell = z * width + x;
+        if (topY[cell] === NONE) continue;
+        let shade = depthShade(topY[cell], height);
+        // Relief: lit from the north
+        const north = z > 0 ? topY[cell - width] : NONE;
+        if (north !== NONE && topY[cell] > north) shade *= 1.12;
+        else if (north !== NONE && topY[cell] < north) shade *= 0.85;
+        paint(x * scale, z * scale, topColor[cell], shade);
+      }
+    }
+  }
+  for (let y = 0; y < height; y++) {
+    const top = elevationTop + (height - 1 - y) * scale;
+    for (let x = 0; showFront && x < width; x++) {
+      const cell = y * width + x;
+      if (frontZ[cell] !== NONE) paint(x * scale, top, frontColor[cell], depthShade(frontZ[cell], length));
+    }
+    // Seen from the east, south is on the left
+    for (let z = 0; showSide && z < length; z++) {
+      const cell = y * length + z;
+      if (sideX[cell] !== NONE) paint(sideLeft + (length - 1 - z) * scale, top, sideColor[cell], depthShade(sideX[cell], width));
+    }
+  }
+
+  return {
+    png: encodePng(imageWidth, imageHeight, rgb),
+    width: imageWidth,
+    height: imageHeight,
+    scale,
+    blocksPerPixel,
+    unknown: [...unknown],
+    unmapped: [...unmapped],
+  };
+}
+
+module.exports = {
+  PREVIEW_VIEWS,
+  renderPreview,
+};
@@ -0,0 +1,507 @@
+const { InvalidOptionError } = require("./errors");
+const {
+  DATA_VERSION_FLATTENED_NAMES, compileBlockMapping, isAirBlock, mapBlockName, namedBlock, parseBlockStates,
+} = require("./blocks");
+const { offsetEntity } = require("./nbt");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Crop, Filter & Replace
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Split a comma-separated pattern list, keeping commas inside [states]
+ */
+function splitPatternList(str) {
+  const items = [];
+  let depth = 0;
+  let current = "";
+  for (const ch of str) {
+    if (ch === "[") depth++;
+    if (ch === "]") depth--;
+    if (ch === "," && depth === 0) {
+      items.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  items.push(current);
+  return items.map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Crop a parsed schematic to an inclusive box in its own coordinates.
+ * The box is clamped to the schematic and becomes the new 0,0,0; block
+ * entities, entities, biomes, regions and origin are cropped to match.
+ */
+function cropSchematic(schematic, box) {
+  const minX = Math.max(0, box.minX);
+  const minY = Math.max(0, box.minY);
+  const minZ = Math.max(0, box.minZ);
+  const maxX = Math.min(schematic.width - 1, box.maxX);
+  const maxY = Math.min(schematic.height - 1, box.maxY);
+  const maxZ = Math.min(schematic.length - 1, box.maxZ);
+  const width = Math.max(0, maxX - minX + 1);
+  const height = Math.max(0, maxY - minY + 1);
+  const length = Math.max(0, maxZ - minZ + 1);
+
+  const contains = (x, y, z) => x >= minX && x < maxX + 1 && y >= minY && y < maxY + 1 && z >= minZ && z < maxZ + 1;
+  const move = (entry) => ({ ...entry, x: entry.x - minX, y: entry.y - minY, z: entry.z - minZ });
+
+  let biomes = schematic.biomes;
+  if (biomes && width > 0 && height > 0 && length > 0) {
+    const layers = biomes.is3d ? height : 1;
+    const data = new Uint32Array(width * length * layers);
+    for (let y = 0; y < layers; y++) {
+      for (let z = 0; z < length; z++) {
+        for (let x = 0; x < width; x++) {
+          const sy = biomes.is3d ? y + minY : 0;
+          data[(y * length + z) * width + x] =
+            biomes.data[(sy * schematic.length + z + minZ) * schematic.width + x + minX];
+        }
+      }
+    }
+    biomes = { ...biomes, data };
+  }
+
+  const regions = schematic.regions
+    ?.map((region) => {
+      const sub = cropSchematic(region, {
+        minX: minX - region.x, minY: minY - region.y, minZ: minZ - region.z,
+        maxX: maxX - region.x, maxY: maxY - region.y, maxZ: maxZ - region.z,
+      });
+      return {
+        ...sub,
+        x: Math.max(region.x, minX) - minX,
+        y: Math.max(region.y, minY) - minY,
+        z: Math.max(region.z, minZ) - minZ,
+      };
+    })
+    .filter((region) => region.width > 0 && region.height > 0 && region.length > 0);
+
+  return {
+    ...schematic,
+    width,
+    height,
+    length,
+    origin: schematic.origin ? move(schematic.origin) : schematic.origin,
+    biomes,
+    regions,
+    blockEntities: (schematic.blockEntities || []).filter((e) => contains(e.x, e.y, e.z)).map(move),
+    entities: (schematic.entities || [])
+      .filter((e) => contains(e.x, e.y, e.z))
+      .map((e) => offsetEntity(e, -minX, -minY, -minZ)),
+    *iterateBlocks(area) {
+      const sourceArea = area && {
+        minX: area.minX + minX,
+        maxX: area.maxX + minX,
+        minZ: area.minZ + minZ,
+        maxZ: area.maxZ + minZ,
+      };
+      for (const block of schematic.iterateBlocks(sourceArea)) {
+        if (contains(block.x, block.y, block.z)) yield move(block);
+      }
+    },
+  };
+}
+
+/**
+ * Apply --include/--exclude filters and --replace rules to the block stream.
+ * Patterns use the --map syntax and match block names as stored in the file.
+ * Block entities go with blocks that are dropped or replaced by another
+ * block, which takes an extra pass over the blocks when there are any.
+ */
+function filterSchematic(schematic, options) {
+  const toRules = (patterns) => compileBlockMapping(Object.fromEntries(patterns.map((p) => [p, true])));
+  const include = options.include.length > 0 ? toRules(options.include) : null;
+  const exclude = options.exclude.length > 0 ? toRules(options.exclude) : null;
+  const replace = options.replace.length > 0
+    ? compileBlockMapping(Object.fromEntries(options.replace.map((r) => [r.from, r.to])))
+    : null;
+
+  // Filter decisions per block name: null (drop), or the name to emit
+  const decisions = new Map();
+  const decide = (name) => {
+    let result = decisions.get(name);
+    if (result === undefined) {
+      result = name;
+      if (include && !mapBlockName(include, name)) result = null;
+      if (exclude && mapBlockName(exclude, name)) result = null;
+      if (result && replace) result = mapBlockName(replace, name) ?? name;
+      decisions.set(name, result);
+    }
+    return result;
+  };
+
+  const filterBlocks = function* (area) {
+    for (const original of schematic.iterateBlocks(area)) {
+      const block = namedBlock(original, options);
+      const name = block.name ?? `${block.id}:${block.data}`;
+      const result = decide(name);
+      if (result === null) continue;
+      yield result === name ? block : { ...block, name: result };
+    }
+  };
+
+  let blockEntities = schematic.blockEntities || [];
+  if (blockEntities.length > 0) {
+    const positionKey = (e) => `${e.x},${e.y},${e.z}`;
+    const kept = new Set();
+    const positions = new Set(blockEntities.map(positionKey));
+    // Only the columns around block entities need reading
+    const area = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+    for (const e of blockEntities) {
+      area.minX = Math.min(area.minX, e.x);
+      area.maxX = Math.max(area.maxX, e.x);
+      area.minZ = Math.min(area.minZ, e.z);
+      area.maxZ = Math.max(area.maxZ, e.z);
+    }
+    for (const original of schematic.iterateBlocks(area)) {
+      const key = positionKey(original);
+      if (!positions.has(key)) continue;
+      const block = namedBlock(original, options);
+      const name = block.name ?? `${block.id}:${block.data}`;
+      const result = decide(name);
+      if (result === null || isAirBlock(result === name ? block : { name: result })) continue;
+      // Replacing the block with another one leaves its NBT behind; new states keep it
+      if (result === name || parseBlockStates(result).baseName === parseBlockStates(name).baseName) kept.add(key);
+    }
+    blockEntities = blockEntities.filter((e) => kept.has(positionKey(e)));
+  }
+
+  return {
+    ...schematic,
+    regions: schematic.regions?.map((region) => filterSchematic(region, options)),
+    blockEntities,
+    iterateBlocks: filterBlocks,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Rotate & Mirror
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Clockwise, as seen from above
+const HORIZONTAL_DIRECTIONS = ["north", "east", "south", "west"];
+
+// Entity Facing bytes: item frames hang on any face since 1.13, paintings
+// (and older item frames) only on walls
+const FACING_3D = ["down", "up", "north", "south", "west", "east"];
+const FACING_2D = ["south", "west", "north", "east"];
+
+/**
+ * Build a rotate/mirror transform for a width x length footprint.
+ * Mirroring is applied first (x flips east/west, z flips north/south), then
+ * `rotate` degrees clockwise; results are shifted back to start at 0.
+ */
+function createTransform({ rotate, mirror }, width, length) {
+  const steps = rotate / 90;
+  const mirrorX = mirror.includes("x");
+  const mirrorZ = mirror.includes("z");
+
+  const linear = (x, z) => {
+    if (mirrorX) x = -x;
+    if (mirrorZ) z = -z;
+    for (let i = 0; i < steps; i++) [x, z] = [-z, x];
+    return [x, z];
+  };
+  const corners = [linear(0, 0), linear(width, 0), linear(0, length), linear(width, length)];
+  const offsetX = -Math.min(...corners.map((c) => c[0]));
+  const offsetZ = -Math.min(...corners.map((c) => c[1]));
+  const swapAxes = steps % 2 === 1;
+
+  const direction = (dir) => {
+    let index = HORIZONTAL_DIRECTIONS.indexOf(dir);
+    if (index === -1) return dir;
+    if (mirrorX && index % 2 === 1) index = (index + 2) % 4;
+    if (mirrorZ && index % 2 === 0) index = (index + 2) % 4;
+    return HORIZONTAL_DIRECTIONS[(index + steps) % 4];
+  };
+
+  return {
+    width: swapAxes ? length : width,
+    length: swapAxes ? width : length,
+    swapAxes,
+    // One mirror flips handedness (left/right); both together are a 180° turn
+    flipsHandedness: mirrorX !== mirrorZ,
+    direction,
+    // Inverse of `direction`, for permuting north/east/south/west state keys
+    sourceDirection: (dir) => HORIZONTAL_DIRECTIONS.find((d) => direction(d) === dir) ?? dir,
+    yaw(yaw) {
+      if (mirrorX) yaw = -yaw;
+      if (mirrorZ) yaw = 180 - yaw;
+      yaw += steps * 90;
+      return ((((yaw + 180) % 360) + 360) % 360) - 180;
+    },
+    rotation16(rotation) {
+      // Sign/banner/skull rotation: 0 = south, 4 = west, 8 = north, 12 = east
+      if (mirrorX) rotation = 16 - rotation;
+      if (mirrorZ) rotation = 8 - rotation;
+      return (((rotation + steps * 4) % 16) + 16) % 16;
+    },
+    // Continuous position (entities, region corners)
+    point(x, z) {
+      const [tx, tz] = linear(x, z);
+      return [tx + offsetX, tz + offsetZ];
+    },
+    // Block cell position
+    block(x, z) {
+      const [tx, tz] = this.point(x + 0.5, z + 0.5);
+      return [tx - 0.5, tz - 0.5];
+    },
+    // Inverse of `block`: the cell a transformed cell came from
+    sourceBlock(x, z) {
+      let sx = x + 0.5 - offsetX;
+      let sz = z + 0.5 - offsetZ;
+      for (let i = 0; i < steps; i++) [sx, sz] = [sz, -sx];
+      if (mirrorX) sx = -sx;
+      if (mirrorZ) sz = -sz;
+      return [sx - 0.5, sz - 0.5];
+    },
+  };
+}
+
+/**
+ * Rail shape ("north_south", "ascending_east", "south_west") after transform
+ */
+function transformRailShape(shape, transform) {
+  const parts = shape.split("_");
+  if (parts[0] === "ascending") {
+    return `ascending_${transform.direction(parts[1])}`;
+  }
+  const dirs = parts.map(transform.direction);
+  const northSouth = dirs.find((d) => d === "north" || d === "south");
+  const eastWest = dirs.find((d) => d === "east" || d === "west");
+  if (!eastWest) return "north_south";
+  if (!northSouth) return "east_west";
+  return `${northSouth}_${eastWest}`;
+}
+
+/**
+ * Rewrite the direction-dependent states of a full block name
+ */
+function transformBlockName(name, transform) {
+  const { baseName, states } = parseBlockStates(name);
+  const keys = Object.keys(states);
+  if (keys.length === 0) return name;
+
+  const swapSide = (value) => (value === "left" ? "right" : value === "right" ? "left" : value);
+
+  const out = {};
+  for (const key of keys) {
+    const value = states[key];
+    if (HORIZONTAL_DIRECTIONS.includes(key)) {
+      // Connection flags (fences, walls, panes, vines, redstone): permute sides
+      out[key] = states[transform.sourceDirection(key)] ?? value;
+    } else if (key === "facing" || key === "orientation") {
+      // orientation is "<front>_<top>" (jigsaw, crafter)
+      out[key] = value.split("_").map(transform.direction).join("_");
+    } else if (key === "axis" && transform.swapAxes) {
+      out[key] = value === "x" ? "z" : value === "z" ? "x" : value;
+    } else if (key === "rotation") {
+      out[key] = String(transform.rotation16(Number(value)));
+    } else if (key === "shape") {
+      // Stair shapes only change handedness; everything else is a rail
+      out[key] = /^(straight|(inner|outer)_(left|right))$/.test(value)
+        ? (transform.flipsHandedness ? value.replace(/left|right/, swapSide) : value)
+        : transformRailShape(value, transform);
+    } else if ((key === "hinge" || key === "type") && transform.flipsHandedness) {
+      // Door hinges, double chest halves
+      out[key] = swapSide(value);
+    } else {
+      out[key] = value;
+    }
+  }
+  return `${baseName}[${keys.map((k) => `${k}=${out[k]}`).join(",")}]`;
+}
+
+/**
+ * Rewrite the direction-dependent NBT of an entity: Facing/facing and the
+ * TileX/TileZ block of hanging entities
+ */
+function transformEntityData(entry, transform, dataVersion) {
+  const { data } = entry;
+  const out = { ...data };
+  const frame3d = /item_?frame$/i.test(entry.id ?? "") && dataVersion >= DATA_VERSION_FLATTENED_NAMES;
+  const facings = frame3d ? FACING_3D : FACING_2D;
+  for (const key of ["Facing", "facing"]) {
+    const dir = facings[data[key]];
+    if (dir) out[key] = facings.indexOf(transform.direction(dir));
+  }
+  if (typeof data.TileX === "number" && typeof data.TileZ === "number") {
+    [out.TileX, out.TileZ] = transform.block(data.TileX, data.TileZ);
+  }
+  return out;
+}
+
+/**
+ * Rewrite the direction-dependent NBT of a block entity: the 16-step Rot of
+ * pre-1.13 skulls (later versions keep it in the rotation state)
+ */
+function transformBlockEntityData(data, transform) {
+  return typeof data.Rot === "number" ? { ...data, Rot: transform.rotation16(data.Rot) } : data;
+}
+
+/**
+ * Wrap a parsed schematic so blocks, block entities, entities, biomes,
+ * regions and origin come out rotated/mirrored, with states rewritten.
+ * Size is updated; Y is untouched.
+ */
+function transformSchematic(schematic, options) {
+  const transform = createTransform(options, schematic.width, schematic.length);
+  const { width, length } = transform;
+  const nameCache = new Map();
+
+  const transformName = (name) => {
+    let result = nameCache.get(name);
+    if (result === undefined) {
+      result = transformBlockName(name, transform);
+      nameCache.set(name, result);
+    }
+    return result;
+  };
+
+  const moveBlock = (entry) => {
+    const [x, z] = transform.block(entry.x, entry.z);
+    return { ...entry, x, z };
+  };
+
+  let biomes = schematic.biomes;
+  if (biomes) {
+    const { height } = schematic;
+    const data = new Uint32Array(biomes.data.length);
+    for (let y = 0; y < (biomes.is3d ? height : 1); y++) {
+      for (let z = 0; z < schematic.length; z++) {
+        for (let x = 0; x < schematic.width; x++) {
+          const [tx, tz] = transform.block(x, z);
+          data[(y * length + tz) * width + tx] = biomes.data[(y * schematic.length + z) * schematic.width + x];
+        }
+      }
+    }
+    biomes = { ...biomes, data };
+  }
+
+  const regions = schematic.regions?.map((region) => {
+    const [x0, z0] = transform.point(region.x, region.z);
+    const [x1, z1] = transform.point(region.x + region.width, region.z + region.length);
+    return {
+      ...transformSchematic({ dataVersion: schematic.dataVersion, ...region }, options),
+      x: Math.min(x0, x1),
+      z: Math.min(z0, z1),
+    };
+  });
+
+  return {
+    ...schematic,
+    width,
+    length,
+    origin: schematic.origin ? moveBlock(schematic.origin) : schematic.origin,
+    biomes,
+    regions,
+    blockEntities: (schematic.blockEntities || []).map((entry) => ({
+      ...moveBlock(entry),
+      data: transformBlockEntityData(entry.data, transform),
+    })),
+    entities: (schematic.entities || []).map((entry) => {
+      const [x, z] = transform.point(entry.x, entry.z);
+      return { ...entry, x, z, yaw: transform.yaw(entry.yaw), data: transformEntityData(entry, transform, schematic.dataVersion ?? 0) };
+    }),
+    *iterateBlocks(area) {
+      let sourceArea = null;
+      if (area) {
+        const [x0, z0] = transform.sourceBlock(area.minX, area.minZ);
+        const [x1, z1] = transform.sourceBlock(area.maxX, area.maxZ);
+        sourceArea = { minX: Math.min(x0, x1), maxX: Math.max(x0, x1), minZ: Math.min(z0, z1), maxZ: Math.max(z0, z1) };
+      }
+      for (const original of schematic.iterateBlocks(sourceArea)) {
+        // Legacy numeric blocks need their 1.13 name to be rotated
+        const block = namedBlock(original, options);
+        const [x, z] = transform.block(block.x, block.z);
+        yield block.name
+          ? { ...block, name: transformName(block.name), x, z }
+          : { ...block, x, z };
+      }
+    },
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Hidden Block Culling
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Opaque full cubes. Conservative: a block missing here is only culled less.
+const DEFAULT_OPAQUE_BLOCKS = [
+  "*stone", "*stone_bricks", "*bricks", "*_planks", "*_log", "*_wood", "*_stem", "*_hyphae",
+  "*_wool", "*_concrete", "*_concrete_powder", "*terracotta", "*_ore", "*_block", "*copper",
+  "granite", "diorite", "andesite", "polished_*", "*deepslate", "tuff", "calcite",
+  "dirt", "coarse_dirt", "rooted_dirt", "podzol", "mycelium", "mud", "clay", "gravel", "sand",
+  "red_sand", "netherrack", "basalt", "obsidian", "crying_obsidian", "bedrock", "prismarine",
+  "dark_prismarine", "purpur_pillar", "quartz_pillar", "bookshelf", "packed_ice", "blue_ice",
+  "glowstone", "sea_lantern", "shroomlight", "mushroom_stem", "sponge", "wet_sponge", "melon",
+  "pumpkin", "carved_pumpkin", "jack_o_lantern", "*_slab[type=double]",
+];
+
+// Exceptions to the patterns above: partial shapes and see-through blocks
+const DEFAULT_TRANSPARENT_BLOCKS = [
+  "*_stairs", "*_slab", "*_wall", "*_fence", "*_fence_gate", "*_door", "*_trapdoor", "*_pane",
+  "*_button", "*_pressure_plate", "*_sign", "*_carpet", "*_banner", "*glass*", "*_leaves",
+  "slime_block", "honey_block", "grindstone", "pointed_dripstone", "*_grate", "*_bulb",
+  "melon_stem", "pumpkin_stem", "attached_*_stem",
+];
+
+/**
+ * Build a full block name -> opaque test from --opaque / --transparent
+ * patterns, which take precedence over the built-in lists
+ */
+function createOpacityTest(options) {
+  const toRules = (opaque, transparent) => compileBlockMapping({
+    ...Object.fromEntries(transparent.map((p) => [p, false])),
+    ...Object.fromEntries(opaque.map((p) => [p, true])),
+  });
+  const userRules = toRules(options.opaque, options.transparent);
+  const defaultRules = toRules(DEFAULT_OPAQUE_BLOCKS, DEFAULT_TRANSPARENT_BLOCKS);
+  const cache = new Map();
+
+  return (name) => {
+    if (!name) return false;
+    let opaque = cache.get(name);
+    if (opaque === undefined) {
+      opaque = mapBlockName(userRules, name) ?? mapBlockName(defaultRules, name) ?? false;
+      // A waterlogged block is never a full cube
+      if (parseBlockStates(name).states.waterlogged === "true") opaque = false;
+      cache.set(name, opaque);
+    }
+    return opaque;
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Schematic Edits
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Apply options.crop, the block filters and rotate/mirror to a parsed
+ * schematic, in that order
+ */
+function editSchematic(schematic, options, logger = null) {
+  if (options.crop) {
+    schematic = cropSchematic(schematic, options.crop);
+    if (schematic.width === 0 || schematic.height === 0 || schematic.length === 0) {
+      throw new InvalidOptionError("The crop box does not overlap the schematic.");
+    }
+    logger?.log(`Cropped: ${schematic.width}x${schematic.height}x${schematic.length}`);
+  }
+  if (options.include.length > 0 || options.exclude.length > 0 || options.replace.length > 0) {
+    schematic = filterSchematic(schematic, options);
+  }
+  if (options.rotate || options.mirror) {
+    schematic = transformSchematic(schematic, options);
+  }
+  return schematic;
+}
+
+module.exports = {
+  splitPatternList,
+  createOpacityTest,
+  editSchematic,
+};
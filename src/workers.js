@@ -0,0 +1,234 @@
+const fs = require("fs");
+const { Worker, isMainThread, parentPort, workerData } = require("worker_threads");
+const {
+  ConverterError, InputNotFoundError, InvalidOptionError, InvalidSchematicError, PaletteIndexError,
+  TruncatedDataError, UnmappedBlocksError, UnrecognizedFormatError,
+} = require("./errors");
+const {
+  inputExtension, nbtParseError, parseSchematic, parseSchematicNbt, readSchematicNbt, statInput,
+} = require("./parsers");
+const { gunzipWhole } = require("./nbt");
+const { editSchematic } = require("./transforms");
+const {
+  DEFAULT_Y_RANGE, assembleChunkedData, buildRegionData, compareCoordKeys, finishChunks,
+  mergeScannedKeys, outputYOffset, regionBuild, scanBlocks, sumFinished,
+} = require("./chunking");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Worker Threads
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Chunk columns (along X) per band; bands are dealt to the workers in turn
+const WORKER_BAND_CHUNKS = 4;
+
+// Error classes rebuilt from their name when a worker thread throws
+const WORKER_ERROR_CLASSES = [
+  ConverterError, UnrecognizedFormatError, InputNotFoundError, TruncatedDataError, PaletteIndexError,
+  InvalidSchematicError, InvalidOptionError, UnmappedBlocksError,
+];
+
+/**
+ * The chunks worker `index` of `count` builds (see scanBlocks): it owns
+ * every count-th band and, when culling, keeps the chunk columns on either
+ * side of its bands as neighbours
+ */
+function workerBand(index, count, cull) {
+  const owns = (cx) => ((Math.floor(cx / WORKER_BAND_CHUNKS) % count) + count) % count === index;
+  return {
+    owns,
+    keeps: (cx) => owns(cx) || (cull && (owns(cx - 1) || owns(cx + 1))),
+  };
+}
+
+/**
+ * The input as the main and worker threads read it. Files and buffers are
+ * read, gunzipped into shared memory and parsed once: { root, ext }, the
+ * NBT root and the extension it was read as. Its arrays stay in that shared
+ * memory, so sending the root to a worker copies only the tags around them.
+ * Anvil worlds stay { input, format } and each worker reads them.
+ */
+function shareSchematicSource(input, format) {
+  const ext = inputExtension(input, { format });
+  if (ext === ".mca" || (typeof input === "string" && statInput(input).isDirectory())) {
+    return { input, format };
+  }
+  if (typeof input === "string") input = fs.readFileSync(input);
+
+  let bytes = input;
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    try {
+      bytes = gunzipWhole(bytes);
+    } catch (e) {
+      throw nbtParseError(e);
+    }
+  }
+  const shared = Buffer.from(new SharedArrayBuffer(bytes.length));
+  shared.set(bytes);
+  return { root: readSchematicNbt(shared, ext), ext };
+}
+
+/**
+ * Parse a schematic from a source made by shareSchematicSource
+ */
+async function parseSharedSource(source, options) {
+  if (source.root) return parseSchematicNbt(source.root, source.ext);
+  return parseSchematic(source.input, { ...options, format: source.format });
+}
+
+/**
+ * Rebuild an error sent by a worker thread ({ name, message, stack, ...fields })
+ * as the ConverterError subclass it was thrown as
+ */
+function workerError({ name, message, stack, ...fields }) {
+  const ErrorClass = WORKER_ERROR_CLASSES.find((errorClass) => errorClass.name === name) ?? Error;
+  return Object.assign(Object.create(ErrorClass.prototype), fields, { name, message, stack });
+}
+
+/**
+ * Start `count` worker threads that each take `source` (see
+ * shareSchematicSource) and apply the same edits as the main thread.
+ * run(messageFor) sends messageFor(index) to every worker and resolves with
+ * their replies in worker order; close() stops them.
+ */
+function createWorkerPool(source, options, count) {
+  // Functions cannot be sent to another thread
+  const { logger, ...workerOptions } = options;
+  const workers = Array.from({ length: count }, (_, index) => new Worker(__filename, {
+    workerData: { schemaConverterWorker: true, source, options: workerOptions, index, count },
+  }));
+
+  const request = (worker, message) => new Promise((resolve, reject) => {
+    const settle = (callback) => (value) => {
+      worker.off("message", onMessage);
+      worker.off("error", onError);
+      worker.off("exit", onExit);
+      callback(value);
+    };
+    const onMessage = settle((reply) => (reply.error ? reject(workerError(reply.error)) : resolve(reply.result)));
+    const onError = settle(reject);
+    const onExit = settle((code) => reject(new ConverterError(`Worker thread stopped early (exit code ${code}).`)));
+    worker.on("message", onMessage);
+    worker.on("error", onError);
+    worker.on("exit", onExit);
+    worker.postMessage(message);
+  });
+
+  return {
+    run: (messageFor) => Promise.all(workers.map((worker, index) => request(worker, messageFor(index)))),
+    close: () => Promise.all(workers.map((worker) => worker.terminate())),
+  };
+}
+
+/**
+ * buildChunkedData across a worker pool. Every worker reads and scans only
+ * the blocks of its bands (and their neighbours when culling); their keys
+ * are merged into one palette in order of first appearance, then every
+ * worker clips, culls and encodes its own chunks.
+ * The result is the same as building on one thread. `region` is the region
+ * index with --split-regions, or null.
+ */
+async function buildChunkedDataInWorkers(pool, schematic, options, region) {
+  const scans = await pool.run(() => ({ type: "scan", region }));
+  const { palette, keyPalettes, unmapped } = mergeScannedKeys(scans.map((scan) => scan.keys));
+  // Each worker only saw its bands
+  const yOffset = outputYOffset(options, Math.min(...scans.map((scan) => scan.lowestY)));
+
+  const results = await pool.run((index) => ({
+    type: "finish",
+    region,
+    keyPalette: keyPalettes[index],
+    paletteSize: palette.length,
+    yOffset,
+  }));
+
+  const finished = sumFinished(results, palette.length);
+  const entries = results.flatMap((result) => result.chunks);
+  finished.chunks = new Map(entries.sort((a, b) => compareCoordKeys(a[0], b[0])));
+
+  return assembleChunkedData(schematic, options, {
+    palette,
+    unmapped,
+    totalBlocks: scans.reduce((sum, scan) => sum + scan.totalBlocks, 0),
+    yOffset,
+    finished,
+  });
+}
+
+/**
+ * Build a parsed and edited schematic on options.threads worker threads,
+ * like buildChunkedData or, with options.splitRegions, buildRegionData.
+ * `source` is the input as shared by shareSchematicSource.
+ */
+async function buildInWorkers(source, schematic, options) {
+  const pool = createWorkerPool(source, options, options.threads);
+  try {
+    if (options.splitRegions && schematic.regions) {
+      const regionBuilds = [];
+      for (const index of schematic.regions.keys()) {
+        const build = regionBuild(schematic, index, options);
+        regionBuilds.push(await buildChunkedDataInWorkers(pool, build.schematic, build.options, index));
+      }
+      return buildRegionData(schematic, options, regionBuilds);
+    }
+    return await buildChunkedDataInWorkers(pool, schematic, options, null);
+  } finally {
+    await pool.close();
+  }
+}
+
+/**
+ * Entry point of a worker thread started by createWorkerPool: edit the
+ * shared schematic once, then answer "scan" and "finish" requests for its
+ * bands
+ */
+function runWorker() {
+  const { source, options, index, count } = workerData;
+  const band = workerBand(index, count, options.cull);
+  const scans = new Map(); // region index (null for the whole build) -> scan
+  let schematic = null;
+
+  parentPort.on("message", async (message) => {
+    try {
+      if (!schematic) {
+        schematic = editSchematic(await parseSharedSource(source, options), options);
+      }
+      const build = message.region === null
+        ? { schematic, options }
+        : regionBuild(schematic, message.region, options);
+
+      if (message.type === "scan") {
+        const scan = scanBlocks(build.schematic, build.options, band);
+        scans.set(message.region, scan);
+        parentPort.postMessage({ result: { keys: scan.keys, totalBlocks: scan.totalBlocks, lowestY: scan.lowestY } });
+        return;
+      }
+
+      const scan = scans.get(message.region);
+      scans.delete(message.region);
+      const finished = finishChunks(scan.chunkMap, {
+        encoding: build.options.encoding,
+        keyPalette: message.keyPalette,
+        keyOpaque: build.options.cull ? scan.keys.map((scanned) => scanned.opaque) : null,
+        paletteSize: message.paletteSize,
+        yRange: build.options.yRange || DEFAULT_Y_RANGE,
+        yOffset: message.yOffset,
+        owns: band.owns,
+      });
+      const chunks = Array.from(finished.chunks);
+      parentPort.postMessage({ result: { ...finished, chunks } }, chunks.map(([, records]) => records.buffer));
+    } catch (error) {
+      parentPort.postMessage({ error: { ...error, name: error.name, message: error.message, stack: error.stack } });
+    }
+  });
+}
+
+module.exports = {
+  shareSchematicSource,
+  parseSharedSource,
+  buildInWorkers,
+};
+
+// Worker threads started by createWorkerPool run this file
+if (!isMainThread && workerData?.schemaConverterWorker) {
+  runWorker();
+}
@@ -0,0 +1,1049 @@
+const fs = require("fs");
+const path = require("path");
+const { InvalidOptionError } = require("./errors");
+const { CHUNK_SIZE_X, CHUNK_SIZE_Z, DEFAULT_Y_RANGE, ENCODINGS } = require("./chunking");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Output Formatters
+// ─────────────────────────────────────────────────────────────────────────────
+
+const OUTPUT_FORMATS = ["lua", "json", "binary", "luau-buffer", "rbxmx", "model.json"];
+
+/**
+ * A build's chunks as ["cx,cz", chunkData] pairs, whether they are held in
+ * `chunks` or streamed by `eachChunk()` (see buildChunkedData)
+ */
+function chunkEntries(data) {
+  return data.eachChunk ? data.eachChunk() : Object.entries(data.chunks);
+}
+
+/**
+ * Stands in for a `lines` array, passing each pushed line to `write` joined
+ * the way lines.join("\n") would
+ */
+function createLineSink(write) {
+  let first = true;
+  return {
+    push(...lines) {
+      for (const line of lines) {
+        write(first ? line : `\n${line}`);
+        first = false;
+      }
+    },
+  };
+}
+
+/**
+ * Chunk height of a build: its yRange, or the default 0..255
+ */
+function chunkHeight(data) {
+  const yRange = data.yRange ?? DEFAULT_Y_RANGE;
+  return yRange.max - yRange.min + 1;
+}
+
+function escapeLuaString(str) {
+  return str.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+const LUA_KEYWORDS = new Set([
+  "and", "break", "do", "else", "elseif", "end", "false", "for", "function", "goto", "if",
+  "in", "local", "nil", "not", "or", "repeat", "return", "then", "true", "until", "while",
+]);
+
+function luaKey(key) {
+  if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(key) && !LUA_KEYWORDS.has(key)) {
+    return key;
+  }
+  return `["${escapeLuaString(key)}"]`;
+}
+
+/**
+ * Serialize a plain JS value (from nbtToPlain) as an inline Lua table expression
+ */
+function toLuaValue(value) {
+  if (value === null || value === undefined) return "nil";
+  if (typeof value === "string") return `"${escapeLuaString(value)}"`;
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  if (Array.isArray(value)) {
+    return value.length === 0 ? "{}" : `{ ${value.map(toLuaValue).join(", ")} }`;
+  }
+  const fields = Object.entries(value).map(([k, v]) => `${luaKey(k)} = ${toLuaValue(v)}`);
+  return fields.length === 0 ? "{}" : `{ ${fields.join(", ")} }`;
+}
+
+/**
+ * Append one build's palette, chunks, block entities and entities as Lua
+ * table fields, indented by `pad`
+ */
+function appendLuaBuild(lines, data, encoding, pad) {
+  // Palette (1-indexed for Lua)
+  lines.push(`${pad}palette = {`);
+  for (const entry of data.palette) {
+    lines.push(`${pad}  ${toLuaValue(entry)},`);
+  }
+  lines.push(`${pad}},`);
+
+  appendLuaChunks(lines, chunkEntries(data), encoding, pad);
+
+  if (data.biomes) {
+    lines.push(`${pad}biomePalette = {`);
+    for (const entry of data.biomePalette) {
+      lines.push(`${pad}  "${escapeLuaString(entry)}",`);
+    }
+    lines.push(`${pad}},`);
+    appendLuaBiomes(lines, data.biomes, pad);
+  }
+
+  if (data.stats.blockEntityCount > 0) {
+    appendLuaBlockEntities(lines, data.blockEntities, pad);
+  }
+
+  // Entities with schematic-relative positions
+  if (data.stats.entityCount > 0) {
+    lines.push(`${pad}entities = {`);
+    for (const entity of data.entities) {
+      lines.push(`${pad}  ${toLuaValue(entity)},`);
+    }
+    lines.push(`${pad}},`);
+  }
+}
+
+/**
+ * Append a `chunks` table field in the given encoding (1-indexed palette),
+ * from ["cx,cz", chunkData] pairs
+ */
+function appendLuaChunks(lines, chunks, encoding, pad) {
+  lines.push(`${pad}chunks = {`);
+  for (const [chunkKey, columns] of chunks) {
+    lines.push(`${pad}  ["${chunkKey}"] = {`);
+    if (encoding === "boxes") {
+      // Boxes: {x1, y1, z1, x2, y2, z2, idx+1}, one list per chunk
+      for (const box of columns) {
+        lines.push(`${pad}    {${box.slice(0, 6).join(", ")}, ${box[6] + 1}},`);
+      }
+    } else {
+      for (const [colKey, runs] of Object.entries(columns)) {
+        // Flatten runs array for compact output
+        // RLE: [y, len, idx+1], Sparse: [y, idx+1] (1-indexed palette)
+        const flatRuns = runs.map((r) => 
+          encoding === "rle"
+            ? `{${r[0]}, ${r[1]}, ${r[2] + 1}}` 
+            : `{${r[0]}, ${r[1] + 1}}`
+        ).join(", ");
+        lines.push(`${pad}    ["${colKey}"] = { ${flatRuns} },`);
+      }
+    }
+    lines.push(`${pad}  },`);
+  }
+  lines.push(`${pad}},`);
+}
+
+/**
+ * Append a `biomes` table field: {startY, length, biomeIdx} runs per column
+ * (1-indexed biome palette)
+ */
+function appendLuaBiomes(lines, biomes, pad) {
+  lines.push(`${pad}biomes = {`);
+  for (const [chunkKey, columns] of Object.entries(biomes)) {
+    lines.push(`${pad}  ["${chunkKey}"] = {`);
+    for (const [colKey, runs] of Object.entries(columns)) {
+      const flatRuns = runs.map((r) => `{${r[0]}, ${r[1]}, ${r[2] + 1}}`).join(", ");
+      lines.push(`${pad}    ["${colKey}"] = { ${flatRuns} },`);
+    }
+    lines.push(`${pad}  },`);
+  }
+  lines.push(`${pad}},`);
+}
+
+/**
+ * Append a `blockEntities` table field, keyed like chunks/columns: { y, id, data, nbtTypes? }
+ */
+function appendLuaBlockEntities(lines, blockEntities, pad) {
+  lines.push(`${pad}blockEntities = {`);
+  for (const [chunkKey, columns] of Object.entries(blockEntities)) {
+    lines.push(`${pad}  ["${chunkKey}"] = {`);
+    for (const [colKey, entries] of Object.entries(columns)) {
+      lines.push(`${pad}    ["${colKey}"] = {`);
+      for (const entry of entries) {
+        lines.push(`${pad}      ${toLuaValue(entry)},`);
+      }
+      lines.push(`${pad}    },`);
+    }
+    lines.push(`${pad}  },`);
+  }
+  lines.push(`${pad}},`);
+}
+
+const ENCODING_DESCRIPTIONS = {
+  rle: "RLE per Y-column",
+  sparse: "Sparse",
+  boxes: "Merged boxes per chunk",
+};
+
+function toLua(data, encoding) {
+  const lines = [];
+  appendLuaModule(lines, data, encoding);
+  return lines.join("\n");
+}
+
+/**
+ * Write a build as a Lua module through `write`, one line at a time
+ */
+function writeLua(data, encoding, write) {
+  appendLuaModule(createLineSink(write), data, encoding);
+}
+
+/**
+ * Append the lines of a whole Lua module for a build
+ */
+function appendLuaModule(lines, data, encoding) {
+  lines.push("--[[");
+  lines.push("  Generated by schema-converter");
+  lines.push(`  Format: ${ENCODING_DESCRIPTIONS[encoding]}`);
+  lines.push(`  Chunks: ${data.stats.chunkCount}, Palette: ${data.stats.paletteSize}, Blocks: ${data.stats.nonAirBlocks}`);
+  lines.push("]]");
+  lines.push("");
+  lines.push("return {");
+  
+  // Size metadata
+  lines.push(`  size = { width = ${data.stats.size.width}, height = ${data.stats.size.height}, length = ${data.stats.size.length} },`);
+  
+  // Chunk constants
+  lines.push(`  chunkSize = { x = ${CHUNK_SIZE_X}, y = ${chunkHeight(data)}, z = ${CHUNK_SIZE_Z} },`);
+
+  // Vertical range of the output, when one was set
+  if (data.yRange) {
+    lines.push(`  yRange = { min = ${data.yRange.min}, max = ${data.yRange.max} },`);
+  }
+
+  // Paste anchor in output coordinates
+  if (data.origin) {
+    lines.push(`  origin = { x = ${data.origin.x}, y = ${data.origin.y}, z = ${data.origin.z} },`);
+  }
+  
+  // Encoding hint
+  lines.push(`  encoding = "${encoding}",`);
+
+  // --compact abbreviations used by the palette, for expanding names
+  if (data.stateDictionary) {
+    lines.push(`  stateKeys = ${toLuaValue(data.stateDictionary.stateKeys)},`);
+    lines.push(`  stateValues = ${toLuaValue(data.stateDictionary.stateValues)},`);
+  }
+
+  if (data.regions) {
+    // One sub-build per region, in file order
+    lines.push("  regions = {");
+    for (const region of data.regions) {
+      const { position, stats } = region;
+      lines.push("    {");
+      lines.push(`      name = "${escapeLuaString(region.name)}",`);
+      lines.push(`      position = { x = ${position.x}, y = ${position.y}, z = ${position.z} },`);
+      lines.push(`      size = { width = ${stats.size.width}, height = ${stats.size.height}, length = ${stats.size.length} },`);
+      lines.push(`      yOffset = ${region.yOffset},`);
+      appendLuaBuild(lines, region, encoding, "      ");
+      lines.push("    },");
+    }
+    lines.push("  },");
+  } else {
+    lines.push(`  yOffset = ${data.yOffset},`);
+    appendLuaBuild(lines, data, encoding, "  ");
+  }
+  
+  lines.push("}");
+}
+
+// Marks where a build's chunks go while the rest of the JSON is laid out;
+// followed by the build's index
+const JSON_CHUNKS_PLACEHOLDER = "\u0000chunks";
+
+/**
+ * One build's palette, chunks, block entities and entities for JSON output,
+ * with `chunks` standing in for the chunks
+ */
+function jsonBuild(data, chunks) {
+  const build = {
+    palette: data.palette,
+    chunks,
+  };
+  if (data.biomes) {
+    build.biomePalette = data.biomePalette;
+    build.biomes = data.biomes;
+  }
+  if (data.stats.blockEntityCount > 0) {
+    build.blockEntities = data.blockEntities;
+  }
+  if (data.stats.entityCount > 0) {
+    build.entities = data.entities;
+  }
+  return build;
+}
+
+function toJson(data, encoding) {
+  const parts = [];
+  writeJson(data, encoding, (text) => parts.push(text));
+  return parts.join("");
+}
+
+/**
+ * Write a build as JSON through `write`, one chunk at a time. Everything
+ * else is laid out by JSON.stringify around placeholders; each chunk is
+ * stringified on its own and indented to match, so the text is the same as
+ * stringifying the whole build at once.
+ */
+function writeJson(data, encoding, write) {
+  const builds = [];
+  const placeholder = (build) => {
+    builds.push(build);
+    return `${JSON_CHUNKS_PLACEHOLDER}${builds.length - 1}`;
+  };
+
+  // For JSON, keep 0-indexed palette
+  const output = {
+    _meta: {
+      generator: "schema-converter",
+      encoding,
+      chunkSize: { x: CHUNK_SIZE_X, y: chunkHeight(data), z: CHUNK_SIZE_Z },
+      yRange: data.yRange ?? undefined,
+    },
+    size: data.stats.size,
+  };
+  if (data.origin) {
+    output.origin = data.origin;
+  }
+  if (data.stateDictionary) {
+    Object.assign(output, data.stateDictionary);
+  }
+
+  if (data.regions) {
+    output.regions = data.regions.map((region) => ({
+      name: region.name,
+      position: region.position,
+      size: region.stats.size,
+      yOffset: region.yOffset,
+      ...jsonBuild(region, placeholder(region)),
+    }));
+  } else {
+    output._meta.yOffset = data.yOffset;
+    Object.assign(output, jsonBuild(data, placeholder(data)));
+  }
+
+  const text = JSON.stringify(output, null, 2);
+  let written = 0;
+  for (const match of text.matchAll(/"\\u0000chunks(\d+)"/g)) {
+    write(text.slice(written, match.index));
+    const lineStart = text.lastIndexOf("\n", match.index) + 1;
+    let indentEnd = lineStart;
+    while (text[indentEnd] === " ") indentEnd++;
+    const indent = `${text.slice(lineStart, indentEnd)}  `;
+
+    let empty = true;
+    for (const [chunkKey, columns] of chunkEntries(builds[Number(match[1])])) {
+      const value = JSON.stringify(columns, null, 2).replace(/\n/g, `\n${indent}`);
+      write(`${empty ? "{" : ","}\n${indent}${JSON.stringify(chunkKey)}: ${value}`);
+      empty = false;
+    }
+    write(empty ? "{}" : `\n${indent.slice(2)}}`);
+    written = match.index + match[0].length;
+  }
+  write(text.slice(written));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Split Output
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Block count and inclusive output-space bounds of one encoded chunk
+ */
+function measureChunk(chunkKey, columns, encoding) {
+  const [cx, cz] = chunkKey.split(",").map(Number);
+  const min = { x: Infinity, y: Infinity, z: Infinity };
+  const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+  let blocks = 0;
+
+  const extend = (x1, y1, z1, x2, y2, z2) => {
+    min.x = Math.min(min.x, cx * CHUNK_SIZE_X + x1);
+    min.y = Math.min(min.y, y1);
+    min.z = Math.min(min.z, cz * CHUNK_SIZE_Z + z1);
+    max.x = Math.max(max.x, cx * CHUNK_SIZE_X + x2);
+    max.y = Math.max(max.y, y2);
+    max.z = Math.max(max.z, cz * CHUNK_SIZE_Z + z2);
+  };
+
+  if (encoding === "boxes") {
+    for (const [x1, y1, z1, x2, y2, z2] of columns) {
+      blocks += (x2 - x1 + 1) * (y2 - y1 + 1) * (z2 - z1 + 1);
+      extend(x1, y1, z1, x2, y2, z2);
+    }
+  } else {
+    for (const [colKey, runs] of Object.entries(columns)) {
+      const [lx, lz] = colKey.split(",").map(Number);
+      const last = runs[runs.length - 1];
+      const topY = encoding === "rle" ? last[0] + last[1] - 1 : last[0];
+      blocks += encoding === "rle" ? runs.reduce((sum, run) => sum + run[1], 0) : runs.length;
+      extend(lx, runs[0][0], lz, lx, topY, lz);
+    }
+  }
+  return { blocks, bounds: { min, max } };
+}
+
+/**
+ * Write a build as one module per N x N chunk group plus a manifest, into
+ * `outputDir`: manifest.<ext> holds the metadata, palette and entities;
+ * chunks/<gx>_<gz>.<ext> hold chunks, biomes and block entities.
+ * Chunks arrive in sorted order, so each row of groups along X is written
+ * once the chunks move past it. Returns the written file paths.
+ */
+function writeSplitOutput(data, options, outputDir) {
+  if (data.regions) {
+    throw new InvalidOptionError("Split output does not support splitRegions.");
+  }
+
+  const { encoding, outFormat, splitGroup } = options;
+  const ext = outFormat === "json" ? "json" : "lua";
+  const groupOf = (chunkKey) => {
+    const [cx, cz] = chunkKey.split(",").map(Number);
+    return `${Math.floor(cx / splitGroup)}_${Math.floor(cz / splitGroup)}`;
+  };
+
+  // Group biomes and block entities by file up front
+  const layers = new Map();
+  const addToGroup = (layer, field) => {
+    for (const [chunkKey, value] of Object.entries(layer || {})) {
+      const file = groupOf(chunkKey);
+      if (!layers.has(file)) layers.set(file, { biomes: {}, blockEntities: {} });
+      layers.get(file)[field][chunkKey] = value;
+    }
+  };
+  addToGroup(data.biomes, "biomes");
+  addToGroup(data.blockEntities, "blockEntities");
+
+  fs.mkdirSync(path.join(outputDir, "chunks"), { recursive: true });
+  const written = [];
+
+  const writeGroup = (file, chunks) => {
+    const group = { chunks, biomes: {}, blockEntities: {}, ...layers.get(file) };
+    layers.delete(file);
+    const hasBiomes = Object.keys(group.biomes).length > 0;
+    const hasBlockEntities = Object.keys(group.blockEntities).length > 0;
+    let output;
+    if (ext === "json") {
+      const module = { chunks: group.chunks };
+      if (hasBiomes) module.biomes = group.biomes;
+      if (hasBlockEntities) module.blockEntities = group.blockEntities;
+      output = JSON.stringify(module, null, 2);
+    } else {
+      const lines = ["return {"];
+      appendLuaChunks(lines, Object.entries(group.chunks), encoding, "  ");
+      if (hasBiomes) appendLuaBiomes(lines, group.biomes, "  ");
+      if (hasBlockEntities) appendLuaBlockEntities(lines, group.blockEntities, "  ");
+      lines.push("}");
+      output = lines.join("\n");
+    }
+    const filePath = path.join(outputDir, "chunks", `${file}.${ext}`);
+    fs.writeFileSync(filePath, output, "utf8");
+    written.push(filePath);
+  };
+
+  const chunkIndex = {};
+  const pending = new Map(); // file -> chunks, for the current row of groups
+  let row = null;
+  for (const [chunkKey, columns] of chunkEntries(data)) {
+    const file = groupOf(chunkKey);
+    const groupRow = Math.floor(Number(chunkKey.split(",")[0]) / splitGroup);
+    if (groupRow !== row) {
+      for (const [pendingFile, chunks] of pending) writeGroup(pendingFile, chunks);
+      pending.clear();
+      row = groupRow;
+    }
+    chunkIndex[chunkKey] = { file, ...measureChunk(chunkKey, columns, encoding) };
+    if (!pending.has(file)) pending.set(file, {});
+    pending.get(file)[chunkKey] = columns;
+  }
+  for (const [file, chunks] of pending) writeGroup(file, chunks);
+  // Groups with biomes or block entities but no blocks
+  for (const file of Array.from(layers.keys())) writeGroup(file, {});
+  const moduleCount = written.length;
+
+  const manifest = {
+    size: data.stats.size,
+    chunkSize: { x: CHUNK_SIZE_X, y: chunkHeight(data), z: CHUNK_SIZE_Z },
+    yRange: data.yRange ?? undefined,
+    yOffset: data.yOffset,
+    origin: data.origin ?? undefined,
+    encoding,
+    groupSize: splitGroup,
+    stateKeys: data.stateDictionary?.stateKeys,
+    stateValues: data.stateDictionary?.stateValues,
+    palette: data.palette,
+    biomePalette: data.biomes ? data.biomePalette : undefined,
+    entities: data.stats.entityCount > 0 ? data.entities : undefined,
+    chunks: chunkIndex,
+  };
+
+  let output;
+  if (ext === "json") {
+    output = JSON.stringify({ _meta: { generator: "schema-converter", split: true }, ...manifest }, null, 2);
+  } else {
+    const lines = [];
+    lines.push("--[[");
+    lines.push("  Generated by schema-converter");
+    lines.push(`  Split manifest: ${Object.keys(chunkIndex).length} chunks in ${moduleCount} modules under chunks/`);
+    lines.push("  chunks[key].file names the module holding that chunk");
+    lines.push("]]");
+    lines.push("");
+    lines.push("return {");
+    for (const [key, value] of Object.entries(manifest)) {
+      if (value === undefined) continue;
+      if (key === "palette" || key === "chunks" || key === "entities") {
+        lines.push(`  ${key} = {`);
+        for (const [entryKey, entry] of Object.entries(value)) {
+          const prefix = Array.isArray(value) ? "" : `[${toLuaValue(entryKey)}] = `;
+          lines.push(`    ${prefix}${toLuaValue(entry)},`);
+        }
+        lines.push("  },");
+      } else {
+        lines.push(`  ${key} = ${toLuaValue(value)},`);
+      }
+    }
+    lines.push("}");
+    output = lines.join("\n");
+  }
+  const manifestPath = path.join(outputDir, `manifest.${ext}`);
+  fs.writeFileSync(manifestPath, output, "utf8");
+  written.push(manifestPath);
+
+  return written;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Binary Output
+// ─────────────────────────────────────────────────────────────────────────────
+const BINARY_MAGIC = "MCVB";
+const BINARY_VERSION = 1;
+const LUAU_DECODER_PATH = path.join(__dirname, "SchemaDecoder.luau");
+// Runtime helper for expanding --compact names, written next to Luau output
+const LUAU_COMPACT_NAMES_PATH = path.join(__dirname, "CompactNames.luau");
+
+/**
+ * Growable byte sink with LEB128 varints (zigzag for signed values), backed
+ * by a Buffer that doubles as it fills
+ */
+function createByteWriter() {
+  let bytes = Buffer.alloc(256);
+  let length = 0;
+  const reserve = (count) => {
+    if (length + count <= bytes.length) return;
+    const grown = Buffer.alloc(Math.max(bytes.length * 2, length + count));
+    bytes.copy(grown, 0, 0, length);
+    bytes = grown;
+  };
+  const writer = {
+    u8(value) {
+      reserve(1);
+      bytes[length++] = value & 0xff;
+    },
+    varint(value) {
+      while (value >= 0x80) {
+        writer.u8((value % 0x80) | 0x80);
+        value = Math.floor(value / 0x80);
+      }
+      writer.u8(value);
+    },
+    svarint(value) {
+      writer.varint(value < 0 ? -value * 2 - 1 : value * 2);
+    },
+    bytes(buffer) {
+      reserve(buffer.length);
+      bytes.set(buffer, length);
+      length += buffer.length;
+    },
+    // Varint byte length followed by the UTF-8 bytes
+    string(str) {
+      const encoded = Buffer.from(str, "utf8");
+      writer.varint(encoded.length);
+      writer.bytes(encoded);
+    },
+    get length() {
+      return length;
+    },
+    toBuffer() {
+      return bytes.subarray(0, length);
+    },
+  };
+  return writer;
+}
+
+/**
+ * Encode one chunk's columns (rle/sparse) or boxes
+ */
+function writeBinaryChunk(out, columns, encoding) {
+  if (encoding === "boxes") {
+    out.varint(columns.length);
+    for (const [x1, y1, z1, x2, y2, z2, idx] of columns) {
+      out.u8((x1 << 4) | z1);
+      out.u8((x2 << 4) | z2);
+      out.svarint(y1);
+      out.varint(y2 - y1);
+      out.varint(idx);
+    }
+    return;
+  }
+
+  const entries = Object.entries(columns);
+  out.varint(entries.length);
+  for (const [colKey, runs] of entries) {
+    const [lx, lz] = colKey.split(",").map(Number);
+    out.u8((lx << 4) | lz);
+    out.varint(runs.length);
+    for (const run of runs) {
+      out.svarint(run[0]);
+      if (encoding === "rle") out.varint(run[1]);
+      out.varint(run[run.length - 1]);
+    }
+  }
+}
+
+/**
+ * Pack a build into the versioned binary layout described in the README
+ * ("Binary Format"): header, palette, JSON extras, chunk index, chunk data.
+ */
+function toBinary(data, encoding) {
+  if (data.regions) {
+    throw new InvalidOptionError("Binary output does not support splitRegions.");
+  }
+
+  const out = createByteWriter();
+  out.bytes(Buffer.from(BINARY_MAGIC, "ascii"));
+  out.u8(BINARY_VERSION);
+  out.u8(ENCODINGS.indexOf(encoding));
+  out.varint(data.stats.size.width);
+  out.varint(data.stats.size.height);
+  out.varint(data.stats.size.length);
+  const yRange = data.yRange ?? DEFAULT_Y_RANGE;
+  out.svarint(yRange.min);
+  out.svarint(yRange.max);
+  out.svarint(data.yOffset);
+  if (data.origin) {
+    out.u8(1);
+    out.svarint(data.origin.x);
+    out.svarint(data.origin.y);
+    out.svarint(data.origin.z);
+  } else {
+    out.u8(0);
+  }
+
+  // Palette entries: 0 = block name, 1 = JSON (table values from --map)
+  out.varint(data.palette.length);
+  for (const entry of data.palette) {
+    out.u8(typeof entry === "string" ? 0 : 1);
+    out.string(typeof entry === "string" ? entry : JSON.stringify(entry));
+  }
+
+  // Biomes, block entities, entities and the --compact dictionary are rare
+  // and irregular; keep them JSON
+  const extras = { ...data.stateDictionary };
+  if (data.biomes) {
+    extras.biomePalette = data.biomePalette;
+    extras.biomes = data.biomes;
+  }
+  if (data.stats.blockEntityCount > 0) extras.blockEntities = data.blockEntities;
+  if (data.stats.entityCount > 0) extras.entities = data.entities;
+  out.string(Object.keys(extras).length > 0 ? JSON.stringify(extras) : "");
+
+  // Chunk data is encoded first so the index can hold offsets
+  const chunkData = createByteWriter();
+  const index = [];
+  for (const [chunkKey, columns] of chunkEntries(data)) {
+    const [cx, cz] = chunkKey.split(",").map(Number);
+    const offset = chunkData.length;
+    writeBinaryChunk(chunkData, columns, encoding);
+    index.push({ cx, cz, offset, length: chunkData.length - offset });
+  }
+
+  out.varint(index.length);
+  for (const { cx, cz, offset, length } of index) {
+    out.svarint(cx);
+    out.svarint(cz);
+    out.varint(offset);
+    out.varint(length);
+  }
+
+  return Buffer.concat([out.toBuffer(), chunkData.toBuffer()]);
+}
+
+/**
+ * Wrap a binary build as a Luau module returning its base64 payload, for
+ * SchemaDecoder.decode()
+ */
+function toLuauBuffer(data, encoding) {
+  const payload = toBinary(data, encoding).toString("base64");
+  const lines = [];
+  lines.push("--[[");
+  lines.push("  Generated by schema-converter");
+  lines.push(`  Format: binary v${BINARY_VERSION} (${encoding}), base64`);
+  lines.push(`  Chunks: ${data.stats.chunkCount}, Palette: ${data.stats.paletteSize}, Blocks: ${data.stats.nonAirBlocks}`);
+  lines.push("  Decode with SchemaDecoder.decode(require(thisModule))");
+  lines.push("]]");
+  lines.push("");
+  lines.push("return {");
+  lines.push(`  format = "${BINARY_MAGIC}",`);
+  lines.push(`  version = ${BINARY_VERSION},`);
+  lines.push(`  data = "${payload}",`);
+  lines.push("}");
+  return lines.join("\n");
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Roblox Model Output
+// ─────────────────────────────────────────────────────────────────────────────
+const DEFAULT_BLOCK_SIZE = 4; // studs per block
+const DEFAULT_PART_COLOR = [163, 162, 165]; // Medium stone grey
+
+// Enum.Material values, as stored in place and model files
+const ROBLOX_MATERIALS = {
+  Plastic: 256, SmoothPlastic: 272, Neon: 288, Wood: 512, WoodPlanks: 528, Marble: 784,
+  Basalt: 788, Slate: 800, CrackedLava: 804, Concrete: 816, Limestone: 820, Granite: 832,
+  Pavement: 836, Brick: 848, Pebble: 864, Cobblestone: 880, Rock: 896, Sandstone: 912,
+  CorrodedMetal: 1040, DiamondPlate: 1056, Foil: 1072, Metal: 1088, Grass: 1280,
+  LeafyGrass: 1284, Sand: 1296, Fabric: 1312, Snow: 1328, Mud: 1344, Ground: 1360,
+  Asphalt: 1376, Salt: 1392, Ice: 1536, Glacier: 1552, Glass: 1568, ForceField: 1584,
+  Air: 1792, Water: 2048,
+};
+
+/**
+ * [r, g, b] for a "#rrggbb" string or an [r, g, b] array
+ */
+function parseColor(color) {
+  if (typeof color === "string") {
+    const hex = color.replace(/^#/, "");
+    if (/^[0-9a-f]{6}$/i.test(hex)) {
+      return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+    }
+  } else if (Array.isArray(color) && color.length === 3 && color.every(Number.isFinite)) {
+    return color;
+  }
+  throw new InvalidOptionError(`Invalid color ${JSON.stringify(color)}. Use "#rrggbb" or [r, g, b].`);
+}
+
+/**
+ * Part appearance for a palette entry. --map values may be tables with
+ * Name, Material, Color ("#rrggbb" or [r, g, b]), Transparency and Size
+ * (fraction of a block per axis, e.g. [1, 0.5, 1] for a slab).
+ * Plain strings (block names, unmapped blocks) get default Plastic parts.
+ */
+function partAppearance(entry) {
+  if (typeof entry === "string") {
+    return { name: entry, material: ROBLOX_MATERIALS.Plastic, color: DEFAULT_PART_COLOR, transparency: 0, size: [1, 1, 1] };
+  }
+
+  const get = (key) => entry[key] ?? entry[key.toLowerCase()];
+  const materialName = get("Material") ?? "Plastic";
+  const material = ROBLOX_MATERIALS[materialName];
+  if (material === undefined) {
+    throw new InvalidOptionError(`Unknown Roblox material "${materialName}". Use one of: ${Object.keys(ROBLOX_MATERIALS).join(", ")}.`);
+  }
+
+  return {
+    name: get("Name") ?? get("id") ?? "Block",
+    material,
+    color: parseColor(get("Color") ?? DEFAULT_PART_COLOR),
+    transparency: get("Transparency") ?? 0,
+    size: get("Size") ?? [1, 1, 1],
+  };
+}
+
+/**
+ * Cuboids [x1, y1, z1, x2, y2, z2, idx] in output block coordinates for one
+ * encoded chunk: boxes as stored, RLE runs as columns, sparse blocks as cells
+ */
+function chunkCuboids(chunkKey, columns, encoding) {
+  const [cx, cz] = chunkKey.split(",").map(Number);
+  const baseX = cx * CHUNK_SIZE_X;
+  const baseZ = cz * CHUNK_SIZE_Z;
+
+  if (encoding === "boxes") {
+    return columns.map(([x1, y1, z1, x2, y2, z2, idx]) =>
+      [baseX + x1, y1, baseZ + z1, baseX + x2, y2, baseZ + z2, idx]);
+  }
+
+  const cuboids = [];
+  for (const [colKey, runs] of Object.entries(columns)) {
+    const [lx, lz] = colKey.split(",").map(Number);
+    const x = baseX + lx;
+    const z = baseZ + lz;
+    for (const run of runs) {
+      const top = encoding === "rle" ? run[0] + run[1] - 1 : run[0];
+      cuboids.push([x, run[0], z, x, top, z, run[run.length - 1]]);
+    }
+  }
+  return cuboids;
+}
+
+/**
+ * Parts for a build: one Folder per chunk, named by chunk key, each holding
+ * { name, position, size, appearance } parts in studs. Cuboids of blocks
+ * smaller than a full cube are split along the short axes.
+ */
+function buildPartFolders(data, encoding, blockSize, offset = { x: 0, y: 0, z: 0 }) {
+  const appearances = data.palette.map(partAppearance);
+  const folders = [];
+
+  for (const [chunkKey, columns] of chunkEntries(data)) {
+    const parts = [];
+    for (const [x1, y1, z1, x2, y2, z2, idx] of chunkCuboids(chunkKey, columns, encoding)) {
+      const appearance = appearances[idx];
+      const [fx, fy, fz] = appearance.size;
+
+      // Full axes keep the whole span; partial axes get one part per block
+      const spans = (lo, hi, fraction) => (fraction >= 1
+        ? [[lo, hi]]
+        : Array.from({ length: hi - lo + 1 }, (_, i) => [lo + i, lo + i]));
+
+      for (const [ax, bx] of spans(x1, x2, fx)) {
+        for (const [ay, by] of spans(y1, y2, fy)) {
+          for (const [az, bz] of spans(z1, z2, fz)) {
+            const size = [
+              (fx >= 1 ? bx - ax + 1 : fx) * blockSize,
+              (fy >= 1 ? by - ay + 1 : fy) * blockSize,
+              (fz >= 1 ? bz - az + 1 : fz) * blockSize,
+            ];
+            // Centered on X/Z, resting on the bottom of the cell on Y
+            parts.push({
+              name: appearance.name,
+              position: [
+                (ax + offset.x) * blockSize + ((bx - ax + 1) * blockSize) / 2,
+                (ay + offset.y) * blockSize + size[1] / 2,
+                (az + offset.z) * blockSize + ((bz - az + 1) * blockSize) / 2,
+              ],
+              size,
+              appearance,
+            });
+          }
+        }
+      }
+    }
+    folders.push({ name: chunkKey, parts });
+  }
+  return folders;
+}
+
+/**
+ * Top-level folders for a build: chunk folders, or one folder of chunk
+ * folders per region (placed at the region's position)
+ */
+function buildModelTree(data, options) {
+  const blockSize = options.blockSize;
+  if (!data.regions) {
+    return buildPartFolders(data, options.encoding, blockSize);
+  }
+  return data.regions.map((region) => ({
+    name: region.name,
+    folders: buildPartFolders(region, options.encoding, blockSize, region.position),
+  }));
+}
+
+function modelName(outputPath) {
+  if (!outputPath) return "Build";
+  return path.basename(outputPath).replace(/\.(rbxmx|model\.json)$/i, "") || "Build";
+}
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Roblox XML model (.rbxmx): Model > Folder per chunk > anchored Parts
+ */
+function toRbxmx(data, options, outputPath) {
+  let referent = 0;
+  const lines = [];
+  const open = (className, name, pad) => {
+    lines.push(`${pad}<Item class="${className}" referent="RBX${referent++}">`);
+    lines.push(`${pad}  <Properties>`);
+    lines.push(`${pad}    <string name="Name">${escapeXml(name)}</string>`);
+  };
+
+  const writePart = (part, pad) => {
+    const [x, y, z] = part.position;
+    const [sx, sy, sz] = part.size;
+    const { material, color, transparency } = part.appearance;
+    // Color3uint8 is stored as 0xFFRRGGBB
+    const packedColor = (0xff000000 + color[0] * 0x10000 + color[1] * 0x100 + color[2]) >>> 0;
+    open("Part", part.name, pad);
+    lines.push(`${pad}    <bool name="Anchored">true</bool>`);
+    lines.push(`${pad}    <CoordinateFrame name="CFrame"><X>${x}</X><Y>${y}</Y><Z>${z}</Z>` +
+      "<R00>1</R00><R01>0</R01><R02>0</R02><R10>0</R10><R11>1</R11><R12>0</R12>" +
+      "<R20>0</R20><R21>0</R21><R22>1</R22></CoordinateFrame>");
+    lines.push(`${pad}    <Vector3 name="size"><X>${sx}</X><Y>${sy}</Y><Z>${sz}</Z></Vector3>`);
+    lines.push(`${pad}    <Color3uint8 name="Color3uint8">${packedColor}</Color3uint8>`);
+    lines.push(`${pad}    <token name="Material">${material}</token>`);
+    lines.push(`${pad}    <float name="Transparency">${transparency}</float>`);
+    lines.push(`${pad}    <token name="TopSurface">0</token>`);
+    lines.push(`${pad}    <token name="BottomSurface">0</token>`);
+    lines.push(`${pad}  </Properties>`);
+    lines.push(`${pad}</Item>`);
+  };
+
+  const writeFolder = (folder, pad) => {
+    open("Folder", folder.name, pad);
+    lines.push(`${pad}  </Properties>`);
+    for (const child of folder.folders ?? []) writeFolder(child, `${pad}  `);
+    for (const part of folder.parts ?? []) writePart(part, `${pad}  `);
+    lines.push(`${pad}</Item>`);
+  };
+
+  lines.push('<roblox xmlns:xmime="http://www.w3.org/2005/05/xmlmime" ' +
+    'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+    'xsi:noNamespaceSchemaLocation="http://www.roblox.com/roblox.xsd" version="4">');
+  open("Model", modelName(outputPath), "  ");
+  lines.push("    </Properties>");
+  for (const folder of buildModelTree(data, options)) writeFolder(folder, "    ");
+  lines.push("  </Item>");
+  lines.push("</roblox>");
+  return lines.join("\n");
+}
+
+/**
+ * Rojo model file (.model.json): same tree as toRbxmx, with explicit
+ * property types
+ */
+function toRojoModel(data, options, outputPath) {
+  const toPart = (part) => ({
+    name: part.name,
+    className: "Part",
+    properties: {
+      Anchored: { Bool: true },
+      CFrame: { CFrame: { position: part.position, orientation: [[1, 0, 0], [0, 1, 0], [0, 0, 1]] } },
+      Size: { Vector3: part.size },
+      Color: { Color3: part.appearance.color.map((c) => c / 255) },
+      Material: { Enum: part.appearance.material },
+      Transparency: { Float32: part.appearance.transparency },
+      TopSurface: { Enum: 0 },
+      BottomSurface: { Enum: 0 },
+    },
+  });
+
+  const toFolder = (folder) => ({
+    name: folder.name,
+    className: "Folder",
+    children: [...(folder.folders ?? []).map(toFolder), ...(folder.parts ?? []).map(toPart)],
+  });
+
+  return JSON.stringify({
+    name: modelName(outputPath),
+    className: "Model",
+    children: buildModelTree(data, options).map(toFolder),
+  }, null, 2);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Writing Builds
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Format built data as options.outFormat: a string, or a Buffer for binary
+ */
+function formatBuild(data, options) {
+  const { encoding } = options;
+  const formatters = {
+    lua: () => toLua(data, encoding),
+    json: () => toJson(data, encoding),
+    binary: () => toBinary(data, encoding),
+    "luau-buffer": () => toLuauBuffer(data, encoding),
+    rbxmx: () => toRbxmx(data, options, options.outputPath),
+    "model.json": () => toRojoModel(data, options, options.outputPath),
+  };
+  if (!formatters[options.outFormat]) {
+    throw new InvalidOptionError(`Invalid output format: ${options.outFormat}. Use ${OUTPUT_FORMATS.join(", ")}.`);
+  }
+  return formatters[options.outFormat]();
+}
+
+// Characters buffered by a file sink before they are written out
+const FILE_SINK_FLUSH_CHARS = 1 << 20;
+
+/**
+ * Buffered text writer for one file: { write(text), close() }, where close()
+ * returns the bytes written
+ */
+function createFileSink(filePath) {
+  const fd = fs.openSync(filePath, "w");
+  let pending = [];
+  let pendingLength = 0;
+  let bytes = 0;
+  const flush = () => {
+    const chunk = Buffer.from(pending.join(""), "utf8");
+    for (let offset = 0; offset < chunk.length;) {
+      offset += fs.writeSync(fd, chunk, offset);
+    }
+    bytes += chunk.length;
+    pending = [];
+    pendingLength = 0;
+  };
+  return {
+    write(text) {
+      pending.push(text);
+      pendingLength += text.length;
+      if (pendingLength >= FILE_SINK_FLUSH_CHARS) flush();
+    },
+    close() {
+      try {
+        flush();
+      } finally {
+        fs.closeSync(fd);
+      }
+      return bytes;
+    },
+  };
+}
+
+/**
+ * Write built data to outputPath as options.outFormat and return the bytes
+ * written. Lua and JSON go to the file as they are formatted, one chunk at a
+ * time, so a build from options.streamChunks never holds its whole output;
+ * other formats are formatted in memory first.
+ */
+function writeBuild(data, options, outputPath) {
+  const writers = { lua: writeLua, json: writeJson };
+  const writer = writers[options.outFormat];
+  if (!writer) {
+    const output = formatBuild(data, options);
+    fs.writeFileSync(outputPath, output);
+    return Buffer.byteLength(output);
+  }
+
+  const sink = createFileSink(outputPath);
+  let bytes;
+  try {
+    writer(data, options.encoding, sink.write);
+  } finally {
+    bytes = sink.close();
+  }
+  return bytes;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  chunkEntries,
+  toLua,
+  toJson,
+  measureChunk,
+  writeSplitOutput,
+  LUAU_DECODER_PATH,
+  LUAU_COMPACT_NAMES_PATH,
+  createByteWriter,
+  toBinary,
+  toLuauBuffer,
+  DEFAULT_BLOCK_SIZE,
+  parseColor,
+  chunkCuboids,
+  toRbxmx,
+  toRojoModel,
+  formatBuild,
+  writeBuild,
+};
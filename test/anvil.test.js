@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { InputNotFoundError, InvalidOptionError, convert } = require("../src/convert");
+const { blocksOf, fixture } = require("./helpers");
+
+const WORLD_BOUNDS = { minX: -16, minY: -64, minZ: 0, maxX: 31, maxY: 0, maxZ: 15 };
+const WORLD_Y_RANGE = { min: -64, max: 319 };
+
+test("world folders decode 1.18, 1.13 and pre-1.13 chunks inside the bounds", async () => {
+  const { data } = await convert(fixture("world"), { bounds: WORLD_BOUNDS, yRange: WORLD_Y_RANGE });
+  const blocks = blocksOf(data);
+  assert.equal(blocks.size, 3 * 256);
+  // Positions are re-based on the bounds minimum corner
+  assert.equal(blocks.get("0,64,0"), "minecraft:orange_wool");
+  assert.equal(blocks.get("16,0,0"), "minecraft:block_1");
+  assert.equal(blocks.get("17,0,2"), "minecraft:block_4");
+  assert.equal(blocks.get("47,64,15"), "minecraft:block_12");
+});
+
+test("world block entities are kept inside the bounds", async () => {
+  const { data } = await convert(fixture("world"), { bounds: WORLD_BOUNDS, yRange: WORLD_Y_RANGE });
+  assert.deepEqual(data.blockEntities, {
+    "1,0": { "1,2": [{ y: 0, id: "minecraft:sign", data: { front_text: { messages: ['"hi"'] } } }] },
+  });
+});
+
+test("a single .mca file reads only that region", async () => {
+  const { data } = await convert(fixture("world/region/r.-1.0.mca"), { bounds: WORLD_BOUNDS, yRange: WORLD_Y_RANGE });
+  assert.deepEqual(new Set(blocksOf(data).values()), new Set(["minecraft:orange_wool"]));
+});
+
+test("bounds crop inside chunks", async () => {
+  const bounds = { minX: 0, minY: 0, minZ: 0, maxX: 20, maxY: 80, maxZ: 20 };
+  const { data } = await convert(fixture("world"), { bounds });
+  const blocks = blocksOf(data);
+  assert.equal(blocks.size, 5 * 16);
+  assert.equal(blocks.get("20,0,3"), "minecraft:block_8");
+});
+
+test("world input without bounds throws InvalidOptionError", async () => {
+  await assert.rejects(convert(fixture("world")), InvalidOptionError);
+});
+
+test("a missing world folder throws InputNotFoundError", async () => {
+  await assert.rejects(convert(fixture("no-such-world"), { bounds: WORLD_BOUNDS }), InputNotFoundError);
+});
@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const nbt = require("prismarine-nbt");
+const {
+  PaletteIndexError, TruncatedDataError, buildChunkedData, convert, parseSchematic, toJson, toLua, writeBuild,
+} = require("../src/convert");
+const { fixture, tempDir } = require("./helpers");
+
+const CONVERT = path.join(__dirname, "..", "src", "convert.js");
+
+/** sponge-v2.schem with `edit` applied to its root tags, gzipped again */
+async function editedSponge(edit) {
+  const { parsed } = await nbt.parse(fs.readFileSync(fixture("sponge-v2.schem")));
+  edit(parsed.value);
+  return zlib.gzipSync(nbt.writeUncompressed(parsed));
+}
+
+test("requiring convert.js runs no CLI and prints nothing", () => {
+  const stdout = execFileSync(process.execPath, ["-e", `require(${JSON.stringify(CONVERT)})`], { encoding: "utf8" });
+  assert.equal(stdout, "");
+});
+
+test("convert returns data, stats and output without writing or logging", async (t) => {
+  const dir = tempDir(t);
+  const log = t.mock.method(console, "log");
+  const { data, stats, warnings, output } = await convert(fixture("sponge-v3.schem"), {
+    outFormat: "json", outputPath: path.join(dir, "build.json"),
+  });
+  assert.equal(log.mock.callCount(), 0);
+  assert.deepEqual(fs.readdirSync(dir), []);
+  assert.equal(stats.nonAirBlocks, 11);
+  assert.deepEqual(warnings, []);
+  assert.equal(output, toJson(data, "rle"));
+});
+
+test("the pipeline steps give the same build as convert", async () => {
+  const fromPath = await parseSchematic(fixture("sponge-v3.schem"));
+  const fromBuffer = await parseSchematic(fs.readFileSync(fixture("sponge-v3.schem")), { format: "schem" });
+  assert.deepEqual([fromBuffer.width, fromBuffer.height, fromBuffer.length], [fromPath.width, fromPath.height, fromPath.length]);
+
+  const data = buildChunkedData(fromBuffer, { encoding: "rle", blockEntityFields: null, entityFields: null });
+  const { output } = await convert(fixture("sponge-v3.schem"), { blockEntityFields: null, entityFields: null });
+  assert.equal(toLua(data, "rle"), output);
+});
+
+test("streamed chunks write the same file as held chunks", async (t) => {
+  const outputPath = path.join(tempDir(t), "build.lua");
+  const { data } = await convert(fixture("cull.schem"), { streamChunks: true });
+  assert.equal(data.chunks, null);
+  writeBuild(data, { outFormat: "lua", encoding: "rle" }, outputPath);
+  assert.equal(fs.readFileSync(outputPath, "utf8"), (await convert(fixture("cull.schem"))).output);
+
+  for (const [name, options] of [
+    ["cull.schem", { cull: true, encoding: "boxes" }],
+    ["cull.schem", { translate: { x: -9, y: 3, z: 2 }, rebaseY: true, yRange: { min: 0, max: 2 } }],
+    ["rotate.schem", { rotate: 90, mirror: "z", cull: true }],
+    ["multi.litematic", { splitRegions: true, exclude: ["minecraft:stone"] }],
+    ["world", { bounds: { minX: -16, minY: -64, minZ: 0, maxX: 31, maxY: 0, maxZ: 15 }, yRange: { min: -64, max: 319 } }],
+  ]) {
+    const streamed = await convert(fixture(name), { ...options, streamChunks: true });
+    writeBuild(streamed.data, { outFormat: "lua", encoding: "rle", ...options }, outputPath);
+    const held = await convert(fixture(name), options);
+    assert.equal(fs.readFileSync(outputPath, "utf8"), held.output, name);
+    assert.deepEqual(streamed.stats, held.stats, name);
+  }
+});
+
+test("cut-off input throws TruncatedDataError", async () => {
+  const gzipped = fs.readFileSync(fixture("sponge-v3.schem"));
+  await assert.rejects(convert(gzipped.subarray(0, gzipped.length - 40), { format: "schem" }), TruncatedDataError);
+
+  const shortBlocks = await editedSponge((root) => {
+    root.BlockData.value = root.BlockData.value.slice(0, 10);
+  });
+  await assert.rejects(convert(shortBlocks, { format: "schem" }), { code: "TRUNCATED_DATA" });
+});
+
+test("block data past the palette throws PaletteIndexError", async () => {
+  const buffer = await editedSponge((root) => {
+    root.BlockData.value[4] = 9;
+  });
+  await assert.rejects(convert(buffer, { format: "schem" }), (error) => {
+    assert.ok(error instanceof PaletteIndexError);
+    assert.equal(error.code, "PALETTE_INDEX_OUT_OF_RANGE");
+    assert.equal(error.index, 9);
+    return true;
+  });
+});
@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync, spawn } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { fixture, tempDir } = require("./helpers");
+
+const CLI = path.join(__dirname, "..", "src", "convert.js");
+
+/** A builds folder with two nested schematics, a litematic and a broken file */
+function buildsFolder(t) {
+  const root = tempDir(t);
+  const input = path.join(root, "builds");
+  fs.mkdirSync(path.join(input, "houses", "small"), { recursive: true });
+  fs.copyFileSync(fixture("sponge-v3.schem"), path.join(input, "houses", "a.schem"));
+  fs.copyFileSync(fixture("cull.schem"), path.join(input, "houses", "small", "b.schem"));
+  fs.copyFileSync(fixture("single.litematic"), path.join(input, "c.litematic"));
+  fs.writeFileSync(path.join(input, "broken.schem"), "not a schematic");
+  fs.writeFileSync(path.join(input, "notes.txt"), "skipped");
+  return { input, output: path.join(root, "out") };
+}
+
+/** Run the CLI, returning { status, stdout, stderr } even when it fails */
+function run(...args) {
+  try {
+    const stdout = execFileSync(process.execPath, [CLI, ...args], { encoding: "utf8", stdio: "pipe" });
+    return { status: 0, stdout, stderr: "" };
+  } catch (error) {
+    return { status: error.status, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+/** Relative paths of every file below dir, sorted */
+function listFiles(dir) {
+  return fs.readdirSync(dir, { recursive: true })
+    .filter((file) => fs.statSync(path.join(dir, file)).isFile())
+    .map((file) => file.split(path.sep).join("/"))
+    .sort();
+}
+
+test("batch mirrors the folder and keeps going past a failed file", (t) => {
+  const { input, output } = buildsFolder(t);
+  const { status, stdout } = run("batch", input, output, "--out", "json");
+  assert.equal(status, 1);
+  assert.deepEqual(listFiles(output), ["c.json", "houses/a.json", "houses/small/b.json"]);
+
+  // Each output matches a single-file conversion with the same options
+  const single = path.join(tempDir(t), "a.json");
+  run(fixture("sponge-v3.schem"), single, "--out", "json");
+  assert.equal(fs.readFileSync(path.join(output, "houses", "a.json"), "utf8"), fs.readFileSync(single, "utf8"));
+
+  assert.match(stdout, /Converting 4 files from /);
+  assert.match(stdout, /─── Batch Summary ───/);
+  assert.match(stdout, /\n {2}broken\.schem +FAILED {2}Not NBT data/);
+  assert.match(stdout, /\n {2}houses\/small\/b\.schem +ok +450 +3 +2 /);
+  assert.match(stdout, /\n {2}4 files: 3 converted, 1 failed, 472 blocks, /);
+});
+
+test("a glob picks the files it matches", (t) => {
+  const { input, output } = buildsFolder(t);
+  const { status, stdout } = run("batch", `${input}/houses/**/*.schem`, output, "--compact");
+  assert.equal(status, 0);
+  assert.deepEqual(listFiles(output), ["a.lua", "CompactNames.luau", "small/b.lua", "small/CompactNames.luau"].sort());
+  assert.match(stdout, /2 files: 2 converted, 0 failed/);
+});
+
+test("--watch needs the batch command", () => {
+  const { status, stderr } = run(fixture("sponge-v3.schem"), "out.lua", "--watch");
+  assert.equal(status, 1);
+  assert.match(stderr, /--watch requires the batch command/);
+});
+
+test("--watch re-converts changed files and skips unchanged content", async (t) => {
+  const { input, output } = buildsFolder(t);
+  fs.rmSync(path.join(input, "broken.schem"));
+  const child = spawn(process.execPath, [CLI, "batch", input, output, "--watch"], { stdio: ["ignore", "pipe", "pipe"] });
+  t.after(() => child.kill());
+
+  let stdout = "";
+  child.stdout.setEncoding("utf8");
+  child.stdout.on("data", (text) => {
+    stdout += text;
+  });
+  /** Resolve once stdout matches `pattern`, or fail after 20 s */
+  const waitFor = async (pattern) => {
+    const deadline = Date.now() + 20000;
+    while (!pattern.test(stdout)) {
+      assert.ok(Date.now() < deadline, `timed out waiting for ${pattern}; got:\n${stdout}`);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  };
+
+  await waitFor(/Watching .* for changes/);
+  const aPath = path.join(input, "houses", "a.schem");
+  // Same bytes: skipped by its hash, while a new file is converted
+  fs.writeFileSync(aPath, fs.readFileSync(aPath));
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  fs.copyFileSync(fixture("sponge-v2.schem"), path.join(input, "new.schem"));
+  await waitFor(/\] new\.schem: 11 blocks/);
+  assert.doesNotMatch(stdout, /\] houses\/a\.schem:/);
+  assert.ok(fs.existsSync(path.join(output, "new.lua")));
+
+  // New content: converted again
+  fs.copyFileSync(fixture("cull.schem"), aPath);
+  await waitFor(/\] houses\/a\.schem: 450 blocks/);
+  assert.match(fs.readFileSync(path.join(output, "houses", "a.lua"), "utf8"), /minecraft:glass/);
+});
@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { InvalidOptionError, convert } = require("../src/convert");
+const { fixture, tempDir } = require("./helpers");
+
+const CLI = path.join(__dirname, "..", "src", "convert.js");
+
+/**
+ * Read a --out binary buffer following the README's "Layout (version 1)"
+ */
+function readBinary(bytes) {
+  let at = 0;
+  const u8 = () => bytes[at++];
+  const varint = () => {
+    let value = 0;
+    let scale = 1;
+    for (;;) {
+      const byte = u8();
+      value += (byte & 0x7f) * scale;
+      if (byte < 0x80) return value;
+      scale *= 0x80;
+    }
+  };
+  const svarint = () => {
+    const value = varint();
+    return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+  };
+  const string = () => {
+    const length = varint();
+    at += length;
+    return bytes.toString("utf8", at - length, at);
+  };
+
+  const magic = bytes.toString("ascii", 0, 4);
+  at = 4;
+  const version = u8();
+  const encoding = ["rle", "sparse", "boxes"][u8()];
+  const size = { width: varint(), height: varint(), length: varint() };
+  const yRange = { min: svarint(), max: svarint() };
+  const yOffset = svarint();
+  const origin = u8() === 1 ? { x: svarint(), y: svarint(), z: svarint() } : null;
+  const palette = [];
+  for (let count = varint(); count > 0; count--) {
+    const kind = u8();
+    const text = string();
+    palette.push(kind === 0 ? text : JSON.parse(text));
+  }
+  const extrasText = string();
+  const extras = extrasText ? JSON.parse(extrasText) : {};
+
+  const index = [];
+  for (let count = varint(); count > 0; count--) {
+    index.push({ key: `${svarint()},${svarint()}`, offset: varint(), length: varint() });
+  }
+  const dataStart = at;
+  const chunks = {};
+  for (const { key, offset, length } of index) {
+    at = dataStart + offset;
+    if (encoding === "boxes") {
+      chunks[key] = [];
+      for (let count = varint(); count > 0; count--) {
+        const corner1 = u8();
+        const corner2 = u8();
+        const y1 = svarint();
+        const y2 = y1 + varint();
+        chunks[key].push([corner1 >> 4, y1, corner1 & 15, corner2 >> 4, y2, corner2 & 15, varint()]);
+      }
+    } else {
+      chunks[key] = {};
+      for (let count = varint(); count > 0; count--) {
+        const column = u8();
+        const runs = [];
+        for (let runCount = varint(); runCount > 0; runCount--) {
+          runs.push(encoding === "rle" ? [svarint(), varint(), varint()] : [svarint(), varint()]);
+        }
+        chunks[key][`${column >> 4},${column & 15}`] = runs;
+      }
+    }
+    assert.equal(at - dataStart - offset, length);
+  }
+  return { magic, version, encoding, size, yRange, yOffset, origin, palette, extras, chunks };
+}
+
+for (const encoding of ["rle", "sparse", "boxes"]) {
+  test(`binary ${encoding} output decodes to the same build`, async () => {
+    const { data, output } = await convert(fixture("cull.schem"), { outFormat: "binary", encoding });
+    assert.ok(Buffer.isBuffer(output));
+    const decoded = readBinary(output);
+    assert.equal(decoded.magic, "MCVB");
+    assert.equal(decoded.version, 1);
+    assert.equal(decoded.encoding, encoding);
+    assert.deepEqual(decoded.size, { width: 18, height: 5, length: 5 });
+    assert.deepEqual(decoded.palette, data.palette);
+    assert.deepEqual(decoded.chunks, JSON.parse(JSON.stringify(data.chunks)));
+  });
+}
+
+test("binary header and extras carry origin, Y range and NBT", async () => {
+  const { output } = await convert(fixture("sponge-v3.schem"), {
+    outFormat: "binary", translate: { x: 0, y: -10, z: 0 }, yRange: { min: -64, max: 319 },
+  });
+  const decoded = readBinary(output);
+  assert.deepEqual(decoded.yRange, { min: -64, max: 319 });
+  // Output Y + yOffset is the original Y
+  assert.equal(decoded.yOffset, 10);
+  assert.deepEqual(decoded.origin, { x: -2, y: -10, z: -3 });
+  assert.equal(decoded.extras.blockEntities["0,0"]["1,1"][0].id, "minecraft:chest");
+  assert.equal(decoded.extras.entities[0].id, "minecraft:armor_stand");
+  assert.deepEqual(decoded.chunks["0,0"]["0,0"], [[-10, 1, 0], [-9, 1, 1]]);
+});
+
+test("binary output rejects split regions", async () => {
+  await assert.rejects(convert(fixture("multi.litematic"), { outFormat: "binary", splitRegions: true }), InvalidOptionError);
+});
+
+test("luau-buffer wraps the binary payload and writes the decoder", async (t) => {
+  const binary = (await convert(fixture("sponge-v3.schem"), { outFormat: "binary" })).output;
+  const { output } = await convert(fixture("sponge-v3.schem"), { outFormat: "luau-buffer" });
+  const payload = output.match(/data = "([A-Za-z0-9+/=]+)",/)[1];
+  assert.deepEqual(Buffer.from(payload, "base64"), binary);
+  assert.match(output, /format = "MCVB",\n {2}version = 1,/);
+
+  const dir = tempDir(t);
+  const outputPath = path.join(dir, "Build.lua");
+  execFileSync(process.execPath, [CLI, fixture("sponge-v3.schem"), outputPath, "--out", "luau-buffer"], { stdio: "pipe" });
+  assert.equal(fs.readFileSync(outputPath, "utf8"), output);
+  assert.match(fs.readFileSync(path.join(dir, "SchemaDecoder.luau"), "utf8"), /function SchemaDecoder\.decode/);
+});
@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { convert } = require("../src/convert");
+const { fixture } = require("./helpers");
+
+test("biomes are left out unless asked for", async () => {
+  const { data, stats, output } = await convert(fixture("sponge-v3.schem"));
+  assert.equal(data.biomes, null);
+  assert.equal(stats.biomePaletteSize, 0);
+  assert.doesNotMatch(output, /biome/);
+});
+
+test("Sponge v3 biomes become per-block RLE runs", async () => {
+  const { data, stats } = await convert(fixture("sponge-v3.schem"), { biomes: true });
+  assert.deepEqual(data.biomePalette, ["minecraft:plains", "minecraft:forest"]);
+  assert.deepEqual(data.biomes["0,0"]["0,0"], [[0, 2, 0]]);
+  assert.deepEqual(data.biomes["0,0"]["2,1"], [[0, 2, 1]]);
+  assert.equal(stats.biomePaletteSize, 2);
+});
+
+test("Sponge v2 column biomes cover the schematic height", async () => {
+  const { data, output } = await convert(fixture("sponge-v2.schem"), { biomes: true });
+  assert.deepEqual(data.biomePalette, ["minecraft:plains", "minecraft:desert"]);
+  assert.deepEqual(data.biomes["0,0"]["1,0"], [[0, 2, 0]]);
+  assert.deepEqual(data.biomes["0,0"]["2,0"], [[0, 2, 1]]);
+  // Lua palette indices are 1-based
+  assert.match(output, /biomePalette = \{\n {4}"minecraft:plains",\n {4}"minecraft:desert",\n {2}\},/);
+  assert.match(output, /\["2,0"\] = \{ \{0, 2, 2\} \},/);
+});
+
+test("biomes follow the Y range", async () => {
+  const { data } = await convert(fixture("sponge-v3.schem"), { biomes: true, yRange: { min: 1, max: 10 } });
+  assert.deepEqual(data.biomes["0,0"]["0,0"], [[1, 1, 0]]);
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { convert } = require("../src/convert");
+const { fixture } = require("./helpers");
+
+const CHEST = {
+  y: 1,
+  id: "minecraft:chest",
+  data: {
+    Items: [{ Slot: 0, id: "minecraft:diamond", Count: 3 }],
+    CustomName: 'Loot "box"',
+    Lock: "",
+  },
+  // Slot and Count are bytes in the file
+  nbtTypes: { Items: [{ Slot: "byte", Count: "byte" }] },
+};
+
+test("Sponge v3 block entities are keyed by chunk and column", async () => {
+  const { data, stats } = await convert(fixture("sponge-v3.schem"));
+  assert.deepEqual(data.blockEntities, { "0,0": { "1,1": [CHEST] } });
+  assert.equal(stats.blockEntityCount, 1);
+});
+
+test("Sponge v2 block entities keep their NBT next to Pos and Id", async () => {
+  const { data } = await convert(fixture("sponge-v2.schem"));
+  assert.deepEqual(data.blockEntities, { "0,0": { "1,1": [CHEST] } });
+});
+
+test("blockEntityFields keeps only the listed fields", async () => {
+  const { data } = await convert(fixture("sponge-v3.schem"), { blockEntityFields: ["Items"] });
+  assert.deepEqual(data.blockEntities["0,0"]["1,1"][0].data, { Items: CHEST.data.Items });
+  assert.deepEqual(data.blockEntities["0,0"]["1,1"][0].nbtTypes, CHEST.nbtTypes);
+});
+
+test("Lua output writes block entities as inline tables", async () => {
+  const { output } = await convert(fixture("sponge-v3.schem"));
+  assert.match(output, /blockEntities = \{\n {4}\["0,0"\] = \{\n {6}\["1,1"\] = \{/);
+  assert.match(output, /\{ y = 1, id = "minecraft:chest", data = \{ Items = \{ \{ Slot = 0, id = "minecraft:diamond", Count = 3 \} \}, CustomName = "Loot \\"box\\"", Lock = "" \}, nbtTypes = \{ Items = \{ \{ Slot = "byte", Count = "byte" \} \} \} \}/);
+});
+
+test("JSON output writes block entities under the same keys", async () => {
+  const { output } = await convert(fixture("sponge-v3.schem"), { outFormat: "json" });
+  assert.deepEqual(JSON.parse(output).blockEntities, { "0,0": { "1,1": [CHEST] } });
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { InvalidOptionError, UnmappedBlocksError, convert } = require("../src/convert");
+const { blocksOf, fixture, tempDir } = require("./helpers");
+
+const CHEST = "minecraft:chest[facing=north,type=single,waterlogged=false]";
+
+test("a Lua mapping file writes engine values to the palette", async () => {
+  const { data, stats, output } = await convert(fixture("sponge-v3.schem"), { mapPath: fixture("blocks.map.lua") });
+  assert.deepEqual(data.palette, ["Stone", { id: "Stairs", material: "Wood" }, CHEST]);
+  assert.deepEqual(stats.unmapped, { [CHEST]: 1 });
+  assert.match(output, /palette = \{\n {4}"Stone",\n {4}\{ id = "Stairs", material = "Wood" \},/);
+});
+
+test("exact names win over wildcards, then patterns with more states", async () => {
+  const { data, stats } = await convert(fixture("sponge-v3.schem"), { mapPath: fixture("blocks.map.json") });
+  assert.deepEqual(data.palette, ["Stone", { id: "Stairs", rotation: 90 }, "Block"]);
+  assert.deepEqual(stats.unmapped, {});
+});
+
+test("blocks mapped to the same value share one palette entry", async () => {
+  const blockMapping = { "minecraft:stone": "Solid", "minecraft:chest": "Solid" };
+  const { data } = await convert(fixture("sponge-v3.schem"), { blockMapping });
+  assert.equal(data.palette.filter((entry) => entry === "Solid").length, 1);
+  const blocks = blocksOf(data);
+  assert.equal(blocks.get("0,0,0"), "Solid");
+  assert.equal(blocks.get("1,1,1"), "Solid");
+});
+
+test("failUnmapped throws UnmappedBlocksError with the unmapped counts", async () => {
+  const options = { mapPath: fixture("blocks.map.lua"), failUnmapped: true };
+  await assert.rejects(convert(fixture("sponge-v3.schem"), options), (error) => {
+    assert.ok(error instanceof UnmappedBlocksError);
+    assert.deepEqual(error.unmapped, [[CHEST, 1]]);
+    return true;
+  });
+});
+
+test("failUnmapped without a mapping throws InvalidOptionError", async () => {
+  await assert.rejects(convert(fixture("sponge-v3.schem"), { failUnmapped: true }), InvalidOptionError);
+});
+
+test("a missing or malformed mapping file throws InvalidOptionError", async (t) => {
+  await assert.rejects(convert(fixture("sponge-v3.schem"), { mapPath: fixture("missing.map.json") }), InvalidOptionError);
+  const badPath = path.join(tempDir(t), "bad.json");
+  fs.writeFileSync(badPath, "{ \"stone\": ");
+  await assert.rejects(convert(fixture("sponge-v3.schem"), { mapPath: badPath }), InvalidOptionError);
+  const badLuaPath = path.join(tempDir(t), "bad.lua");
+  fs.writeFileSync(badLuaPath, "return {");
+  await assert.rejects(convert(fixture("sponge-v3.schem"), { mapPath: badLuaPath }), (error) => {
+    assert.ok(error instanceof InvalidOptionError);
+    assert.equal(error.message, `Invalid Lua in ${badLuaPath}: Invalid Lua table (line 1): unexpected end of file`);
+    return true;
+  });
+});
@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { convert } = require("../src/convert");
+const { blocksOf, fixture } = require("./helpers");
+
+const volume = ([x1, y1, z1, x2, y2, z2]) => (x2 - x1 + 1) * (y2 - y1 + 1) * (z2 - z1 + 1);
+
+test("boxes merge same-palette blocks into cuboids per chunk", async () => {
+  const { data, stats } = await convert(fixture("sponge-v3.schem"), { encoding: "boxes" });
+  assert.deepEqual(data.chunks, {
+    "0,0": [[0, 0, 0, 2, 0, 2, 0], [0, 1, 0, 0, 1, 0, 1], [1, 1, 1, 1, 1, 1, 2]],
+  });
+  assert.equal(stats.boxCount, 3);
+});
+
+test("boxes cover the same blocks as RLE without overlapping", async () => {
+  const boxes = await convert(fixture("cull.schem"), { encoding: "boxes" });
+  const rle = await convert(fixture("cull.schem"));
+  assert.deepEqual(blocksOf(boxes.data), blocksOf(rle.data));
+  const total = Object.values(boxes.data.chunks).flat().reduce((sum, box) => sum + volume(box), 0);
+  assert.equal(total, 18 * 5 * 5);
+  // The planks split at the chunk border at x = 16
+  assert.deepEqual(boxes.data.chunks["1,0"], [[0, 0, 0, 1, 4, 4, 1]]);
+  assert.equal(boxes.stats.boxCount, 8);
+});
+
+test("Lua boxes use 1-based palette indices, JSON 0-based", async () => {
+  const lua = await convert(fixture("sponge-v3.schem"), { encoding: "boxes" });
+  assert.match(lua.output, /encoding = "boxes",/);
+  assert.match(lua.output, /\["0,0"\] = \{\n {6}\{0, 0, 0, 2, 0, 2, 1\},\n {6}\{0, 1, 0, 0, 1, 0, 2\},/);
+
+  const json = JSON.parse((await convert(fixture("sponge-v3.schem"), { encoding: "boxes", outFormat: "json" })).output);
+  assert.equal(json._meta.encoding, "boxes");
+  assert.deepEqual(json.chunks["0,0"][0], [0, 0, 0, 2, 0, 2, 0]);
+});
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { compactBlockName, convert, expandCompactName } = require("../src/convert");
+const { fixture } = require("./helpers");
+
+// The abbreviation tables in src/blocks.js, written out so a change to
+// either one shows up here
+const STATE_KEYS = {
+  facing: "f", half: "h", axis: "a", shape: "s", type: "ty", waterlogged: "w",
+  powered: "pw", open: "o", persistent: "ps", distance: "d", snowy: "sn",
+  lit: "l", extended: "ex", face: "fc", part: "p", hinge: "hi", in_wall: "iw",
+  attached: "at", hanging: "hg", occupied: "oc", rotation: "r", layers: "ly",
+  level: "lv", age: "ag", moisture: "m", bites: "b", eggs: "eg", pickles: "pk",
+  candles: "cn", honey_level: "hl", enabled: "en", triggered: "tr",
+  inverted: "iv", signal_fire: "sf", has_bottle_0: "hb0", has_bottle_1: "hb1",
+  has_bottle_2: "hb2", eye: "ey", mode: "md", locked: "lk", short: "sh",
+  unstable: "us", disarmed: "da", conditional: "cd", drag: "dr", bottom: "bt",
+  north: "n", south: "so", east: "e", west: "wt", up: "u", down: "dn",
+};
+
+const STATE_VALUES = {
+  north: "n", south: "s", east: "e", west: "w", up: "u", down: "d", top: "t",
+  bottom: "b", upper: "hu", lower: "hl", straight: "st", inner_left: "il",
+  inner_right: "ir", outer_left: "ol", outer_right: "or", double: "db",
+  true: "T", false: "F", floor: "fl", wall: "wl", ceiling: "cl", head: "hd",
+  foot: "ft", left: "l", right: "r", north_south: "ns", east_west: "ew",
+  ascending_north: "an", ascending_south: "as", ascending_east: "ae",
+  ascending_west: "aw", north_east: "ne", north_west: "nw", south_east: "se",
+  south_west: "sw",
+};
+
+test("every state key abbreviation expands to its key", () => {
+  for (const [key, abbrev] of Object.entries(STATE_KEYS)) {
+    assert.equal(compactBlockName(`minecraft:stone[${key}=7]`), `stone[${abbrev}=7]`, key);
+    assert.equal(expandCompactName(`stone[${abbrev}=7]`), `minecraft:stone[${key}=7]`, abbrev);
+  }
+});
+
+test("every state value abbreviation expands to its value", () => {
+  for (const [value, abbrev] of Object.entries(STATE_VALUES)) {
+    assert.equal(compactBlockName(`minecraft:stone[variant=${value}]`), `stone[variant=${abbrev}]`, value);
+    assert.equal(expandCompactName(`stone[variant=${abbrev}]`), `minecraft:stone[variant=${value}]`, abbrev);
+  }
+});
+
+test("abbreviations that would collide are renamed", () => {
+  // type would be "t", which is top as a value
+  assert.equal(compactBlockName("minecraft:oak_slab[type=top,waterlogged=false]"), "oak_slab[ty=t,w=F]");
+  assert.equal(expandCompactName("oak_slab[ty=t,w=F]"), "minecraft:oak_slab[type=top,waterlogged=false]");
+  // upper/lower would be "u"/"l", which are up and left
+  assert.equal(compactBlockName("minecraft:oak_door[half=upper,hinge=left]"), "oak_door[h=hu,hi=l]");
+  assert.equal(expandCompactName("oak_door[h=hl,hi=l]"), "minecraft:oak_door[half=lower,hinge=left]");
+  assert.equal(expandCompactName("oak_stairs[f=u,h=hu]"), "minecraft:oak_stairs[facing=up,half=upper]");
+  // Booleans are uppercase so they never read as a number or "t"/"f"
+  assert.equal(compactBlockName("minecraft:lantern[hanging=true,waterlogged=false]"), "lantern[hg=T,w=F]");
+  assert.equal(expandCompactName("wheat[ag=1,l=T]"), "minecraft:wheat[age=1,lit=true]");
+  assert.equal(expandCompactName("oak_slab[ty=t]"), "minecraft:oak_slab[type=top]");
+});
+
+test("keys and values abbreviate independently", () => {
+  // "hl" is honey_level as a key and lower as a value; "l" is lit and left
+  assert.equal(expandCompactName("beehive[f=n,hl=5]"), "minecraft:beehive[facing=north,honey_level=5]");
+  assert.equal(expandCompactName("stone[hl=hl,l=l]"), "minecraft:stone[honey_level=lower,lit=left]");
+});
+
+test("names without an abbreviation pass through", () => {
+  assert.equal(expandCompactName("stone"), "minecraft:stone");
+  assert.equal(expandCompactName("create:cogwheel[axis_mode=q]"), "create:cogwheel[axis_mode=q]");
+  // States come back sorted by full key
+  assert.equal(expandCompactName("oak_log[w=F,a=y]"), "minecraft:oak_log[axis=y,waterlogged=false]");
+});
+
+test("a build's dictionary overrides the built-in tables", () => {
+  const dictionary = { stateKeys: { f: "facing" }, stateValues: { n: "north" } };
+  assert.equal(expandCompactName("chest[f=n,ty=s]", dictionary), "minecraft:chest[facing=north,ty=s]");
+});
+
+for (const input of ["sponge-v3.schem", "rotate.schem", "single.litematic", "classic.schematic"]) {
+  test(`compact names of ${input} expand back to the full palette`, async () => {
+    const full = (await convert(fixture(input))).data;
+    const compact = (await convert(fixture(input), { compact: true })).data;
+    assert.deepEqual(compact.palette, full.palette.map(compactBlockName));
+    assert.deepEqual(compact.palette.map((name) => expandCompactName(name)), full.palette);
+    assert.deepEqual(compact.palette.map((name) => expandCompactName(name, compact.stateDictionary)), full.palette);
+  });
+}
@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { convert } = require("../src/convert");
+const { blocksOf, fixture } = require("./helpers");
+
+// cull.schem is an 18x5x5 solid block: 16x3x3 blocks are enclosed
+const ENCLOSED = 16 * 3 * 3;
+
+test("nothing is culled without the option", async () => {
+  const { data, stats } = await convert(fixture("cull.schem"));
+  assert.equal(stats.culledBlocks, 0);
+  assert.equal(blocksOf(data).size, 18 * 5 * 5);
+});
+
+test("enclosed blocks are culled, across chunk borders too", async () => {
+  const { data, stats } = await convert(fixture("cull.schem"), { cull: true });
+  const blocks = blocksOf(data);
+  // The block behind the glass window stays visible
+  assert.equal(stats.culledBlocks, ENCLOSED - 1);
+  assert.equal(blocks.size, 18 * 5 * 5 - stats.culledBlocks);
+  assert.equal(blocks.has("2,2,1"), true);
+  assert.equal(blocks.has("15,2,2"), false);
+  assert.equal(blocks.has("16,2,2"), false);
+  // Columns keep RLE runs around the hollow
+  assert.deepEqual(data.chunks["0,0"]["3,2"], [[0, 1, 0], [4, 1, 0]]);
+});
+
+test("transparent patterns keep blocks and their neighbours", async () => {
+  const { data, stats } = await convert(fixture("cull.schem"), { cull: true, transparent: ["minecraft:oak_planks"] });
+  // Only stone from x = 1 to 7 is still enclosed
+  assert.equal(stats.culledBlocks, 7 * 3 * 3 - 1);
+  assert.equal(blocksOf(data).has("8,2,2"), true);
+});
+
+test("opaque patterns make blocks hide their neighbours", async () => {
+  const { stats } = await convert(fixture("cull.schem"), { cull: true, opaque: ["minecraft:glass"] });
+  assert.equal(stats.culledBlocks, ENCLOSED);
+});
@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync, spawnSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const nbt = require("prismarine-nbt");
+const { convert } = require("../src/convert");
+const { blocksOf, fixture, tempDir } = require("./helpers");
+
+const CLI = path.join(__dirname, "..", "src", "convert.js");
+
+/** The Sponge v3 Schematic compound of a .schem file */
+async function readSchematic(filePath) {
+  const { parsed } = await nbt.parse(fs.readFileSync(filePath));
+  return parsed.value.Schematic.value;
+}
+
+/** schem → build (`--out outFormat`) → schem through the CLI; returns the new .schem path */
+function roundTrip(t, input, outFormat, ...args) {
+  const dir = tempDir(t);
+  const buildPath = path.join(dir, `build.${outFormat}`);
+  const schemPath = path.join(dir, "build.schem");
+  execFileSync(process.execPath, [CLI, fixture(input), buildPath, "--out", outFormat, ...args], { stdio: "pipe" });
+  execFileSync(process.execPath, [CLI, "decompile", buildPath, schemPath], { stdio: "pipe" });
+  return schemPath;
+}
+
+for (const outFormat of ["json", "lua"]) {
+  test(`a ${outFormat} round trip keeps block entity and entity NBT types`, async (t) => {
+    const schemPath = roundTrip(t, "nbt-types.schem", outFormat, "--entity-fields", "all");
+    const original = await readSchematic(fixture("nbt-types.schem"));
+    const result = await readSchematic(schemPath);
+
+    const blockEntity = (schematic) => schematic.Blocks.value.BlockEntities.value.value[0];
+    assert.deepEqual(blockEntity(result).Data, blockEntity(original).Data);
+
+    // id and Pos are written next to Data, and Rotation is written last
+    const fields = { ...original.Entities.value.value[0].Data.value };
+    const { Rotation } = fields;
+    for (const key of ["id", "Pos", "Rotation"]) delete fields[key];
+    const { Rotation: resultRotation, ...resultFields } = result.Entities.value.value[0].Data.value;
+    assert.deepEqual(resultFields, {
+      ...fields,
+      // An empty list has no element type
+      ArmorItems: { type: "list", value: { type: "end", value: [] } },
+    });
+    assert.deepEqual(resultRotation, Rotation);
+  });
+}
+
+test("a round trip through Lua gives back the same build", async (t) => {
+  const schemPath = roundTrip(t, "sponge-v3.schem", "lua", "--entity-fields", "all");
+  const original = await convert(fixture("sponge-v3.schem"), { entityFields: null });
+  const result = await convert(schemPath, { entityFields: null });
+  assert.deepEqual(blocksOf(result.data), blocksOf(original.data));
+  assert.deepEqual(result.data.blockEntities, original.data.blockEntities);
+  assert.deepEqual(result.data.entities, original.data.entities);
+});
+
+test("builds without nbtTypes write ints and doubles", async (t) => {
+  const dir = tempDir(t);
+  const buildPath = path.join(dir, "build.json");
+  const schemPath = path.join(dir, "build.schem");
+  fs.writeFileSync(buildPath, JSON.stringify({
+    _meta: { encoding: "rle", yOffset: 0 },
+    size: { width: 1, height: 1, length: 1 },
+    palette: ["minecraft:chest"],
+    chunks: { "0,0": { "0,0": [[0, 1, 0]] } },
+    blockEntities: { "0,0": { "0,0": [{ y: 0, id: "minecraft:chest", data: { Slot: 1, Weight: 0.5 } }] } },
+  }));
+  execFileSync(process.execPath, [CLI, "decompile", buildPath, schemPath], { stdio: "pipe" });
+  const { Data } = (await readSchematic(schemPath)).Blocks.value.BlockEntities.value.value[0];
+  assert.deepEqual(Data.value, { Slot: { type: "int", value: 1 }, Weight: { type: "double", value: 0.5 } });
+});
+
+test("biome columns past the blocks of a translated build stay out of the box", async (t) => {
+  const schemPath = roundTrip(t, "sponge-v3.schem", "json", "--biomes", "--translate", "5,0,-3", "--exclude", "minecraft:stone");
+  const { Width, Height, Length, Biomes } = await readSchematic(schemPath);
+  // The chest and stairs are left: a 2x1x2 box whose biome columns are all
+  // plains (the forest column at x = 2 is outside it)
+  assert.deepEqual([Width.value, Height.value, Length.value], [2, 1, 2]);
+  const names = Object.fromEntries(Object.entries(Biomes.value.Palette.value).map(([name, id]) => [id.value, name]));
+  assert.deepEqual(Array.from(Biomes.value.Data.value, (id) => names[id]), Array(4).fill("minecraft:plains"));
+});
+
+test("block entities and entities without an id are skipped with a warning", async (t) => {
+  const dir = tempDir(t);
+  const buildPath = path.join(dir, "build.json");
+  const schemPath = path.join(dir, "build.schem");
+  fs.writeFileSync(buildPath, JSON.stringify({
+    _meta: { encoding: "rle", yOffset: 0 },
+    size: { width: 1, height: 1, length: 1 },
+    palette: ["minecraft:chest"],
+    chunks: { "0,0": { "0,0": [[0, 1, 0]] } },
+    blockEntities: { "0,0": { "0,0": [{ y: 0, data: { Slot: 1 } }] } },
+    entities: [{ pos: { x: 0.5, y: 0, z: 0.5 }, data: {} }],
+  }));
+  const { status, stderr } = spawnSync(process.execPath, [CLI, "decompile", buildPath, schemPath], { encoding: "utf8" });
+  assert.equal(status, 0);
+  assert.match(stderr, /Warning: Skipped 1 block entities without an id\./);
+  assert.match(stderr, /Warning: Skipped 1 entities without an id\./);
+  const schematic = await readSchematic(schemPath);
+  assert.deepEqual(schematic.Blocks.value.BlockEntities.value.value, []);
+  assert.deepEqual(schematic.Entities.value.value, []);
+});
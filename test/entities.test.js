@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { convert } = require("../src/convert");
+const { fixture } = require("./helpers");
+
+test("Sponge v2 entities read id, position and rotation from the top level", async () => {
+  const { data, stats } = await convert(fixture("sponge-v2.schem"));
+  assert.deepEqual(data.entities, [{
+    id: "minecraft:item_frame",
+    pos: { x: 0.5, y: 1, z: 2.5 },
+    rotation: { yaw: 180, pitch: 0 },
+    data: { Facing: 3 },
+    nbtTypes: { Facing: "byte" },
+  }]);
+  assert.equal(stats.entityCount, 1);
+});
+
+test("Sponge v3 entities keep display fields and drop runtime state", async () => {
+  const { data } = await convert(fixture("sponge-v3.schem"));
+  assert.deepEqual(data.entities, [{
+    id: "minecraft:armor_stand",
+    pos: { x: 1.5, y: 1, z: 0.5 },
+    rotation: { yaw: 90, pitch: 0 },
+    data: { ShowArms: 1 },
+    nbtTypes: { ShowArms: "byte" },
+  }]);
+});
+
+test("entityFields null keeps the full entity NBT", async () => {
+  const { data } = await convert(fixture("sponge-v3.schem"), { entityFields: null });
+  assert.deepEqual(data.entities[0].data, { ShowArms: 1, UUID: [1, 2, 3, 4] });
+  assert.deepEqual(data.entities[0].nbtTypes, { ShowArms: "byte", UUID: "intArray" });
+});
+
+test("Lua output lists entities with fractional positions", async () => {
+  const { output } = await convert(fixture("sponge-v2.schem"));
+  assert.match(output, /\{ id = "minecraft:item_frame", pos = \{ x = 0\.5, y = 1, z = 2\.5 \}, rotation = \{ yaw = 180, pitch = 0 \}, data = \{ Facing = 3 \}, nbtTypes = \{ Facing = "byte" \} \}/);
+});
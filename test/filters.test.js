@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { InvalidOptionError, convert } = require("../src/convert");
+const { blocksOf, fixture } = require("./helpers");
+
+const CHEST = "minecraft:chest[facing=north,type=single,waterlogged=false]";
+const STAIRS = "minecraft:oak_stairs[facing=east,half=bottom,shape=straight,waterlogged=false]";
+
+test("crop keeps the box and makes its corner the new 0,0,0", async () => {
+  const crop = { minX: 1, minY: 0, minZ: 1, maxX: 2, maxY: 1, maxZ: 2 };
+  const { data } = await convert(fixture("sponge-v3.schem"), { crop });
+  const blocks = blocksOf(data);
+  assert.equal(blocks.size, 5);
+  assert.equal(blocks.get("0,1,0"), CHEST);
+  assert.deepEqual(data.palette, ["minecraft:stone", CHEST]);
+  assert.equal(data.blockEntities["0,0"]["0,0"][0].y, 1);
+  // The armor stand at x = 1.5, z = 0.5 is outside the box
+  assert.deepEqual(data.entities, []);
+  assert.deepEqual(data.origin, { x: -3, y: 0, z: -4 });
+});
+
+test("a crop box outside the schematic throws InvalidOptionError", async () => {
+  const crop = { minX: 10, minY: 0, minZ: 0, maxX: 12, maxY: 1, maxZ: 1 };
+  await assert.rejects(convert(fixture("sponge-v3.schem"), { crop }), InvalidOptionError);
+});
+
+test("include keeps only matching blocks", async () => {
+  const { data } = await convert(fixture("sponge-v3.schem"), { include: ["minecraft:stone"] });
+  assert.deepEqual(data.palette, ["minecraft:stone"]);
+  assert.equal(blocksOf(data).size, 9);
+  assert.deepEqual(data.blockEntities, {});
+});
+
+test("exclude drops blocks matching a wildcard", async () => {
+  const { data } = await convert(fixture("sponge-v3.schem"), { exclude: ["*_stairs"] });
+  assert.deepEqual(data.palette, ["minecraft:stone", CHEST]);
+  assert.equal(blocksOf(data).has("0,1,0"), false);
+});
+
+test("replace renames blocks and drops block entities replaced by air", async () => {
+  const toDirt = await convert(fixture("sponge-v3.schem"), { replace: [{ from: "minecraft:stone", to: "minecraft:dirt" }] });
+  assert.deepEqual(toDirt.data.palette, ["minecraft:dirt", STAIRS, CHEST]);
+
+  const toAir = await convert(fixture("sponge-v3.schem"), { replace: [{ from: "minecraft:chest", to: "minecraft:air" }] });
+  assert.deepEqual(toAir.data.palette, ["minecraft:stone", STAIRS]);
+  assert.deepEqual(toAir.data.blockEntities, {});
+
+  // A different block drops the chest's items; new states keep them
+  const toStone = await convert(fixture("sponge-v3.schem"), { replace: [{ from: "minecraft:chest", to: "minecraft:stone" }] });
+  assert.deepEqual(toStone.data.blockEntities, {});
+  const turned = await convert(fixture("sponge-v3.schem"), {
+    replace: [{ from: "minecraft:chest", to: "minecraft:chest[facing=south,type=single,waterlogged=false]" }],
+  });
+  assert.deepEqual(Object.keys(turned.data.blockEntities), ["0,0"]);
+});
@@ -0,0 +1,6 @@
+-- Engine block ids for the Sponge fixtures
+return {
+  ["minecraft:stone"] = "Stone",
+  ["*_stairs"] = { id = "Stairs", material = 'Wood' }, -- any stairs
+  ["oak_stairs[half=top]"] = { id = "Stairs", upsideDown = true };
+}
@@ -0,0 +1,552 @@
+// Writes the small schematics the tests read. The files are checked in;
+// run `node test/fixtures/generate.js` after changing this script.
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const nbt = require("prismarine-nbt");
+
+const { byte, byteArray, comp, double, float, int, intArray, list, long, short, string } = nbt;
+
+/** An NBT list of compounds, from plain objects of tags */
+function compoundList(values) {
+  return list(comp(values));
+}
+
+/** Write a gzipped big-endian NBT file into this folder */
+function writeFixture(name, root) {
+  const bytes = nbt.writeUncompressed(comp(root));
+  fs.writeFileSync(path.join(__dirname, name), zlib.gzipSync(bytes));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Sponge Schematics
+// ─────────────────────────────────────────────────────────────────────────────
+
+// 3x2x3: a stone floor, a chest at (1, 1, 1) and stairs at (0, 1, 0)
+const SPONGE_PALETTE = {
+  "minecraft:air": int(0),
+  "minecraft:stone": int(1),
+  "minecraft:chest[facing=north,type=single,waterlogged=false]": int(2),
+  "minecraft:oak_stairs[facing=east,half=bottom,shape=straight,waterlogged=false]": int(3),
+};
+
+function spongeBlockData() {
+  const data = [];
+  for (let y = 0; y < 2; y++) {
+    for (let z = 0; z < 3; z++) {
+      for (let x = 0; x < 3; x++) {
+        if (y === 0) data.push(1);
+        else if (x === 1 && z === 1) data.push(2);
+        else if (x === 0 && z === 0) data.push(3);
+        else data.push(0);
+      }
+    }
+  }
+  return data;
+}
+
+const CHEST_NBT = {
+  Items: compoundList([{ Slot: byte(0), id: string("minecraft:diamond"), Count: byte(3) }]),
+  CustomName: string('Loot "box"'),
+  Lock: string(""),
+};
+
+writeFixture("sponge-v2.schem", {
+  Version: int(2),
+  DataVersion: int(2586),
+  Width: short(3),
+  Height: short(2),
+  Length: short(3),
+  PaletteMax: int(4),
+  Palette: comp(SPONGE_PALETTE),
+  Offset: intArray([-1, 0, -2]),
+  Metadata: comp({ WEOffsetX: int(-1), WEOffsetY: int(0), WEOffsetZ: int(-2) }),
+  BlockData: byteArray(spongeBlockData()),
+  BlockEntities: compoundList([{ Pos: intArray([1, 1, 1]), Id: string("minecraft:chest"), ...CHEST_NBT }]),
+  Entities: compoundList([{
+    Id: string("minecraft:item_frame"),
+    Pos: list(double([0.5, 1, 2.5])),
+    Rotation: list(float([180, 0])),
+    Facing: byte(3),
+  }]),
+  BiomePalette: comp({ "minecraft:plains": int(0), "minecraft:desert": int(1) }),
+  BiomePaletteMax: int(2),
+  BiomeData: byteArray([0, 0, 1, 0, 1, 1, 1, 1, 1]),
+});
+
+writeFixture("sponge-v3.schem", {
+  Schematic: comp({
+    Version: int(3),
+    DataVersion: int(3700),
+    Width: short(3),
+    Height: short(2),
+    Length: short(3),
+    Offset: intArray([2, 0, 3]),
+    Metadata: comp({ WorldEdit: comp({ Origin: intArray([100, 64, 200]) }) }),
+    Blocks: comp({
+      Palette: comp(SPONGE_PALETTE),
+      Data: byteArray(spongeBlockData()),
+      BlockEntities: compoundList([{ Pos: intArray([1, 1, 1]), Id: string("minecraft:chest"), Data: comp(CHEST_NBT) }]),
+    }),
+    Entities: compoundList([{
+      Id: string("minecraft:armor_stand"),
+      Pos: list(double([1.5, 1, 0.5])),
+      Data: comp({
+        id: string("minecraft:armor_stand"),
+        Pos: list(double([1.5, 1, 0.5])),
+        Rotation: list(float([90, 0])),
+        ShowArms: byte(1),
+        UUID: intArray([1, 2, 3, 4]),
+      }),
+    }]),
+    Biomes: comp({
+      Palette: comp({ "minecraft:plains": int(0), "minecraft:forest": int(1) }),
+      Data: byteArray(Array.from({ length: 18 }, (_, index) => (index % 3 === 2 ? 1 : 0))),
+    }),
+  }),
+});
+
+// One furnace and one armor stand whose NBT uses every tag type that plain
+// JSON/Lua values cannot tell apart, for decompile round trips
+writeFixture("nbt-types.schem", {
+  Schematic: comp({
+    Version: int(3),
+    DataVersion: int(3700),
+    Width: short(1),
+    Height: short(1),
+    Length: short(1),
+    Blocks: comp({
+      Palette: comp({ "minecraft:furnace[facing=north,lit=false]": int(0) }),
+      Data: byteArray([0]),
+      BlockEntities: compoundList([{
+        Pos: intArray([0, 0, 0]),
+        Id: string("minecraft:furnace"),
+        Data: comp({
+          BurnTime: short(200),
+          CookTime: short(0),
+          Items: compoundList([{ Slot: byte(1), id: string("minecraft:coal"), count: int(3) }]),
+          RecipesUsed: comp({}),
+          LootTableSeed: long([0x12345, 0x6789abcd]),
+        }),
+      }]),
+    }),
+    Entities: compoundList([{
+      Id: string("minecraft:armor_stand"),
+      Pos: list(double([0.5, 1, 0.5])),
+      Data: comp({
+        id: string("minecraft:armor_stand"),
+        Pos: list(double([0.5, 1, 0.5])),
+        Rotation: list(float([90, 0])),
+        Motion: list(double([0, 0, 0])),
+        FallDistance: float(0),
+        Air: short(300),
+        Invisible: byte(0),
+        UUID: intArray([1, 2, 3, 4]),
+        Tags: list(string(["decor"])),
+        HandItems: compoundList([{}, {}]),
+        ArmorItems: list({ type: "end", value: [] }),
+        Heights: list(float([1.5, 2])),
+      }),
+    }]),
+  }),
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Structure Files
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Vanilla structure block: 2x2x2, a stone floor, a chest at (1, 1, 1), an
+// explicit air block and an armor stand
+writeFixture("structure.nbt", {
+  DataVersion: int(3465),
+  size: list(int([2, 2, 2])),
+  palette: compoundList([
+    { Name: string("minecraft:stone") },
+    { Name: string("minecraft:chest"), Properties: comp({ facing: string("north"), type: string("single"), waterlogged: string("false") }) },
+    { Name: string("minecraft:air") },
+  ]),
+  blocks: compoundList([
+    { pos: list(int([0, 0, 0])), state: int(0) },
+    { pos: list(int([1, 0, 0])), state: int(0) },
+    { pos: list(int([0, 0, 1])), state: int(0) },
+    { pos: list(int([1, 0, 1])), state: int(0) },
+    { pos: list(int([1, 1, 1])), state: int(1), nbt: comp({ id: string("minecraft:chest"), Items: compoundList([]) }) },
+    { pos: list(int([0, 1, 0])), state: int(2) },
+  ]),
+  entities: compoundList([{
+    pos: list(double([0.5, 1, 0.5])),
+    blockPos: list(int([0, 1, 0])),
+    nbt: comp({
+      id: string("minecraft:armor_stand"),
+      Pos: list(double([10.5, 65, 20.5])),
+      Rotation: list(float([45, 0])),
+      ShowArms: byte(1),
+    }),
+  }]),
+});
+
+// Bedrock structure: 2x2x2 stored X-major, little-endian and uncompressed,
+// with a stone floor and a chest at (1, 1, 1)
+{
+  const indices = [];
+  for (let x = 0; x < 2; x++) {
+    for (let y = 0; y < 2; y++) {
+      for (let z = 0; z < 2; z++) {
+        indices.push(y === 0 ? 0 : (x === 1 && z === 1 ? 1 : -1));
+      }
+    }
+  }
+  const root = comp({
+    format_version: int(1),
+    size: list(int([2, 2, 2])),
+    structure_world_origin: list(int([100, 64, 100])),
+    structure: comp({
+      block_indices: list({ type: "list", value: [{ type: "int", value: indices }, { type: "int", value: indices.map(() => -1) }] }),
+      entities: compoundList([{
+        identifier: string("minecraft:armor_stand"),
+        Pos: list(float([100.5, 65, 100.5])),
+        Rotation: list(float([90, 0])),
+      }]),
+      palette: comp({
+        default: comp({
+          block_palette: compoundList([
+            { name: string("minecraft:stone"), states: comp({ stone_type: string("stone") }), version: int(1) },
+            { name: string("minecraft:chest"), states: comp({ facing_direction: int(2) }), version: int(1) },
+          ]),
+          block_position_data: comp({
+            7: comp({
+              block_entity_data: comp({
+                id: string("Chest"), x: int(101), y: int(65), z: int(101), Items: compoundList([]),
+              }),
+            }),
+          }),
+        }),
+      }),
+    }),
+  });
+  fs.writeFileSync(path.join(__dirname, "structure.mcstructure"), nbt.writeUncompressed(root, "little"));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Anvil World
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Split a 64-bit BigInt into the [high, low] int pair prismarine-nbt writes */
+function longPair(value) {
+  const signed = BigInt.asIntN(64, value);
+  return [Number(BigInt.asIntN(32, signed >> 32n)), Number(BigInt.asIntN(32, signed))];
+}
+
+/**
+ * Pack palette indices into longs: entries span long boundaries before 1.16
+ * (`spanning`), and are padded to whole longs after
+ */
+function packIndices(values, bits, spanning) {
+  const perLong = Math.floor(64 / bits);
+  const longs = new Array(spanning ? Math.ceil((values.length * bits) / 64) : Math.ceil(values.length / perLong)).fill(0n);
+  values.forEach((value, index) => {
+    const bit = spanning ? index * bits : Math.floor(index / perLong) * 64 + (index % perLong) * bits;
+    const slot = Math.floor(bit / 64);
+    const offset = bit % 64;
+    longs[slot] = (longs[slot] | (BigInt(value) << BigInt(offset))) & ((1n << 64n) - 1n);
+    if (offset + bits > 64) longs[slot + 1] |= BigInt(value) >> BigInt(64 - offset);
+  });
+  return longs.map(longPair);
+}
+
+// 20 palette entries (5 bits per block); the bottom layer of each section
+// is block_1..block_19 by (x + z), everything above is air
+const ANVIL_PALETTE = compoundList([
+  { Name: string("minecraft:air") },
+  ...Array.from({ length: 19 }, (_, index) => ({ Name: string(`minecraft:block_${index + 1}`) })),
+]);
+
+function anvilSectionIndices() {
+  const values = [];
+  for (let y = 0; y < 16; y++) {
+    for (let z = 0; z < 16; z++) {
+      for (let x = 0; x < 16; x++) values.push(y === 0 ? ((x + z) % 19) + 1 : 0);
+    }
+  }
+  return values;
+}
+
+/** 1.18+ chunk: sections from y = -64, a sign block entity at (1, -64, 2) */
+function anvilChunk118(cx, cz) {
+  return comp({
+    DataVersion: int(3465),
+    xPos: int(cx),
+    zPos: int(cz),
+    yPos: int(-4),
+    sections: compoundList([
+      { Y: byte(-4), block_states: comp({ palette: ANVIL_PALETTE, data: nbt.longArray(packIndices(anvilSectionIndices(), 5, false)) }) },
+      { Y: byte(0), block_states: comp({ palette: compoundList([{ Name: string("minecraft:air") }]) }) },
+    ]),
+    block_entities: compoundList([{
+      id: string("minecraft:sign"),
+      x: int(cx * 16 + 1),
+      y: int(-64),
+      z: int(cz * 16 + 2),
+      front_text: comp({ messages: list(string(['"hi"'])) }),
+    }]),
+  });
+}
+
+/** 1.13-1.15 chunk: a Level compound, palette indices spanning longs */
+function anvilChunk113(cx, cz) {
+  return comp({
+    DataVersion: int(1631),
+    Level: comp({
+      xPos: int(cx),
+      zPos: int(cz),
+      Sections: compoundList([{ Y: byte(0), Palette: ANVIL_PALETTE, BlockStates: nbt.longArray(packIndices(anvilSectionIndices(), 5, true)) }]),
+      TileEntities: compoundList([]),
+    }),
+  });
+}
+
+/** Pre-1.13 chunk: numeric ids, a bottom layer of orange wool (35:1) */
+function anvilChunk112(cx, cz) {
+  const blocks = Array.from({ length: 4096 }, (_, index) => (index < 256 ? 35 : 0));
+  return comp({
+    Level: comp({
+      xPos: int(cx),
+      zPos: int(cz),
+      Sections: compoundList([{ Y: byte(0), Blocks: byteArray(blocks), Data: byteArray(new Array(2048).fill(0x11)) }]),
+    }),
+  });
+}
+
+/** Write a region file holding [cx, cz, chunkTag] chunks, zlib-compressed */
+function writeRegion(name, chunks) {
+  const header = Buffer.alloc(8192);
+  const bodies = [];
+  let sector = 2;
+  for (const [cx, cz, tag] of chunks) {
+    const payload = zlib.deflateSync(nbt.writeUncompressed(tag));
+    const body = Buffer.alloc(Math.ceil((payload.length + 5) / 4096) * 4096);
+    body.writeUInt32BE(payload.length + 1, 0);
+    body[4] = 2;
+    payload.copy(body, 5);
+    header.writeUInt32BE((sector << 8) | (body.length / 4096), ((cx & 31) + (cz & 31) * 32) * 4);
+    sector += body.length / 4096;
+    bodies.push(body);
+  }
+  fs.writeFileSync(path.join(__dirname, "world", "region", name), Buffer.concat([header, ...bodies]));
+}
+
+fs.mkdirSync(path.join(__dirname, "world", "region"), { recursive: true });
+writeRegion("r.0.0.mca", [[0, 0, anvilChunk118(0, 0)], [1, 0, anvilChunk113(1, 0)]]);
+writeRegion("r.-1.0.mca", [[-1, 0, anvilChunk112(-1, 0)]]);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Litematica
+// ─────────────────────────────────────────────────────────────────────────────
+
+const LITEMATIC_PALETTE = compoundList([
+  { Name: string("minecraft:air") },
+  { Name: string("minecraft:stone") },
+  { Name: string("minecraft:chest"), Properties: comp({ facing: string("north"), type: string("single"), waterlogged: string("false") }) },
+  { Name: string("minecraft:oak_stairs"), Properties: comp({ facing: string("east"), half: string("bottom"), shape: string("straight"), waterlogged: string("false") }) },
+]);
+
+/**
+ * A region holding the Sponge fixture's blocks (see spongeBlockData), with
+ * a painting. Negative sizes extend the region towards -X/-Y/-Z; block and
+ * entity positions are relative to its minimum corner.
+ */
+function litematicRegion(position, size) {
+  return comp({
+    Position: comp({ x: int(position[0]), y: int(position[1]), z: int(position[2]) }),
+    Size: comp({ x: int(size[0]), y: int(size[1]), z: int(size[2]) }),
+    BlockStatePalette: LITEMATIC_PALETTE,
+    BlockStates: nbt.longArray(packIndices(spongeBlockData(), 2, true)),
+    TileEntities: compoundList([{ x: int(1), y: int(1), z: int(1), id: string("minecraft:chest"), Items: compoundList([]) }]),
+    Entities: compoundList([{
+      id: string("minecraft:painting"),
+      Pos: list(double([0.5, 1.5, 0.5])),
+      Rotation: list(float([0, 0])),
+      variant: string("minecraft:kebab"),
+    }]),
+    PendingBlockTicks: list(),
+    PendingFluidTicks: list(),
+  });
+}
+
+writeFixture("single.litematic", {
+  MinecraftDataVersion: int(3465),
+  Version: int(6),
+  Metadata: comp({ Name: string("single"), EnclosingSize: comp({ x: int(3), y: int(2), z: int(3) }), RegionCount: int(1) }),
+  Regions: comp({ Main: litematicRegion([0, 0, 0], [3, 2, 3]) }),
+});
+
+// Region B spans x 3..5 and z 0..2: its position is the +X/+Z corner
+writeFixture("multi.litematic", {
+  MinecraftDataVersion: int(3465),
+  Version: int(6),
+  Metadata: comp({ Name: string("multi"), EnclosingSize: comp({ x: int(6), y: int(2), z: int(3) }), RegionCount: int(2) }),
+  Regions: comp({ A: litematicRegion([0, 0, 0], [3, 2, 3]), B: litematicRegion([5, 0, 2], [-3, 2, -3]) }),
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Classic Schematic
+// ─────────────────────────────────────────────────────────────────────────────
+
+// The Sponge fixture's layout in numeric ids: a floor of stone with a red
+// wool (35:14) row at x = 2, oak stairs 53:5 and a chest 54:2
+{
+  const blocks = [];
+  const data = [];
+  for (let y = 0; y < 2; y++) {
+    for (let z = 0; z < 3; z++) {
+      for (let x = 0; x < 3; x++) {
+        if (y === 0) {
+          blocks.push(x === 2 ? 35 : 1);
+          data.push(x === 2 ? 14 : 0);
+        } else if (x === 1 && z === 1) {
+          blocks.push(54);
+          data.push(2);
+        } else if (x === 0 && z === 0) {
+          blocks.push(53);
+          data.push(5);
+        } else {
+          blocks.push(0);
+          data.push(0);
+        }
+      }
+    }
+  }
+  writeFixture("classic.schematic", {
+    Width: short(3),
+    Height: short(2),
+    Length: short(3),
+    Materials: string("Alpha"),
+    WEOffsetX: int(-1),
+    WEOffsetY: int(0),
+    WEOffsetZ: int(-1),
+    Blocks: byteArray(blocks),
+    Data: byteArray(data),
+    TileEntities: compoundList([{ x: int(1), y: int(1), z: int(1), id: string("Chest"), Items: compoundList([]) }]),
+    Entities: compoundList([]),
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Culling
+// ─────────────────────────────────────────────────────────────────────────────
+
+// 18x5x5 solid block across the chunk border at x = 16: stone up to x = 8,
+// oak planks after, and one glass window at (2, 2, 0)
+function cullBlockData() {
+  const data = [];
+  for (let y = 0; y < 5; y++) {
+    for (let z = 0; z < 5; z++) {
+      for (let x = 0; x < 18; x++) {
+        if (x === 2 && y === 2 && z === 0) data.push(1);
+        else data.push(x > 8 ? 2 : 0);
+      }
+    }
+  }
+  return data;
+}
+
+writeFixture("cull.schem", {
+  Version: int(2),
+  DataVersion: int(3700),
+  Width: short(18),
+  Height: short(5),
+  Length: short(5),
+  PaletteMax: int(3),
+  Palette: comp({ "minecraft:stone": int(0), "minecraft:glass": int(1), "minecraft:oak_planks": int(2) }),
+  BlockData: byteArray(cullBlockData()),
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DataVersion Renames
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** A one-block-high row of `names` (air first) as a Sponge v2 schematic */
+function writeBlockRow(name, dataVersion, names) {
+  writeFixture(name, {
+    Version: int(2),
+    DataVersion: int(dataVersion),
+    Width: short(names.length),
+    Height: short(1),
+    Length: short(1),
+    PaletteMax: int(names.length),
+    Palette: comp(Object.fromEntries(names.map((blockName, index) => [blockName, int(index)]))),
+    BlockData: byteArray(names.map((_, index) => index)),
+  });
+}
+
+// Saved by 1.13.2: every block here is renamed or restated by a later version
+writeBlockRow("renames-1.13.schem", 1631, [
+  "minecraft:air",
+  "minecraft:grass",
+  "minecraft:sign[rotation=0,waterlogged=false]",
+  "minecraft:cobblestone_wall[east=true,north=false,south=false,up=true,waterlogged=false,west=true]",
+  "minecraft:cauldron[level=2]",
+  "minecraft:cauldron[level=0]",
+  "minecraft:grass_path",
+  "minecraft:stone_slab[type=bottom,waterlogged=false]",
+  "minecraft:chain[axis=y,waterlogged=false]",
+]);
+
+// Saved by 1.21.10: the same blocks under their current names
+writeBlockRow("renames-1.21.10.schem", 4556, [
+  "minecraft:air",
+  "minecraft:short_grass",
+  "minecraft:oak_sign[rotation=0,waterlogged=false]",
+  "minecraft:cobblestone_wall[east=low,north=none,south=none,up=true,waterlogged=false,west=low]",
+  "minecraft:water_cauldron[level=2]",
+  "minecraft:cauldron",
+  "minecraft:dirt_path",
+  "minecraft:smooth_stone_slab[type=bottom,waterlogged=false]",
+  "minecraft:iron_chain[axis=y,waterlogged=false]",
+]);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Rotate & Mirror
+// ─────────────────────────────────────────────────────────────────────────────
+
+// 3x1x2, every block asymmetric: z = 0 holds stairs, a door and a fence,
+// z = 1 a rail, a log and a skull; an item frame and a painting hang inside
+writeFixture("rotate.schem", {
+  Version: int(2),
+  DataVersion: int(3700),
+  Width: short(3),
+  Height: short(1),
+  Length: short(2),
+  PaletteMax: int(6),
+  Palette: comp({
+    "minecraft:oak_stairs[facing=north,half=bottom,shape=outer_left,waterlogged=false]": int(0),
+    "minecraft:oak_door[facing=north,half=lower,hinge=left,open=false,powered=false]": int(1),
+    "minecraft:oak_fence[east=true,north=false,south=false,waterlogged=false,west=false]": int(2),
+    "minecraft:rail[shape=north_east,waterlogged=false]": int(3),
+    "minecraft:oak_log[axis=x]": int(4),
+    "minecraft:skeleton_skull[rotation=4]": int(5),
+  }),
+  BlockData: byteArray([0, 1, 2, 3, 4, 5]),
+  // Rot as pre-1.13 skulls stored it
+  BlockEntities: compoundList([{ Pos: intArray([2, 0, 1]), Id: string("minecraft:skull"), Rot: byte(4) }]),
+  Entities: compoundList([
+    {
+      Id: string("minecraft:item_frame"),
+      Pos: list(double([0.5, 0.5, 0.03125])),
+      Rotation: list(float([0, 0])),
+      Facing: byte(3),
+      TileX: int(0),
+      TileY: int(0),
+      TileZ: int(0),
+    },
+    {
+      Id: string("minecraft:painting"),
+      Pos: list(double([2.96875, 0.5, 1.5])),
+      Rotation: list(float([90, 0])),
+      facing: byte(1),
+      TileX: int(2),
+      TileY: int(0),
+      TileZ: int(1),
+    },
+  ]),
+});
@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { convert } = require("../src/convert");
+const { blocksOf, fixture } = require("./helpers");
+
+// Moves the 3x2x3 Sponge build to Y -10..-9
+const BELOW_ZERO = { translate: { x: 0, y: -10, z: 0 } };
+
+test("blocks outside the default Y range are clipped with a warning", async () => {
+  const { data, stats, warnings } = await convert(fixture("sponge-v3.schem"), BELOW_ZERO);
+  assert.equal(blocksOf(data).size, 0);
+  assert.equal(stats.clippedBlocks, 11);
+  assert.deepEqual(warnings, ["11 blocks outside Y 0..255 were clipped. Set yRange or rebaseY to keep them."]);
+});
+
+test("yRange keeps negative Y and sets the chunk height", async () => {
+  const { data, stats, output } = await convert(fixture("sponge-v3.schem"), { ...BELOW_ZERO, yRange: { min: -64, max: 319 } });
+  const blocks = blocksOf(data);
+  assert.equal(stats.clippedBlocks, 0);
+  assert.equal(blocks.get("0,-10,0"), "minecraft:stone");
+  assert.equal(blocks.get("1,-9,1"), "minecraft:chest[facing=north,type=single,waterlogged=false]");
+  assert.equal(data.blockEntities["0,0"]["1,1"][0].y, -9);
+  assert.match(output, /chunkSize = \{ x = 16, y = 384, z = 16 \},\n {2}yRange = \{ min = -64, max = 319 \},/);
+});
+
+test("palette entries used only by clipped blocks are dropped", async () => {
+  const { data } = await convert(fixture("sponge-v3.schem"), { ...BELOW_ZERO, yRange: { min: -10, max: -10 } });
+  assert.deepEqual(data.palette, ["minecraft:stone"]);
+});
+
+test("rebaseY moves the lowest block to 0 and records yOffset", async () => {
+  const bounds = { minX: 16, minY: -64, minZ: 0, maxX: 31, maxY: 15, maxZ: 15 };
+  const { data } = await convert(fixture("world"), { bounds, rebaseY: true });
+  assert.equal(data.yOffset, 64);
+  assert.deepEqual(new Set([...blocksOf(data).keys()].map((key) => key.split(",")[1])), new Set(["0"]));
+});
+
+test("the yRange field is written only when a Y range is set", async () => {
+  const plain = await convert(fixture("sponge-v3.schem"), { outFormat: "json" });
+  assert.deepEqual(JSON.parse(plain.output)._meta.chunkSize, { x: 16, y: 256, z: 16 });
+  assert.equal(JSON.parse(plain.output)._meta.yRange, undefined);
+  assert.doesNotMatch((await convert(fixture("sponge-v3.schem"))).output, /yRange/);
+
+  const ranged = await convert(fixture("sponge-v3.schem"), { outFormat: "json", yRange: { min: 0, max: 63 } });
+  assert.deepEqual(JSON.parse(ranged.output)._meta.chunkSize, { x: 16, y: 64, z: 16 });
+  assert.deepEqual(JSON.parse(ranged.output)._meta.yRange, { min: 0, max: 63 });
+});
@@ -0,0 +1,57 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+/** Path of a checked-in fixture (see fixtures/generate.js) */
+function fixture(name) {
+  return path.join(FIXTURES_DIR, name);
+}
+
+/** A fresh temporary folder, removed when the test ends */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "schema-converter-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Decode a build's chunks (rle, sparse or boxes) into a Map of
+ * "x,y,z" -> palette name, in output coordinates
+ */
+function blocksOf(data) {
+  const blocks = new Map();
+  const chunks = data.eachChunk ? data.eachChunk() : Object.entries(data.chunks);
+  for (const [chunkKey, chunk] of chunks) {
+    const [cx, cz] = chunkKey.split(",").map(Number);
+    if (Array.isArray(chunk)) {
+      for (const [x1, y1, z1, x2, y2, z2, index] of chunk) {
+        for (let y = y1; y <= y2; y++) {
+          for (let z = z1; z <= z2; z++) {
+            for (let x = x1; x <= x2; x++) {
+              blocks.set(`${cx * 16 + x},${y},${cz * 16 + z}`, data.palette[index]);
+            }
+          }
+        }
+      }
+      continue;
+    }
+    for (const [columnKey, entries] of Object.entries(chunk)) {
+      const [lx, lz] = columnKey.split(",").map(Number);
+      for (const entry of entries) {
+        const [startY, count, index] = entry.length === 2 ? [entry[0], 1, entry[1]] : entry;
+        for (let y = startY; y < startY + count; y++) {
+          blocks.set(`${cx * 16 + lx},${y},${cz * 16 + lz}`, data.palette[index]);
+        }
+      }
+    }
+  }
+  return blocks;
+}
+
+module.exports = {
+  fixture,
+  tempDir,
+  blocksOf,
+};
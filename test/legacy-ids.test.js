@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { legacyBlockName } = require("../src/legacy-blocks");
+const { convert } = require("../src/convert");
+const { blocksOf, fixture } = require("./helpers");
+
+// id, data, 1.13 name (from the vanilla flattening)
+const LEGACY_NAMES = [
+  [0, 0, "minecraft:air"],
+  [1, 0, "minecraft:stone"],
+  [1, 1, "minecraft:granite"],
+  [1, 6, "minecraft:polished_andesite"],
+  [2, 0, "minecraft:grass_block[snowy=false]"],
+  [3, 1, "minecraft:coarse_dirt"],
+  [5, 5, "minecraft:dark_oak_planks"],
+  [6, 9, "minecraft:spruce_sapling[stage=1]"],
+  [9, 0, "minecraft:water[level=0]"],
+  [12, 1, "minecraft:red_sand"],
+  [17, 5, "minecraft:spruce_log[axis=x]"],
+  [17, 14, "minecraft:birch_wood[axis=y]"],
+  [18, 0, "minecraft:oak_leaves[distance=7,persistent=false]"],
+  [18, 6, "minecraft:birch_leaves[distance=7,persistent=true]"],
+  [162, 5, "minecraft:dark_oak_log[axis=x]"],
+  [26, 11, "minecraft:red_bed[facing=east,occupied=false,part=head]"],
+  [29, 1, "minecraft:sticky_piston[extended=false,facing=up]"],
+  [31, 0, "minecraft:dead_bush"],
+  [31, 1, "minecraft:grass"],
+  [35, 0, "minecraft:white_wool"],
+  [35, 14, "minecraft:red_wool"],
+  [43, 8, "minecraft:smooth_stone"],
+  [44, 11, "minecraft:cobblestone_slab[type=top,waterlogged=false]"],
+  [50, 1, "minecraft:wall_torch[facing=east]"],
+  [50, 5, "minecraft:torch"],
+  [53, 5, "minecraft:oak_stairs[facing=west,half=top,shape=straight,waterlogged=false]"],
+  [54, 5, "minecraft:chest[facing=east,type=single,waterlogged=false]"],
+  [55, 7, "minecraft:redstone_wire[east=none,north=none,power=7,south=none,west=none]"],
+  [61, 3, "minecraft:furnace[facing=south,lit=false]"],
+  [63, 4, "minecraft:sign[rotation=4,waterlogged=false]"],
+  [64, 9, "minecraft:oak_door[facing=east,half=upper,hinge=right,open=false,powered=false]"],
+  [66, 6, "minecraft:rail[shape=south_east]"],
+  [68, 5, "minecraft:wall_sign[facing=east,waterlogged=false]"],
+  [69, 5, "minecraft:lever[face=floor,facing=north,powered=false]"],
+  [86, 0, "minecraft:carved_pumpkin[facing=south]"],
+  [93, 1, "minecraft:repeater[delay=1,facing=west,locked=false,powered=false]"],
+  [96, 12, "minecraft:oak_trapdoor[facing=north,half=top,open=true,powered=false,waterlogged=false]"],
+  [98, 3, "minecraft:chiseled_stone_bricks"],
+  [145, 4, "minecraft:chipped_anvil[facing=south]"],
+  [150, 0, "minecraft:comparator[facing=south,mode=compare,powered=true]"],
+  [155, 4, "minecraft:quartz_pillar[axis=z]"],
+  [159, 14, "minecraft:red_terracotta"],
+  [175, 8, "minecraft:sunflower[half=upper]"],
+  [176, 4, "minecraft:white_banner[rotation=4]"],
+  [208, 0, "minecraft:grass_path"],
+  [219, 0, "minecraft:white_shulker_box[facing=down]"],
+  [235, 0, "minecraft:white_glazed_terracotta[facing=south]"],
+  [251, 14, "minecraft:red_concrete"],
+  [255, 0, "minecraft:structure_block[mode=save]"],
+];
+
+for (const [id, data, name] of LEGACY_NAMES) {
+  test(`legacy ${id}:${data} is ${name}`, () => {
+    assert.equal(legacyBlockName(id, data), name);
+  });
+}
+
+test("ids without a block mapping return null", () => {
+  assert.equal(legacyBlockName(397, 0), null);
+});
+
+test("classic schematics are written with 1.13 names", async () => {
+  const { data } = await convert(fixture("classic.schematic"));
+  assert.deepEqual(data.palette, [
+    "minecraft:stone",
+    "minecraft:red_wool",
+    "minecraft:oak_stairs[facing=west,half=top,shape=straight,waterlogged=false]",
+    "minecraft:chest[facing=north,type=single,waterlogged=false]",
+  ]);
+  assert.equal(blocksOf(data).get("2,0,1"), "minecraft:red_wool");
+  assert.deepEqual(data.origin, { x: 1, y: 0, z: 1 });
+  assert.deepEqual(data.blockEntities["0,0"]["1,1"], [{ y: 1, id: "Chest", data: { Items: [] }, nbtTypes: { Items: "list" } }]);
+});
+
+test("legacyIds keeps the numeric id:data form", async () => {
+  const { data } = await convert(fixture("classic.schematic"), { legacyIds: true });
+  assert.deepEqual(data.palette, ["1:0", "35:14", "53:5", "54:2"]);
+});
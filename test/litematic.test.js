@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { convert } = require("../src/convert");
+const { blocksOf, fixture } = require("./helpers");
+
+const STAIRS = "minecraft:oak_stairs[facing=east,half=bottom,shape=straight,waterlogged=false]";
+const CHEST = "minecraft:chest[facing=north,type=single,waterlogged=false]";
+
+test("a single-region litematic reads tight-packed block states", async () => {
+  const { data } = await convert(fixture("single.litematic"));
+  const blocks = blocksOf(data);
+  assert.equal(blocks.size, 11);
+  assert.equal(blocks.get("0,1,0"), STAIRS);
+  assert.equal(blocks.get("1,1,1"), CHEST);
+  assert.deepEqual(data.entities, [{
+    id: "minecraft:painting",
+    pos: { x: 0.5, y: 1.5, z: 0.5 },
+    rotation: { yaw: 0, pitch: 0 },
+    data: { variant: "minecraft:kebab" },
+  }]);
+});
+
+test("regions with negative sizes are placed from their minimum corner", async () => {
+  const { data } = await convert(fixture("multi.litematic"));
+  const blocks = blocksOf(data);
+  assert.equal(blocks.size, 22);
+  // Region B: Position 5,0,2 with Size -3,2,-3 starts at 3,0,0
+  assert.equal(blocks.get("3,1,0"), STAIRS);
+  assert.equal(blocks.get("4,1,1"), CHEST);
+  assert.deepEqual(Object.keys(data.blockEntities["0,0"]), ["1,1", "4,1"]);
+  assert.deepEqual(data.entities.map((entity) => entity.pos), [{ x: 0.5, y: 1.5, z: 0.5 }, { x: 3.5, y: 1.5, z: 0.5 }]);
+});
+
+test("splitRegions writes each region with its position, size and palette", async () => {
+  const { data, output } = await convert(fixture("multi.litematic"), { splitRegions: true, outFormat: "json" });
+  const regions = JSON.parse(output).regions;
+  assert.deepEqual(regions.map((region) => [region.name, region.position, region.size]), [
+    ["A", { x: 0, y: 0, z: 0 }, { width: 3, height: 2, length: 3 }],
+    ["B", { x: 3, y: 0, z: 0 }, { width: 3, height: 2, length: 3 }],
+  ]);
+  assert.deepEqual(regions[1].palette, ["minecraft:stone", STAIRS, CHEST]);
+  // Blocks stay relative to their region
+  assert.equal(blocksOf(data.regions[1]).get("0,1,0"), STAIRS);
+});
+
+test("splitRegions on other formats warns and writes a single build", async () => {
+  const { data, warnings } = await convert(fixture("sponge-v3.schem"), { splitRegions: true });
+  assert.equal(data.regions, undefined);
+  assert.deepEqual(warnings, ["splitRegions only applies to Litematica files; writing a single build."]);
+});
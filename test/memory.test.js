@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { writeTerrain } = require("../scripts/terrain");
+const { tempDir } = require("./helpers");
+
+const CLI = path.join(__dirname, "..", "src", "convert.js");
+
+/** Peak memory in bytes that `--stats` prints for converting `input` */
+function peakMemory(input, outputPath) {
+  const stdout = execFileSync(process.execPath, [CLI, input, outputPath, "--stats"], { encoding: "utf8", stdio: "pipe" });
+  return Number(stdout.match(/Peak memory: +([\d.]+) MB/)[1]) * 1024 * 1024;
+}
+
+test("peak memory beside the input stays flat as a build grows along X", (t) => {
+  const dir = tempDir(t);
+  const [height, length] = [32, 256];
+
+  // The decompressed input is held for the run; the rest should not grow
+  const overInput = (width) => {
+    const inputPath = path.join(dir, `terrain-${width}.schem`);
+    const decompressed = writeTerrain(inputPath, width, height, length);
+    const peak = peakMemory(inputPath, path.join(dir, `terrain-${width}.lua`));
+    fs.rmSync(inputPath);
+    return peak - decompressed;
+  };
+  const short = overInput(1024);
+  const long = overInput(4096);
+
+  // Four times the chunk rows: holding every chunk's runs would add about
+  // 60 MB here. V8 heap headroom still varies from run to run.
+  assert.ok(long - short < 32 * 1024 * 1024,
+    `${(short / 1048576).toFixed(1)} MB over the input at 1024 blocks, ${(long / 1048576).toFixed(1)} MB at 4096`);
+  const size = (width) => fs.statSync(path.join(dir, `terrain-${width}.lua`)).size;
+  assert.ok(size(4096) > 3.5 * size(1024));
+});
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { InvalidOptionError, convert } = require("../src/convert");
+const { fixture } = require("./helpers");
+
+const CHEST = "minecraft:chest[facing=north,type=single,waterlogged=false]";
+
+const blockMapping = {
+  "minecraft:stone": { Name: "Stone", Material: "Slate", Color: "#7f7f7f" },
+  "*_stairs": { Name: "Step", Material: "WoodPlanks", Color: [160, 129, 79], Size: [1, 0.5, 1] },
+};
+
+/** Model output of sponge-v3.schem with boxes and 3-stud blocks */
+async function model(outFormat, extra = {}) {
+  const options = { outFormat, encoding: "boxes", blockMapping, blockSize: 3, ...extra };
+  return (await convert(fixture("sponge-v3.schem"), options)).output;
+}
+
+test("model.json holds a Folder per chunk of anchored Parts", async () => {
+  const root = JSON.parse(await model("model.json", { outputPath: "out/Castle.model.json" }));
+  assert.equal(root.name, "Castle");
+  assert.equal(root.className, "Model");
+  assert.deepEqual(root.children.map((folder) => [folder.name, folder.className]), [["0,0", "Folder"]]);
+
+  const [stone, step, chest] = root.children[0].children;
+  assert.equal(stone.name, "Stone");
+  assert.deepEqual(stone.properties.CFrame.CFrame.position, [4.5, 1.5, 4.5]);
+  assert.deepEqual(stone.properties.Size, { Vector3: [9, 3, 9] });
+  assert.deepEqual(stone.properties.Material, { Enum: 800 });
+  assert.deepEqual(stone.properties.Color.Color3, [127 / 255, 127 / 255, 127 / 255]);
+  assert.deepEqual(stone.properties.Anchored, { Bool: true });
+
+  // Half-height parts rest on the bottom of their cell
+  assert.equal(step.name, "Step");
+  assert.deepEqual(step.properties.CFrame.CFrame.position, [1.5, 3.75, 1.5]);
+  assert.deepEqual(step.properties.Size, { Vector3: [3, 1.5, 3] });
+
+  // Unmapped blocks are grey Plastic named after the palette entry
+  assert.equal(chest.name, CHEST);
+  assert.deepEqual(chest.properties.Material, { Enum: 256 });
+});
+
+test("rbxmx holds the same tree as XML", async () => {
+  const xml = await model("rbxmx");
+  assert.match(xml, /^<roblox [^>]*version="4">\n {2}<Item class="Model" referent="RBX0">/);
+  assert.match(xml, /<Item class="Folder" referent="RBX1">\n {6}<Properties>\n {8}<string name="Name">0,0<\/string>/);
+  assert.equal(xml.match(/<Item class="Part"/g).length, 3);
+  assert.match(xml, /<string name="Name">Stone<\/string>\n {10}<bool name="Anchored">true<\/bool>\n {10}<CoordinateFrame name="CFrame"><X>4.5<\/X><Y>1.5<\/Y><Z>4.5<\/Z>/);
+  assert.match(xml, /<Vector3 name="size"><X>9<\/X><Y>3<\/Y><Z>9<\/Z><\/Vector3>/);
+  // 0xFF7F7F7F
+  assert.match(xml, /<Color3uint8 name="Color3uint8">4286545791<\/Color3uint8>/);
+  assert.match(xml, /<string name="Name">minecraft:chest\[facing=north,type=single,waterlogged=false\]<\/string>/);
+});
+
+test("split regions become one Folder of chunk Folders each", async () => {
+  const { output } = await convert(fixture("multi.litematic"), { outFormat: "model.json", splitRegions: true });
+  const root = JSON.parse(output);
+  assert.deepEqual(root.children.map((region) => [region.name, region.children.map((folder) => folder.name)]), [
+    ["A", ["0,0"]],
+    ["B", ["0,0"]],
+  ]);
+});
+
+test("unknown materials and colors throw InvalidOptionError", async () => {
+  const badMaterial = { "minecraft:stone": { Material: "Cheese" } };
+  await assert.rejects(convert(fixture("sponge-v3.schem"), { outFormat: "rbxmx", blockMapping: badMaterial }), InvalidOptionError);
+  const badColor = { "minecraft:stone": { Color: "red" } };
+  await assert.rejects(convert(fixture("sponge-v3.schem"), { outFormat: "model.json", blockMapping: badColor }), InvalidOptionError);
+});
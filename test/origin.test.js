@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { convert } = require("../src/convert");
+const { blocksOf, fixture } = require("./helpers");
+
+test("Sponge v3 origin comes from Offset", async () => {
+  const { data, output } = await convert(fixture("sponge-v3.schem"));
+  assert.deepEqual(data.origin, { x: -2, y: 0, z: -3 });
+  assert.match(output, /origin = \{ x = -2, y = 0, z = -3 \},/);
+});
+
+test("Sponge v2 origin comes from Metadata.WEOffset, not the world Offset", async () => {
+  const { data } = await convert(fixture("sponge-v2.schem"));
+  assert.deepEqual(data.origin, { x: 1, y: 0, z: 2 });
+});
+
+test("Litematica origin is the corner region positions are measured from", async () => {
+  const { data } = await convert(fixture("multi.litematic"));
+  assert.deepEqual(data.origin, { x: 0, y: 0, z: 0 });
+});
+
+test("anchorOrigin shifts X and Z so the anchor sits at 0, 0", async () => {
+  const { data } = await convert(fixture("sponge-v3.schem"), { anchorOrigin: true });
+  assert.deepEqual(data.origin, { x: 0, y: 0, z: 0 });
+  assert.equal(blocksOf(data).get("2,0,3"), "minecraft:stone");
+  assert.equal(data.entities[0].pos.x, 3.5);
+});
+
+test("translate moves blocks, entities and the origin", async () => {
+  const { data } = await convert(fixture("sponge-v3.schem"), { translate: { x: 1, y: 2, z: 3 } });
+  assert.deepEqual(data.origin, { x: -1, y: 2, z: 0 });
+  assert.equal(data.yOffset, -2);
+  assert.equal(blocksOf(data).get("2,3,4"), "minecraft:chest[facing=north,type=single,waterlogged=false]");
+  assert.deepEqual(data.entities[0].pos, { x: 2.5, y: 3, z: 3.5 });
+});
+
+test("files without an anchor have no origin", async () => {
+  const { data, output } = await convert(fixture("structure.nbt"));
+  assert.equal(data.origin, null);
+  assert.doesNotMatch(output, /origin =/);
+});
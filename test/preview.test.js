@@ -0,0 +1,180 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync, spawnSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { InvalidOptionError, convert, renderPreview } = require("../src/convert");
+const { writeTerrain } = require("../scripts/terrain");
+const { fixture, tempDir } = require("./helpers");
+
+const CLI = path.join(__dirname, "..", "src", "convert.js");
+
+const BACKGROUND = [24, 24, 28];
+const MAGENTA = [255, 0, 255];
+
+/**
+ * Decode an 8-bit RGB PNG as written by the preview: checks the signature,
+ * every chunk's CRC and the row filters. Returns { width, height, pixel(x, y) }.
+ */
+function decodePng(png) {
+  assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  const chunks = [];
+  for (let pos = 8; pos < png.length;) {
+    const length = png.readUInt32BE(pos);
+    const type = png.toString("latin1", pos + 4, pos + 8);
+    assert.equal(png.readUInt32BE(pos + 8 + length), zlib.crc32(png.subarray(pos + 4, pos + 8 + length)), `${type} CRC`);
+    chunks.push({ type, data: png.subarray(pos + 8, pos + 8 + length) });
+    pos += 12 + length;
+  }
+  assert.deepEqual(chunks.map((chunk) => chunk.type), ["IHDR", "IDAT", "IEND"]);
+
+  const header = chunks[0].data;
+  const width = header.readUInt32BE(0);
+  const height = header.readUInt32BE(4);
+  assert.deepEqual([...header.subarray(8)], [8, 2, 0, 0, 0]);
+  const raw = zlib.inflateSync(chunks[1].data);
+  assert.equal(raw.length, (width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) assert.equal(raw[y * (width * 3 + 1)], 0, `row ${y} filter`);
+
+  const pixel = (x, y) => {
+    const i = y * (width * 3 + 1) + 1 + x * 3;
+    return [raw[i], raw[i + 1], raw[i + 2]];
+  };
+  return { width, height, pixel };
+}
+
+/** Convert a fixture and render its preview with the same options */
+async function preview(name, options = {}) {
+  const { data } = await convert(fixture(name), options);
+  return renderPreview(data, options);
+}
+
+// sponge-v3.schem is 3x2x3: a stone floor, a chest at (1, 1, 1) and oak
+// stairs at (0, 1, 0). At 8 pixels per block its top view is 24x24.
+
+test("the top view shows each column's highest block, shaded by height", async () => {
+  const result = await preview("sponge-v3.schem");
+  assert.deepEqual([result.width, result.height, result.scale], [24, 24, 8]);
+  const image = decodePng(result.png);
+  assert.deepEqual([image.width, image.height], [24, 24]);
+  // Stone #7d7d7d on the floor, at the lowest shade
+  assert.deepEqual(image.pixel(2 * 8, 0), [69, 69, 69]);
+  // Oak stairs #a2834f one block up, at full shade
+  assert.deepEqual(image.pixel(0, 0), [162, 131, 79]);
+  // Chest #a2742b one block up, brightened as a step up from the north
+  assert.deepEqual(image.pixel(8 + 7, 8 + 7), [181, 130, 48]);
+  assert.deepEqual([result.unknown, result.unmapped], [[], []]);
+});
+
+test("front and side elevations sit below the top view", async () => {
+  const result = await preview("sponge-v3.schem", { previewViews: ["top", "front", "side"] });
+  const image = decodePng(result.png);
+  // Top view, an 8 pixel gap, then 24 + 8 + 24 pixels of elevations 16 high
+  assert.deepEqual([image.width, image.height], [56, 48]);
+  assert.deepEqual(image.pixel(40, 0), BACKGROUND);
+  assert.deepEqual(image.pixel(0, 24), BACKGROUND);
+  // The chest seen from the south (front) and from the east (side), one
+  // block deep in both
+  assert.deepEqual(image.pixel(8, 32), [126, 90, 33]);
+  assert.deepEqual(image.pixel(32 + 8, 32), [126, 90, 33]);
+  // The stone floor fills the bottom row of both elevations
+  assert.notDeepEqual(image.pixel(0, 47), BACKGROUND);
+  assert.notDeepEqual(image.pixel(55, 47), BACKGROUND);
+
+  const elevations = decodePng((await preview("sponge-v3.schem", { previewViews: ["front"] })).png);
+  assert.deepEqual([elevations.width, elevations.height], [24, 16]);
+  assert.deepEqual(elevations.pixel(8, 0), [126, 90, 33]);
+});
+
+test("blocks without a color are drawn in plain magenta", async () => {
+  const result = await preview("sponge-v3.schem", { replace: [{ from: "minecraft:chest", to: "mymod:crate" }] });
+  assert.deepEqual(result.unknown, ["mymod:crate"]);
+  assert.deepEqual(decodePng(result.png).pixel(8, 8), MAGENTA);
+});
+
+test("blocks left unmapped by a mapping are drawn in magenta", async () => {
+  const blockMapping = { "minecraft:stone": { Name: "Stone", Color: "#102030" } };
+  const result = await preview("sponge-v3.schem", { blockMapping });
+  assert.deepEqual(result.unmapped.sort(), [
+    "minecraft:chest[facing=north,type=single,waterlogged=false]",
+    "minecraft:oak_stairs[facing=east,half=bottom,shape=straight,waterlogged=false]",
+  ]);
+  const image = decodePng(result.png);
+  // A mapped table's Color is used
+  assert.deepEqual(image.pixel(16, 0), [9, 18, 26]);
+  assert.deepEqual(image.pixel(0, 0), MAGENTA);
+  assert.deepEqual(image.pixel(8, 8), MAGENTA);
+});
+
+test("--preview-colors overrides the built-in colors", async (t) => {
+  const previewColorsPath = path.join(tempDir(t), "colors.json");
+  fs.writeFileSync(previewColorsPath, JSON.stringify({ "minecraft:stone": "#102030", "*_stairs": [0, 200, 0] }));
+  const image = decodePng((await preview("sponge-v3.schem", { previewColorsPath })).png);
+  assert.deepEqual(image.pixel(16, 0), [9, 18, 26]);
+  assert.deepEqual(image.pixel(0, 0), [0, 200, 0]);
+  // Blocks it does not list keep their built-in color
+  assert.deepEqual(image.pixel(15, 15), [181, 130, 48]);
+});
+
+test("compact and legacy id palettes are colored by their full names", async () => {
+  assert.deepEqual((await preview("sponge-v3.schem", { compact: true })).png, (await preview("sponge-v3.schem")).png);
+  const legacy = await preview("classic.schematic", { legacyIds: true });
+  assert.deepEqual(legacy.unknown, []);
+  assert.deepEqual(legacy.png, (await preview("classic.schematic")).png);
+});
+
+test("split regions are drawn at their positions", async () => {
+  const split = await preview("multi.litematic", { splitRegions: true });
+  assert.deepEqual(split.png, (await preview("multi.litematic")).png);
+});
+
+test("a build with no blocks, or an unknown view, throws InvalidOptionError", async () => {
+  await assert.rejects(preview("sponge-v3.schem", { exclude: ["*"] }), InvalidOptionError);
+  await assert.rejects(preview("sponge-v3.schem", { previewViews: ["back"] }),
+    (error) => error instanceof InvalidOptionError && /Invalid preview views: back/.test(error.message));
+});
+
+test("builds over 2048 blocks across are drawn with one pixel for several blocks", async (t) => {
+  const input = path.join(tempDir(t), "long.schem");
+  writeTerrain(input, 4100, 24, 2);
+  const { data } = await convert(input);
+  const result = renderPreview(data);
+  assert.deepEqual([result.blocksPerPixel, result.scale, result.width, result.height], [3, 1, 1367, 1]);
+  const image = decodePng(result.png);
+  assert.deepEqual([image.width, image.height], [1367, 1]);
+  assert.notDeepEqual(image.pixel(1366, 0), BACKGROUND);
+});
+
+test("--preview of an empty build fails before writing the output", (t) => {
+  const dir = tempDir(t);
+  const outputPath = path.join(dir, "build.lua");
+  const result = spawnSync(process.execPath, [
+    CLI, fixture("sponge-v3.schem"), outputPath, "--exclude", "*", "--preview", path.join(dir, "build.png"),
+  ], { encoding: "utf8" });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /no blocks/i);
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
+
+test("--preview writes the PNG, creating its folder", (t) => {
+  const dir = tempDir(t);
+  const pngPath = path.join(dir, "images", "build.png");
+  const stdout = execFileSync(process.execPath, [
+    CLI, fixture("sponge-v3.schem"), path.join(dir, "build.lua"), "--preview", pngPath, "--preview-views", "top,side",
+  ], { encoding: "utf8", stdio: "pipe" });
+  assert.match(stdout, /Wrote preview to: .*build\.png \(24x48, 8px per block\)/);
+  const image = decodePng(fs.readFileSync(pngPath));
+  assert.deepEqual([image.width, image.height], [24, 48]);
+
+  const error = (...args) => {
+    try {
+      execFileSync(process.execPath, [CLI, fixture("sponge-v3.schem"), path.join(dir, "b.lua"), ...args], { stdio: "pipe" });
+    } catch (e) {
+      return e.stderr.toString();
+    }
+    return "";
+  };
+  assert.match(error("--preview-colors", "colors.json"), /--preview-colors requires --preview/);
+  assert.match(error("--preview", pngPath, "--preview-views", "top,back"), /Invalid --preview-views: top,back/);
+});
@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { parseLuaTable } = require("../src/blocks");
+const { convert } = require("../src/convert");
+const { fixture, tempDir } = require("./helpers");
+
+const CLI = path.join(__dirname, "..", "src", "convert.js");
+
+/** Run the CLI with --split into a temp folder and return that folder */
+function runSplit(t, input, ...args) {
+  const outputDir = path.join(tempDir(t), "Build");
+  execFileSync(process.execPath, [CLI, fixture(input), outputDir, "--split", ...args], { stdio: "pipe" });
+  return outputDir;
+}
+
+const readJson = (filePath) => JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+test("split writes one module per chunk and a manifest indexing them", async (t) => {
+  const outputDir = runSplit(t, "cull.schem", "--out", "json");
+  assert.deepEqual(fs.readdirSync(path.join(outputDir, "chunks")).sort(), ["0_0.json", "1_0.json"]);
+
+  const manifest = readJson(path.join(outputDir, "manifest.json"));
+  assert.equal(manifest._meta.split, true);
+  assert.equal(manifest.groupSize, 1);
+  assert.deepEqual(manifest.chunks["1,0"], {
+    file: "1_0",
+    blocks: 50,
+    bounds: { min: { x: 16, y: 0, z: 0 }, max: { x: 17, y: 4, z: 4 } },
+  });
+
+  const { data } = await convert(fixture("cull.schem"));
+  const merged = {};
+  for (const { file } of Object.values(manifest.chunks)) {
+    Object.assign(merged, readJson(path.join(outputDir, "chunks", `${file}.json`)).chunks);
+  }
+  assert.deepEqual(merged, JSON.parse(JSON.stringify(data.chunks)));
+});
+
+test("split groups N x N chunks into one module", (t) => {
+  const outputDir = runSplit(t, "cull.schem", "--out", "json", "--split-group", "2");
+  assert.deepEqual(fs.readdirSync(path.join(outputDir, "chunks")), ["0_0.json"]);
+  const module = readJson(path.join(outputDir, "chunks", "0_0.json"));
+  assert.deepEqual(Object.keys(module.chunks), ["0,0", "1,0"]);
+});
+
+test("Lua split modules carry block entities, the manifest entities", (t) => {
+  const outputDir = runSplit(t, "sponge-v3.schem");
+  const module = parseLuaTable(fs.readFileSync(path.join(outputDir, "chunks", "0_0.lua"), "utf8"));
+  assert.equal(module.blockEntities["0,0"]["1,1"][0].id, "minecraft:chest");
+  // 1-based palette indices, as in single-file Lua output
+  assert.deepEqual(module.chunks["0,0"]["1,1"], [[0, 1, 1], [1, 1, 3]]);
+
+  const manifest = parseLuaTable(fs.readFileSync(path.join(outputDir, "manifest.lua"), "utf8"));
+  assert.equal(manifest.entities[0].id, "minecraft:armor_stand");
+  assert.equal(manifest.chunks["0,0"].file, "0_0");
+  assert.equal(manifest.palette.length, 3);
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { UnrecognizedFormatError, convert } = require("../src/convert");
+const { blocksOf, fixture } = require("./helpers");
+
+const CHEST = "minecraft:chest[facing=north,type=single,waterlogged=false]";
+
+test("vanilla structure .nbt files read the palette, blocks and entities", async () => {
+  const { data } = await convert(fixture("structure.nbt"));
+  assert.deepEqual(Object.fromEntries(blocksOf(data)), {
+    "0,0,0": "minecraft:stone",
+    "1,0,0": "minecraft:stone",
+    "0,0,1": "minecraft:stone",
+    "1,0,1": "minecraft:stone",
+    "1,1,1": CHEST,
+  });
+  assert.deepEqual(data.blockEntities["0,0"]["1,1"], [{ y: 1, id: "minecraft:chest", data: { Items: [] }, nbtTypes: { Items: "list" } }]);
+  // Entity positions are structure-relative, not the stored world Pos
+  assert.deepEqual(data.entities, [{
+    id: "minecraft:armor_stand",
+    pos: { x: 0.5, y: 1, z: 0.5 },
+    rotation: { yaw: 45, pitch: 0 },
+    data: { ShowArms: 1 },
+    nbtTypes: { ShowArms: "byte" },
+  }]);
+});
+
+test("includeAir keeps the explicit air block of a structure", async () => {
+  const { data } = await convert(fixture("structure.nbt"), { includeAir: true });
+  assert.equal(blocksOf(data).get("0,1,0"), "minecraft:air");
+});
+
+test("Bedrock .mcstructure files read X-major indices and the first layer", async () => {
+  const { data } = await convert(fixture("structure.mcstructure"));
+  assert.deepEqual(data.palette, ["minecraft:stone[stone_type=stone]", "minecraft:chest[facing_direction=2]"]);
+  const blocks = blocksOf(data);
+  assert.equal(blocks.size, 5);
+  assert.equal(blocks.get("1,1,1"), "minecraft:chest[facing_direction=2]");
+  assert.deepEqual(data.blockEntities["0,0"]["1,1"], [{ y: 1, id: "Chest", data: { Items: [] }, nbtTypes: { Items: "list" } }]);
+  assert.deepEqual(data.entities[0].pos, { x: 0.5, y: 1, z: 0.5 });
+});
+
+test("buffers are read with the format option", async () => {
+  const buffer = fs.readFileSync(fixture("structure.mcstructure"));
+  const { data } = await convert(buffer, { format: "mcstructure" });
+  assert.equal(blocksOf(data).size, 5);
+});
+
+test("bytes that are not NBT throw UnrecognizedFormatError", async () => {
+  await assert.rejects(convert(Buffer.from("not a schematic"), { format: "nbt" }), UnrecognizedFormatError);
+});
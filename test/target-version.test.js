@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveDataVersion, upgradeBlockName } = require("../src/blocks");
+const { InvalidOptionError, convert } = require("../src/convert");
+const { fixture } = require("./helpers");
+
+const OLD_NAMES = [
+  "minecraft:grass",
+  "minecraft:sign[rotation=0,waterlogged=false]",
+  "minecraft:cobblestone_wall[east=true,north=false,south=false,up=true,waterlogged=false,west=true]",
+  "minecraft:cauldron[level=2]",
+  "minecraft:cauldron[level=0]",
+  "minecraft:grass_path",
+  "minecraft:stone_slab[type=bottom,waterlogged=false]",
+  "minecraft:chain[axis=y,waterlogged=false]",
+];
+
+const NEW_NAMES = [
+  "minecraft:short_grass",
+  "minecraft:oak_sign[rotation=0,waterlogged=false]",
+  "minecraft:cobblestone_wall[east=low,north=none,south=none,up=true,waterlogged=false,west=low]",
+  "minecraft:water_cauldron[level=2]",
+  "minecraft:cauldron",
+  "minecraft:dirt_path",
+  "minecraft:smooth_stone_slab[type=bottom,waterlogged=false]",
+  "minecraft:iron_chain[axis=y,waterlogged=false]",
+];
+
+test("release names and DataVersions resolve to DataVersions", () => {
+  assert.equal(resolveDataVersion("1.20.4"), 3700);
+  assert.equal(resolveDataVersion("3465"), 3465);
+  assert.equal(resolveDataVersion("1.99"), null);
+});
+
+test("upgrades apply only the steps between the two versions", () => {
+  assert.equal(upgradeBlockName("minecraft:grass_path", 1631, 2724), "minecraft:dirt_path");
+  assert.equal(upgradeBlockName("minecraft:grass", 1631, 2724), "minecraft:grass");
+  assert.equal(upgradeBlockName("minecraft:grass", 1631, 3698), "minecraft:short_grass");
+});
+
+test("targetVersion upgrades names from the file's DataVersion", async () => {
+  const { data } = await convert(fixture("renames-1.13.schem"), { targetVersion: "1.21.10" });
+  assert.deepEqual(data.palette, NEW_NAMES);
+});
+
+test("targetVersion downgrades names to an older version", async () => {
+  const { data } = await convert(fixture("renames-1.21.10.schem"), { targetVersion: 1631 });
+  assert.deepEqual(data.palette, OLD_NAMES);
+});
+
+test("names are written as stored without targetVersion", async () => {
+  const { data } = await convert(fixture("renames-1.13.schem"));
+  assert.deepEqual(data.palette, OLD_NAMES);
+});
+
+test("an unknown targetVersion throws InvalidOptionError", async () => {
+  await assert.rejects(convert(fixture("renames-1.13.schem"), { targetVersion: "1.99" }), InvalidOptionError);
+});
+
+test("files without a DataVersion are left unchanged with a warning", async () => {
+  const { data, warnings } = await convert(fixture("structure.mcstructure"), { targetVersion: "1.21" });
+  assert.equal(data.palette[0], "minecraft:stone[stone_type=stone]");
+  assert.deepEqual(warnings, ["input has no DataVersion; block names were not upgraded."]);
+});
@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const nbt = require("prismarine-nbt");
+const { convert, defaultOptions, parseSchematic } = require("../src/convert");
+const { editSchematic } = require("../src/transforms");
+const { fixture, tempDir } = require("./helpers");
+
+const WORLD_OPTIONS = {
+  bounds: { minX: -16, minY: -64, minZ: 0, maxX: 31, maxY: 0, maxZ: 15 },
+  yRange: { min: -64, max: 319 },
+};
+
+/**
+ * Write a 200x4x40 Sponge v3 schematic over 13 chunk columns: a stone
+ * floor under a pattern of 150 block states, so palette indices past 127
+ * take two varint bytes
+ */
+function writeWide(filePath) {
+  const [width, height, length] = [200, 4, 40];
+  const names = ["minecraft:air", "minecraft:stone", "minecraft:glass"];
+  for (const facing of ["north", "east", "south", "west"]) {
+    for (const half of ["bottom", "top"]) {
+      names.push(`minecraft:oak_stairs[facing=${facing},half=${half},shape=straight,waterlogged=false]`);
+    }
+  }
+  while (names.length < 150) names.push(`minecraft:block_${names.length}`);
+
+  const varints = [];
+  for (let y = 0; y < height; y++) {
+    for (let z = 0; z < length; z++) {
+      for (let x = 0; x < width; x++) {
+        const value = y === 0 ? 1 : (x * 7 + z * 3 + y * 11) % 5 === 0 ? 0 : (x * 31 + z * 17 + y) % names.length;
+        if (value > 127) varints.push((value & 0x7f) | 0x80, value >> 7);
+        else varints.push(value);
+      }
+    }
+  }
+  const root = nbt.comp({
+    Schematic: nbt.comp({
+      Version: nbt.int(3),
+      DataVersion: nbt.int(3700),
+      Width: nbt.short(width),
+      Height: nbt.short(height),
+      Length: nbt.short(length),
+      Blocks: nbt.comp({
+        Palette: nbt.comp(Object.fromEntries(names.map((name, index) => [name, nbt.int(index)]))),
+        Data: nbt.byteArray(varints.map((byte) => (byte << 24) >> 24)),
+      }),
+    }),
+  });
+  fs.writeFileSync(filePath, zlib.gzipSync(nbt.writeUncompressed(root)));
+}
+
+/** Assert that three worker threads build what one thread does */
+async function assertSameOnThreads(input, options = {}) {
+  const single = await convert(input, options);
+  const threaded = await convert(input, { ...options, threads: 3 });
+  assert.equal(threaded.output, single.output);
+  assert.equal(threaded.stats.totalBlocks, single.stats.totalBlocks);
+  assert.equal(threaded.stats.nonAirBlocks, single.stats.nonAirBlocks);
+}
+
+test("worker threads build the same output over many bands", async (t) => {
+  const input = path.join(tempDir(t), "wide.schem");
+  writeWide(input);
+
+  await assertSameOnThreads(input);
+  await assertSameOnThreads(input, { cull: true });
+  await assertSameOnThreads(input, { rotate: 90, mirror: "x" });
+  await assertSameOnThreads(input, { crop: { minX: 30, minY: 0, minZ: 5, maxX: 170, maxY: 3, maxZ: 30 }, cull: true });
+  await assertSameOnThreads(input, { translate: { x: 7, y: 0, z: -3 }, encoding: "boxes" });
+  await assertSameOnThreads(input, { exclude: ["minecraft:glass"], compact: true });
+});
+
+test("streamed chunks read one chunk column at a time build the same output", async (t) => {
+  const input = path.join(tempDir(t), "wide.schem");
+  writeWide(input);
+  for (const options of [{}, { cull: true }, { rotate: 90 }, { translate: { x: 7, y: 0, z: -3 }, encoding: "boxes" }]) {
+    const streamed = await convert(input, { ...options, streamChunks: true });
+    const held = await convert(input, options);
+    assert.deepEqual(Array.from(streamed.data.eachChunk()), Object.entries(held.data.chunks));
+    assert.deepEqual(streamed.stats, held.stats);
+  }
+});
+
+for (const [name, options] of [
+  ["sponge-v2.schem", {}],
+  ["sponge-v3.schem", { rotate: 270 }],
+  ["classic.schematic", {}],
+  ["single.litematic", {}],
+  ["multi.litematic", {}],
+  ["multi.litematic", { splitRegions: true }],
+  ["structure.nbt", {}],
+  ["structure.mcstructure", {}],
+  ["cull.schem", { cull: true }],
+  ["world", WORLD_OPTIONS],
+]) {
+  test(`worker threads build the same output for ${name}${options.splitRegions ? " with split regions" : ""}`, async () => {
+    await assertSameOnThreads(fixture(name), options);
+  });
+}
+
+/** The blocks of iterateBlocks(area) as JSON, to compare */
+function blocksIn(schematic, area) {
+  return Array.from(schematic.iterateBlocks(area), (block) => JSON.stringify(block));
+}
+
+for (const [name, options] of [
+  ["sponge-v3.schem", {}],
+  ["classic.schematic", {}],
+  ["multi.litematic", {}],
+  ["structure.nbt", {}],
+  ["structure.mcstructure", {}],
+  ["world", WORLD_OPTIONS],
+  ["rotate.schem", { rotate: 90, mirror: "z" }],
+  ["cull.schem", { crop: { minX: 2, minY: 0, minZ: 1, maxX: 15, maxY: 4, maxZ: 4 } }],
+]) {
+  test(`iterateBlocks(area) reads only the area's columns of ${name}`, async () => {
+    const parsed = await parseSchematic(fixture(name), options);
+    const schematic = editSchematic(parsed, { ...defaultOptions(), ...options });
+    const all = Array.from(schematic.iterateBlocks());
+    const indices = all.map((block) => block.index);
+    assert.deepEqual(indices, [...indices].sort((a, b) => a - b), "indices grow in iteration order");
+
+    const area = { minX: 1, maxX: 2, minZ: -Infinity, maxZ: 1 };
+    const inArea = (block) => block.x >= area.minX && block.x <= area.maxX && block.z <= area.maxZ;
+    assert.deepEqual(blocksIn(schematic, area).sort(), all.filter(inArea).map((block) => JSON.stringify(block)).sort());
+  });
+}
+
+test("iterateBlocks(area) finds rows in two-byte varint block data", async (t) => {
+  const input = path.join(tempDir(t), "wide.schem");
+  writeWide(input);
+  const schematic = await parseSchematic(input);
+  const all = Array.from(schematic.iterateBlocks());
+  const area = { minX: 64, maxX: 127, minZ: 10, maxZ: 12 };
+  const expected = all.filter((block) => block.x >= 64 && block.x <= 127 && block.z >= 10 && block.z <= 12);
+  assert.deepEqual(Array.from(schematic.iterateBlocks(area)), expected);
+  // Rows resume where the last area stopped, and start over for an area behind it
+  assert.equal(Array.from(schematic.iterateBlocks({ ...area, minX: 128, maxX: 199 })).length, 72 * 3 * 4);
+  assert.deepEqual(Array.from(schematic.iterateBlocks(area)), expected);
+});
@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { convert } = require("../src/convert");
+const { blocksOf, fixture } = require("./helpers");
+
+test("rotate turns block states and moves blocks", async () => {
+  const { data } = await convert(fixture("rotate.schem"), { rotate: 90 });
+  assert.deepEqual(Object.fromEntries(blocksOf(data)), {
+    "0,0,0": "minecraft:rail[shape=south_east,waterlogged=false]",
+    "0,0,1": "minecraft:oak_log[axis=z]",
+    "0,0,2": "minecraft:skeleton_skull[rotation=8]",
+    "1,0,0": "minecraft:oak_stairs[facing=east,half=bottom,shape=outer_left,waterlogged=false]",
+    "1,0,1": "minecraft:oak_door[facing=east,half=lower,hinge=left,open=false,powered=false]",
+    "1,0,2": "minecraft:oak_fence[east=false,north=false,south=true,waterlogged=false,west=false]",
+  });
+});
+
+test("mirror swaps handedness of stairs and doors", async () => {
+  const blocks = blocksOf((await convert(fixture("rotate.schem"), { mirror: "z" })).data);
+  assert.equal(blocks.get("0,0,1"), "minecraft:oak_stairs[facing=south,half=bottom,shape=outer_right,waterlogged=false]");
+  assert.equal(blocks.get("1,0,1"), "minecraft:oak_door[facing=south,half=lower,hinge=right,open=false,powered=false]");
+});
+
+test("a rotated item frame keeps facing its wall", async () => {
+  const { data } = await convert(fixture("rotate.schem"), { rotate: 90, entityFields: null });
+  assert.deepEqual(data.entities[0], {
+    id: "minecraft:item_frame",
+    pos: { x: 1.96875, y: 0.5, z: 0.5 },
+    rotation: { yaw: 90, pitch: 0 },
+    // South (3) turns to west (4)
+    data: { Facing: 4, TileX: 1, TileY: 0, TileZ: 0 },
+    nbtTypes: { Facing: "byte" },
+  });
+  // Paintings count directions from south: west (1) turns to north (2)
+  assert.deepEqual(data.entities[1].data, { facing: 2, TileX: 0, TileY: 0, TileZ: 2 });
+  assert.deepEqual(data.blockEntities["0,0"]["0,2"], [{ y: 0, id: "minecraft:skull", data: { Rot: 8 }, nbtTypes: { Rot: "byte" } }]);
+});
+
+test("mirrored hanging entities flip only across the mirror axis", async () => {
+  const { data } = await convert(fixture("rotate.schem"), { mirror: "z", entityFields: null });
+  assert.deepEqual(data.entities.map((entity) => entity.data), [
+    { Facing: 2, TileX: 0, TileY: 0, TileZ: 1 },
+    { facing: 1, TileX: 2, TileY: 0, TileZ: 0 },
+  ]);
+});
+
+test("TileX/Y/Z follow crops and translation", async () => {
+  const crop = { minX: 1, minY: 0, minZ: 1, maxX: 2, maxY: 0, maxZ: 1 };
+  const cropped = await convert(fixture("rotate.schem"), { crop, entityFields: null });
+  assert.deepEqual(cropped.data.entities.map((entity) => entity.data), [{ facing: 1, TileX: 1, TileY: 0, TileZ: 0 }]);
+
+  const moved = await convert(fixture("rotate.schem"), { translate: { x: 5, y: 0, z: -2 }, entityFields: null });
+  assert.deepEqual(moved.data.entities[0].data, { Facing: 3, TileX: 5, TileY: 0, TileZ: -2 });
+});